@@ -0,0 +1,26 @@
+"use strict";
+
+/** Sends saved search alerts: each user gets the jobs posted since their
+ * searches were last alerted on, through the notifier set by
+ * NOTIFY_TRANSPORT (see config.js).
+ *
+ * Run with `npm run alerts`, e.g. hourly from cron.
+ */
+
+const db = require("./db");
+const { sendSearchAlerts } = require("./helpers/searchAlerts");
+const { logger } = require("./helpers/logger");
+
+async function alerts() {
+  try {
+    const sent = await sendSearchAlerts();
+    logger.info("Sent saved search alerts", { sent });
+  } catch (err) {
+    logger.error("Saved search alerts failed", { err });
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+alerts();
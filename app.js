@@ -12,20 +12,30 @@ const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
-
-const morgan = require("morgan");
+const searchRoutes = require("./routes/search");
+const technologiesRoutes = require("./routes/technologies");
+const auditRoutes = require("./routes/audit");
+const healthRoutes = require("./routes/health");
+const { trackRequests, routeOf } = require("./middleware/metrics");
+const { logRequests } = require("./middleware/logging");
+const { logger } = require("./helpers/logger");
 
 const app = express();
 
+app.use(logRequests);
+app.use(trackRequests);
 app.use(cors());
 app.use(express.json());
-app.use(morgan("tiny"));
 app.use(authenticateJWT);
 
-app.use("/auth", authRoutes);
-app.use("/companies", companiesRoutes);
-app.use("/users", usersRoutes);
-app.use("/jobs", jobsRoutes);
+app.use("/", trackRequests, healthRoutes);
+app.use("/auth", trackRequests, authRoutes);
+app.use("/companies", trackRequests, companiesRoutes);
+app.use("/users", trackRequests, usersRoutes);
+app.use("/jobs", trackRequests, jobsRoutes);
+app.use("/search", trackRequests, searchRoutes);
+app.use("/technologies", trackRequests, technologiesRoutes);
+app.use("/audit", trackRequests, auditRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -33,12 +43,26 @@ app.use(function (req, res, next) {
   return next(new NotFoundError());
 });
 
-/** Generic error handler; anything unhandled goes here. */
+/** Generic error handler; anything unhandled goes here.
+ *
+ * Logs the error, with who made the request and which route it was for:
+ * at "error" for server errors and "warn" for the client's own.
+ */
 app.use(function (err, req, res, next) {
-  if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
 
+  logger.log(status >= 500 ? "error" : "warn", message, {
+    err,
+    status,
+    method: req.method,
+    url: req.originalUrl,
+    route: routeOf(req, res.locals.metricsBaseUrl),
+    username: res.locals.user ? res.locals.user.username : undefined,
+  });
+
+  if (err.retryAfter !== undefined) res.set("Retry-After", String(err.retryAfter));
+
   return res.status(status).json({
     error: { message, status },
   });
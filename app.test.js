@@ -2,6 +2,7 @@ const request = require("supertest");
 
 const app = require("./app");
 const db = require("./db");
+const { logger } = require("./helpers/logger");
 
 
 test("not found for site 404", async function () {
@@ -9,11 +10,26 @@ test("not found for site 404", async function () {
   expect(resp.statusCode).toEqual(404);
 });
 
-test("not found for site 404 (test stack print)", async function () {
-  process.env.NODE_ENV = "";
+test("not found for site 404 (logs the error)", async function () {
+  const log = jest.spyOn(logger, "log");
   const resp = await request(app).get("/no-such-path");
   expect(resp.statusCode).toEqual(404);
-  delete process.env.NODE_ENV;
+  expect(log).toHaveBeenCalledWith("warn", "Not Found", expect.objectContaining({
+    err: expect.any(Error),
+    status: 404,
+    method: "GET",
+    url: "/no-such-path",
+    route: "unmatched",
+  }));
+  log.mockRestore();
+});
+
+test("returns a request id", async function () {
+  const resp = await request(app).get("/no-such-path").set("X-Request-Id", "r1");
+  expect(resp.headers["x-request-id"]).toEqual("r1");
+
+  const other = await request(app).get("/no-such-path");
+  expect(other.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
 });
 
 afterAll(function () {
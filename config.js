@@ -3,12 +3,85 @@
 /** Shared config for application; can be required many places. */
 
 require("dotenv").config();
-require("colors");
+
+const os = require("os");
+const path = require("path");
 
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// Access tokens are short-lived; clients trade a refresh token for a new one
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS = +process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30;
+
+// Deleted companies, jobs and users can be restored until they are purged
+const SOFT_DELETE_RETENTION_DAYS = +process.env.SOFT_DELETE_RETENTION_DAYS || 30;
+
+// POST /auth/token allows this many attempts per window from one IP, and
+// for one username, before answering 429 Too Many Requests
+const LOGIN_RATE_WINDOW_SECONDS = +process.env.LOGIN_RATE_WINDOW_SECONDS || 15 * 60;
+const LOGIN_RATE_LIMIT_PER_IP = +process.env.LOGIN_RATE_LIMIT_PER_IP || 50;
+const LOGIN_RATE_LIMIT_PER_USERNAME = +process.env.LOGIN_RATE_LIMIT_PER_USERNAME || 10;
+
+// Where rate limit counts are kept: "memory" (per process) or "postgres"
+// (shared by every process using the database)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+// This many wrong passwords in a row locks an account for a while
+const LOGIN_MAX_FAILURES = +process.env.LOGIN_MAX_FAILURES || 5;
+const LOGIN_LOCKOUT_MINUTES = +process.env.LOGIN_LOCKOUT_MINUTES || 15;
+
+// Rules for new passwords; see helpers/passwordPolicy.js. The longest
+// allowed is bcrypt's limit, in bytes.
+const PASSWORD_MIN_LENGTH = +process.env.PASSWORD_MIN_LENGTH || 8;
+const PASSWORD_MAX_LENGTH = +process.env.PASSWORD_MAX_LENGTH || 72;
+const PASSWORD_REQUIRED_CLASSES = (process.env.PASSWORD_REQUIRED_CLASSES
+    ?? "lowercase,uppercase,digit").split(",").map(c => c.trim()).filter(c => c);
+const PASSWORD_CHECK_COMMON = process.env.PASSWORD_CHECK_COMMON !== "false";
+
+// Password reset tokens work once, and only for this long
+const PASSWORD_RESET_EXPIRES_MINUTES = +process.env.PASSWORD_RESET_EXPIRES_MINUTES || 60;
+
+// Page of the front end that takes a reset token, linked to in reset mail
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL
+    || "http://localhost:3000/reset-password";
+
+// Email verification links work once, and only for this long
+const EMAIL_VERIFICATION_EXPIRES_HOURS = +process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || 48;
+
+// Where verification mail links to: GET /auth/verify, as clients reach it
+const EMAIL_VERIFICATION_URL = process.env.EMAIL_VERIFICATION_URL
+    || `http://localhost:${PORT}/auth/verify`;
+
+// How mail is sent (see helpers/mailer.js): "console" logs it and "file"
+// writes it to MAIL_DIR
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+const MAIL_DIR = process.env.MAIL_DIR || "mail";
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.local>";
+
+// How notifications, like saved search alerts, are sent (see
+// helpers/notifier.js): "console" logs them, "file" writes them to
+// NOTIFY_DIR and "mail" mails them
+const NOTIFY_TRANSPORT = process.env.NOTIFY_TRANSPORT || "console";
+const NOTIFY_DIR = process.env.NOTIFY_DIR || "notifications";
+
+// Where uploads, like resumes, are kept (see helpers/storage.js): "local"
+// keeps them in UPLOAD_DIR. Tests keep theirs out of the way.
+const UPLOAD_STORAGE = process.env.UPLOAD_STORAGE || "local";
+const UPLOAD_DIR = process.env.UPLOAD_DIR
+    || (process.env.NODE_ENV === "test"
+        ? path.join(os.tmpdir(), "jobly-test-uploads")
+        : "uploads");
+
+// Resumes attached to applications: the largest allowed, in bytes, and the
+// types allowed (PDF and Word, by default)
+const RESUME_MAX_BYTES = +process.env.RESUME_MAX_BYTES || 5 * 1024 * 1024;
+const RESUME_CONTENT_TYPES = (process.env.RESUME_CONTENT_TYPES
+    ?? "application/pdf,application/msword,"
+       + "application/vnd.openxmlformats-officedocument.wordprocessingml.document")
+    .split(",").map(t => t.trim()).filter(t => t);
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return (process.env.NODE_ENV === "test")
@@ -16,21 +89,50 @@ function getDatabaseUri() {
       : process.env.DATABASE_URL || "postgresql:///jobly";
 }
 
+// Most connections the pool opens to the database at once
+const DATABASE_POOL_SIZE = +process.env.DATABASE_POOL_SIZE || 10;
+
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
-console.log("Jobly Config:".green);
-console.log("SECRET_KEY:".yellow, SECRET_KEY);
-console.log("PORT:".yellow, PORT.toString());
-console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
-console.log("Database:".yellow, getDatabaseUri());
-console.log("---");
+// Least severe level of log line to write: debug, info, warn, error or
+// silent. Tests stay quiet unless asked otherwise.
+const LOG_LEVEL = process.env.LOG_LEVEL
+    || (process.env.NODE_ENV === "test" ? "silent" : "info");
 
 module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  SOFT_DELETE_RETENTION_DAYS,
+  LOGIN_RATE_WINDOW_SECONDS,
+  LOGIN_RATE_LIMIT_PER_IP,
+  LOGIN_RATE_LIMIT_PER_USERNAME,
+  RATE_LIMIT_STORE,
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MINUTES,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+  PASSWORD_REQUIRED_CLASSES,
+  PASSWORD_CHECK_COMMON,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  PASSWORD_RESET_URL,
+  EMAIL_VERIFICATION_EXPIRES_HOURS,
+  EMAIL_VERIFICATION_URL,
+  MAIL_TRANSPORT,
+  MAIL_DIR,
+  MAIL_FROM,
+  NOTIFY_TRANSPORT,
+  NOTIFY_DIR,
+  UPLOAD_STORAGE,
+  UPLOAD_DIR,
+  RESUME_MAX_BYTES,
+  RESUME_CONTENT_TYPES,
+  DATABASE_POOL_SIZE,
+  LOG_LEVEL,
   getDatabaseUri,
 };
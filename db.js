@@ -1,23 +1,115 @@
 "use strict";
 /** Database setup for jobly. */
-const { Client } = require("pg");
-const { getDatabaseUri } = require("./config");
+const { Pool, Client } = require("pg");
+const { getDatabaseUri, DATABASE_POOL_SIZE } = require("./config");
+const { dbQueryDuration, queryOperation } = require("./helpers/metrics");
+const { logger } = require("./helpers/logger");
 
-let db;
+/** Returns whether a ROLLBACK query only goes back to a savepoint. */
+
+function isRollbackTo(query) {
+  const text = typeof query === "string" ? query : query.text;
+  return /^\s*rollback\s+(work\s+|transaction\s+)?to\b/i.test(text);
+}
+
+/** A pg Client that times every query it runs into db_query_duration_seconds
+ * (see helpers/metrics.js). The pool makes all its connections with it, so
+ * queries in transactions are timed too.
+ *
+ * It also keeps inTransaction, whether a transaction is open on it, from
+ * the BEGIN, COMMIT and ROLLBACK statements it runs.
+ */
+
+class TimedClient extends Client {
+  query(...args) {
+    const operation = queryOperation(args[0]);
+    if (operation === "begin") {
+      this.inTransaction = true;
+    } else if (operation === "commit" || (operation === "rollback" && !isRollbackTo(args[0]))) {
+      this.inTransaction = false;
+    }
+
+    const end = dbQueryDuration.startTimer({ operation });
+    const last = args.length - 1;
+
+    // the pool itself passes a callback rather than using the promise
+    if (typeof args[last] === "function") {
+      const callback = args[last];
+      args[last] = function (...results) {
+        end();
+        return callback.apply(this, results);
+      };
+      return super.query(...args);
+    }
+
+    const result = super.query(...args);
+    if (result && typeof result.then === "function") {
+      return result.finally(() => end());
+    }
+    return result;
+  }
+}
+
+const options = {
+  connectionString: getDatabaseUri(),
+  max: DATABASE_POOL_SIZE,
+  Client: TimedClient,
+};
 
 if (process.env.NODE_ENV === "production") {
-  db = new Client({
-    connectionString: getDatabaseUri(),
-    ssl: {
-      rejectUnauthorized: false
+  options.ssl = {
+    rejectUnauthorized: false
+  };
+}
+
+// Tests wrap each test in BEGIN/ROLLBACK, so every query has to go through
+// the one connection that transaction is open on.
+if (process.env.NODE_ENV === "test") {
+  options.max = 1;
+  options.idleTimeoutMillis = 0;
+}
+
+const db = new Pool(options);
+
+// A connection dropped while idle in the pool is discarded and replaced on
+// the next query; without a handler the error would crash the process.
+db.on("error", function (err) {
+  logger.error("Idle database connection failed", { err });
+});
+
+/** Runs fn(client) in a transaction on a connection of its own.
+ *
+ * fn must use the client it is given (not db) for its queries. The
+ * transaction commits if fn resolves and rolls back if it throws, in which
+ * case the error is rethrown. Returns what fn returns.
+ *
+ * If the connection is already in a transaction, as in tests, which each
+ * run in one, this opens a savepoint in it instead.
+ */
+
+async function withTransaction(fn) {
+  const client = await db.connect();
+  const nested = client.inTransaction === true;
+  let broken;
+
+  try {
+    await client.query(nested ? "SAVEPOINT with_transaction" : "BEGIN");
+    const result = await fn(client);
+    await client.query(nested ? "RELEASE SAVEPOINT with_transaction" : "COMMIT");
+    return result;
+  } catch (err) {
+    try {
+      await client.query(nested ? "ROLLBACK TO SAVEPOINT with_transaction" : "ROLLBACK");
+    } catch (rollbackErr) {
+      // the connection is unusable; have the pool throw it away
+      broken = rollbackErr;
     }
-  });
-} else {
-  db = new Client({
-    connectionString: getDatabaseUri()
-  });
+    throw err;
+  } finally {
+    client.release(broken);
+  }
 }
 
-db.connect();
+db.withTransaction = withTransaction;
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
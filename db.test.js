@@ -0,0 +1,78 @@
+"use strict";
+
+const db = require("./db");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function companyName() {
+  const res = await db.query(`SELECT name FROM companies WHERE handle = 'c1'`);
+  return res.rows[0].name;
+}
+
+/************************************** withTransaction */
+
+describe("withTransaction", function () {
+  test("keeps changes and returns what fn returns", async function () {
+    const result = await db.withTransaction(async client => {
+      await client.query(`UPDATE companies SET name = 'New' WHERE handle = 'c1'`);
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await companyName()).toEqual("New");
+  });
+
+  test("undoes changes and rethrows if fn throws", async function () {
+    const err = new Error("oops");
+    await expect(db.withTransaction(async client => {
+      await client.query(`UPDATE companies SET name = 'New' WHERE handle = 'c1'`);
+      throw err;
+    })).rejects.toBe(err);
+    expect(await companyName()).toEqual("C1");
+  });
+
+  test("undoes changes after a failed query", async function () {
+    await expect(db.withTransaction(async client => {
+      await client.query(`UPDATE companies SET name = 'New' WHERE handle = 'c1'`);
+      await client.query(`UPDATE companies SET num_employees = -1 WHERE handle = 'c1'`);
+    })).rejects.toThrow();
+    expect(await companyName()).toEqual("C1");
+  });
+});
+
+describe("withTransaction outside a transaction", function () {
+  // these run outside the test's own transaction, as in production, so they
+  // put back what they commit
+  beforeEach(async function () {
+    await db.query("ROLLBACK");
+  });
+
+  afterEach(async function () {
+    await db.query(`UPDATE companies SET name = 'C1' WHERE handle = 'c1'`);
+    await db.query("BEGIN");
+  });
+
+  test("commits changes", async function () {
+    await db.withTransaction(async client => {
+      await client.query(`UPDATE companies SET name = 'New' WHERE handle = 'c1'`);
+    });
+    expect(await companyName()).toEqual("New");
+  });
+
+  test("rolls back changes and rethrows if fn throws", async function () {
+    const err = new Error("oops");
+    await expect(db.withTransaction(async client => {
+      await client.query(`UPDATE companies SET name = 'New' WHERE handle = 'c1'`);
+      throw err;
+    })).rejects.toBe(err);
+    expect(await companyName()).toEqual("C1");
+  });
+});
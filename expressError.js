@@ -44,10 +44,33 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 413 PAYLOAD TOO LARGE error. */
+
+class PayloadTooLargeError extends ExpressError {
+  constructor(message = "Payload Too Large") {
+    super(message, 413);
+  }
+}
+
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter is how many seconds until they may try again; the error
+ * handler sends it as the Retry-After header.
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  PayloadTooLargeError,
+  TooManyRequestsError,
 };
\ No newline at end of file
@@ -0,0 +1,57 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Workflow for job applications.
+ *
+ * An application starts out as "interested" or "applied" and can only move
+ * along the transitions below. Rejected, accepted and withdrawn are final.
+ */
+
+const APPLICATION_STATUSES = [
+  "interested",
+  "applied",
+  "interviewing",
+  "offered",
+  "rejected",
+  "accepted",
+  "withdrawn",
+];
+
+const INITIAL_STATUSES = ["interested", "applied"];
+
+const TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  rejected: [],
+  accepted: [],
+  withdrawn: [],
+};
+
+// Statuses an applicant can move their own application to. Everything else
+// (interviewing, offered, rejected) is decided on the hiring side.
+const APPLICANT_STATUSES = ["applied", "accepted", "withdrawn"];
+
+/** Returns true if an application may move from status `from` to `to`. */
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/** Throws BadRequestError unless `from` => `to` is an allowed transition. */
+
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new BadRequestError(`Cannot move application from ${from} to ${to}`);
+  }
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  INITIAL_STATUSES,
+  APPLICANT_STATUSES,
+  canTransition,
+  assertTransition,
+};
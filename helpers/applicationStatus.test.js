@@ -0,0 +1,44 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { canTransition, assertTransition } = require("./applicationStatus");
+
+describe("canTransition", function () {
+  test("allows moving forward through the workflow", function () {
+    expect(canTransition("interested", "applied")).toEqual(true);
+    expect(canTransition("applied", "interviewing")).toEqual(true);
+    expect(canTransition("interviewing", "offered")).toEqual(true);
+    expect(canTransition("offered", "accepted")).toEqual(true);
+  });
+
+  test("allows withdrawing before a final status", function () {
+    expect(canTransition("applied", "withdrawn")).toEqual(true);
+    expect(canTransition("offered", "withdrawn")).toEqual(true);
+  });
+
+  test("does not allow skipping or going backwards", function () {
+    expect(canTransition("applied", "offered")).toEqual(false);
+    expect(canTransition("interviewing", "applied")).toEqual(false);
+  });
+
+  test("final statuses go nowhere", function () {
+    expect(canTransition("accepted", "withdrawn")).toEqual(false);
+    expect(canTransition("rejected", "applied")).toEqual(false);
+    expect(canTransition("withdrawn", "applied")).toEqual(false);
+  });
+
+  test("unknown statuses go nowhere", function () {
+    expect(canTransition("nope", "applied")).toEqual(false);
+  });
+});
+
+describe("assertTransition", function () {
+  test("works", function () {
+    expect(() => assertTransition("applied", "interviewing")).not.toThrow();
+  });
+
+  test("bad request on disallowed transition", function () {
+    expect(() => assertTransition("applied", "accepted"))
+        .toThrow(BadRequestError);
+  });
+});
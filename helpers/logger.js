@@ -0,0 +1,96 @@
+"use strict";
+
+/** Structured logging: each log line is one JSON object, like
+ *
+ *   {"time":"2026-10-19T12:00:00.000Z","level":"info","msg":"request",
+ *    "requestId":"...","method":"GET","status":200}
+ *
+ * Lines logged while handling a request carry its requestId, wherever
+ * they are logged from (see middleware/logging.js).
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { LOG_LEVEL } = require("../config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// fields for every line logged within the current request
+const context = new AsyncLocalStorage();
+
+/** Runs fn with fields added to every line logged until it (and anything it
+ * starts) is done.
+ */
+
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/** Turns an Error into something JSON.stringify can show. */
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  return { message: err.message, status: err.status, stack: err.stack };
+}
+
+class Logger {
+  /** level: the least severe level to write (see LEVELS)
+   * stream: where to write lines to; anything with a write(string) method
+   */
+
+  constructor({ level = "info", stream = process.stdout, fields = {} } = {}) {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level}`);
+    this.level = level;
+    this.stream = stream;
+    this.fields = fields;
+  }
+
+  /** Returns a logger that adds fields to every line it logs. */
+
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      stream: this.stream,
+      fields: { ...this.fields, ...fields },
+    });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...context.getStore(),
+    };
+    for (const [name, value] of Object.entries(fields)) {
+      line[name] = serializeError(value);
+    }
+    this.stream.write(JSON.stringify(line) + "\n");
+  }
+
+  debug(msg, fields) {
+    this.log("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log("error", msg, fields);
+  }
+}
+
+const logger = new Logger({ level: LOG_LEVEL });
+
+module.exports = {
+  Logger,
+  logger,
+  withLogContext,
+};
@@ -0,0 +1,72 @@
+"use strict";
+
+const { Logger, withLogContext } = require("./logger");
+
+function fakeStream() {
+  const lines = [];
+  return {
+    write: line => lines.push(JSON.parse(line)),
+    lines,
+  };
+}
+
+describe("Logger", function () {
+  test("writes json lines", function () {
+    const stream = fakeStream();
+    const logger = new Logger({ stream });
+    logger.info("hello", { a: 1 });
+    expect(stream.lines).toEqual([
+      { time: expect.any(String), level: "info", msg: "hello", a: 1 },
+    ]);
+  });
+
+  test("skips lines below its level", function () {
+    const stream = fakeStream();
+    const logger = new Logger({ level: "warn", stream });
+    logger.info("no");
+    logger.warn("yes");
+    logger.error("yes");
+    expect(stream.lines.map(l => l.level)).toEqual(["warn", "error"]);
+  });
+
+  test("silent", function () {
+    const stream = fakeStream();
+    new Logger({ level: "silent", stream }).error("no");
+    expect(stream.lines).toEqual([]);
+  });
+
+  test("unknown level", function () {
+    expect(() => new Logger({ level: "loud" })).toThrow("Unknown log level: loud");
+  });
+
+  test("child adds fields", function () {
+    const stream = fakeStream();
+    const logger = new Logger({ stream }).child({ job: "purge" });
+    logger.info("done");
+    expect(stream.lines[0]).toEqual(expect.objectContaining({ job: "purge", msg: "done" }));
+  });
+
+  test("serializes errors", function () {
+    const stream = fakeStream();
+    const err = new Error("oops");
+    err.status = 418;
+    new Logger({ stream }).error("failed", { err });
+    expect(stream.lines[0].err).toEqual({ message: "oops", status: 418, stack: err.stack });
+  });
+});
+
+describe("withLogContext", function () {
+  test("adds fields to lines logged within it", async function () {
+    const stream = fakeStream();
+    const logger = new Logger({ stream });
+
+    await withLogContext({ requestId: "r1" }, async function () {
+      await Promise.resolve();
+      logger.info("inside");
+    });
+    logger.info("outside");
+
+    expect(stream.lines[0].requestId).toEqual("r1");
+    expect(stream.lines[1].requestId).toBeUndefined();
+  });
+});
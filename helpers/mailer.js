@@ -0,0 +1,67 @@
+"use strict";
+
+/** Sending mail.
+ *
+ * A mailer hands messages to a transport, which delivers them. A message
+ * is { to, subject, text }; the mailer fills in from. Every transport has
+ * send(message). The ones here keep mail local, for dev and tests:
+ *
+ *   console   logs each message (see helpers/logger.js)
+ *   file      writes each message to a JSON file in MAIL_DIR
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("./logger");
+const { MAIL_TRANSPORT, MAIL_DIR, MAIL_FROM } = require("../config");
+
+class ConsoleTransport {
+  async send(message) {
+    logger.info("mail", { mail: message });
+  }
+}
+
+class FileTransport {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+    await fs.promises.writeFile(
+        path.join(this.dir, name), JSON.stringify(message, null, 2));
+  }
+}
+
+/** Returns a new transport of the kind named ("console" or "file"). */
+
+function createTransport(kind) {
+  if (kind === "console") return new ConsoleTransport();
+  if (kind === "file") return new FileTransport(MAIL_DIR);
+  throw new Error(`Unknown mail transport: ${kind}`);
+}
+
+class Mailer {
+  constructor({ transport, from }) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  /** Sends message ({ to, subject, text }) from this mailer's address. */
+
+  async send(message) {
+    await this.transport.send({ from: this.from, ...message });
+  }
+}
+
+const mailer = new Mailer({ transport: createTransport(MAIL_TRANSPORT), from: MAIL_FROM });
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport,
+  Mailer,
+  createTransport,
+  mailer,
+};
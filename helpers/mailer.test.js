@@ -0,0 +1,54 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ConsoleTransport,
+  FileTransport,
+  Mailer,
+  createTransport,
+} = require("./mailer");
+const { logger } = require("./logger");
+
+const message = { to: "u1@email.com", subject: "Hi", text: "Hello" };
+
+describe("Mailer", function () {
+  test("sends from its address", async function () {
+    const transport = { send: jest.fn() };
+    await new Mailer({ transport, from: "me@jobly.local" }).send(message);
+    expect(transport.send).toHaveBeenCalledWith({ from: "me@jobly.local", ...message });
+  });
+});
+
+describe("ConsoleTransport", function () {
+  test("logs the message", async function () {
+    const info = jest.spyOn(logger, "info").mockImplementation(() => {});
+    await new ConsoleTransport().send(message);
+    expect(info).toHaveBeenCalledWith("mail", { mail: message });
+    info.mockRestore();
+  });
+});
+
+describe("FileTransport", function () {
+  test("writes the message to a file", async function () {
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "jobly-mail-")), "mail");
+    await new FileTransport(dir).send(message);
+
+    const files = fs.readdirSync(dir);
+    expect(files).toEqual([expect.stringMatching(/\.json$/)]);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, files[0]), "utf8"))).toEqual(message);
+    fs.rmSync(path.dirname(dir), { recursive: true });
+  });
+});
+
+describe("createTransport", function () {
+  test("works", function () {
+    expect(createTransport("console")).toBeInstanceOf(ConsoleTransport);
+    expect(createTransport("file")).toBeInstanceOf(FileTransport);
+  });
+
+  test("unknown kind", function () {
+    expect(() => createTransport("pigeon")).toThrow("Unknown mail transport: pigeon");
+  });
+});
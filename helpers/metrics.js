@@ -0,0 +1,160 @@
+"use strict";
+
+/** Metrics in the Prometheus text exposition format.
+ *
+ * Counters and histograms keep one series per distinct set of label values.
+ * The app's own metrics are defined at the bottom; GET /metrics renders
+ * them all with renderMetrics().
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, "\\\"")
+      .replace(/\n/g, "\\n");
+}
+
+/** Formats labels as {a="1",b="2"}, or "" when there are none. */
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+      .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/** Keeps a value per series, keyed by the formatted labels. */
+
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map();
+  }
+
+  seriesFor(labels, create) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, ...create() });
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSeries(),
+    ].join("\n");
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, "counter");
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  renderSeries() {
+    return [...this.series.values()]
+        .map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super(name, help, "histogram");
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const s = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i] += 1;
+    });
+    s.sum += value;
+    s.count += 1;
+  }
+
+  /** Starts a timer; calling the function it returns observes the seconds
+   * since, with labels (merged over the ones given here).
+   */
+
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+    };
+  }
+
+  renderSeries() {
+    const lines = [];
+    for (const s of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+const httpRequestsTotal = new Counter(
+    "http_requests_total",
+    "Count of HTTP requests, by method, route and status.");
+
+const httpRequestDuration = new Histogram(
+    "http_request_duration_seconds",
+    "HTTP request latency in seconds, by method, route and status.");
+
+const dbQueryDuration = new Histogram(
+    "db_query_duration_seconds",
+    "Database query time in seconds, by operation.");
+
+const QUERY_OPERATIONS = new Set([
+  "select", "insert", "update", "delete", "with",
+  "begin", "commit", "rollback", "savepoint", "release",
+]);
+
+/** Returns the kind of statement a pg query (text or config object) runs,
+ * like "select", for labelling its timing; anything unusual is "other".
+ */
+
+function queryOperation(query) {
+  const text = typeof query === "string" ? query : (query && query.text) || "";
+  const word = text.trim().split(/\s/, 1)[0].toLowerCase();
+  return QUERY_OPERATIONS.has(word) ? word : "other";
+}
+
+const METRICS = [httpRequestsTotal, httpRequestDuration, dbQueryDuration];
+
+/** Returns every metric, in the Prometheus text format. */
+
+function renderMetrics() {
+  return METRICS.map(m => m.render()).join("\n\n") + "\n";
+}
+
+module.exports = {
+  Counter,
+  Histogram,
+  formatLabels,
+  httpRequestsTotal,
+  httpRequestDuration,
+  dbQueryDuration,
+  queryOperation,
+  renderMetrics,
+};
@@ -0,0 +1,86 @@
+"use strict";
+
+const {
+  Counter,
+  Histogram,
+  formatLabels,
+  queryOperation,
+} = require("./metrics");
+
+describe("formatLabels", function () {
+  test("works", function () {
+    expect(formatLabels({ a: 1, b: "x" })).toEqual(`{a="1",b="x"}`);
+  });
+
+  test("escapes values", function () {
+    expect(formatLabels({ a: `say "hi"\\n` })).toEqual(`{a="say \\"hi\\"\\\\n"}`);
+  });
+
+  test("no labels", function () {
+    expect(formatLabels({})).toEqual("");
+  });
+});
+
+describe("Counter", function () {
+  test("counts per set of labels", function () {
+    const counter = new Counter("things_total", "Things.");
+    counter.inc({ kind: "a" });
+    counter.inc({ kind: "a" });
+    counter.inc({ kind: "b" }, 5);
+    expect(counter.render()).toEqual([
+      "# HELP things_total Things.",
+      "# TYPE things_total counter",
+      `things_total{kind="a"} 2`,
+      `things_total{kind="b"} 5`,
+    ].join("\n"));
+  });
+
+  test("reset", function () {
+    const counter = new Counter("things_total", "Things.");
+    counter.inc();
+    counter.reset();
+    expect(counter.render()).toEqual(
+        "# HELP things_total Things.\n# TYPE things_total counter");
+  });
+});
+
+describe("Histogram", function () {
+  test("buckets observations", function () {
+    const histogram = new Histogram("took_seconds", "Time taken.", [0.1, 1]);
+    histogram.observe({ op: "x" }, 0.05);
+    histogram.observe({ op: "x" }, 0.5);
+    histogram.observe({ op: "x" }, 2);
+    expect(histogram.render()).toEqual([
+      "# HELP took_seconds Time taken.",
+      "# TYPE took_seconds histogram",
+      `took_seconds_bucket{op="x",le="0.1"} 1`,
+      `took_seconds_bucket{op="x",le="1"} 2`,
+      `took_seconds_bucket{op="x",le="+Inf"} 3`,
+      `took_seconds_sum{op="x"} 2.55`,
+      `took_seconds_count{op="x"} 3`,
+    ].join("\n"));
+  });
+
+  test("startTimer observes elapsed time with labels", function () {
+    const histogram = new Histogram("took_seconds", "Time taken.", [60]);
+    const end = histogram.startTimer({ op: "x" });
+    end({ status: 200 });
+    const rendered = histogram.render();
+    expect(rendered).toContain(`took_seconds_bucket{op="x",status="200",le="60"} 1`);
+    expect(rendered).toContain(`took_seconds_count{op="x",status="200"} 1`);
+  });
+});
+
+describe("queryOperation", function () {
+  test("works", function () {
+    expect(queryOperation("SELECT 1")).toEqual("select");
+    expect(queryOperation("\n  WITH x AS (SELECT 1) SELECT * FROM x")).toEqual("with");
+    expect(queryOperation({ text: "INSERT INTO t VALUES (1)" })).toEqual("insert");
+    expect(queryOperation("ROLLBACK TO SAVEPOINT s")).toEqual("rollback");
+  });
+
+  test("other for anything else", function () {
+    expect(queryOperation("CREATE TABLE t (id INTEGER)")).toEqual("other");
+    expect(queryOperation(undefined)).toEqual("other");
+  });
+});
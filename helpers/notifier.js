@@ -0,0 +1,63 @@
+"use strict";
+
+/** Sending users notifications, like saved search alerts.
+ *
+ * A notification is { username, email, subject, text, data }, where data
+ * holds what it is about for transports that can use more than text. A
+ * notifier delivers them with notify(notification). The ones here are:
+ *
+ *   console   logs each notification (see helpers/logger.js)
+ *   file      writes each notification to a JSON file in NOTIFY_DIR
+ *   mail      mails each to the user's email (see helpers/mailer.js)
+ *
+ * Only mail reaches the user; console and file are for dev and tests.
+ */
+
+const { logger } = require("./logger");
+const { FileTransport, mailer } = require("./mailer");
+const { NOTIFY_TRANSPORT, NOTIFY_DIR } = require("../config");
+
+class ConsoleNotifier {
+  async notify(notification) {
+    logger.info("notification", { notification });
+  }
+}
+
+class FileNotifier {
+  constructor(dir) {
+    this.files = new FileTransport(dir);
+  }
+
+  async notify(notification) {
+    await this.files.send(notification);
+  }
+}
+
+class MailNotifier {
+  constructor(mailer) {
+    this.mailer = mailer;
+  }
+
+  async notify({ email, subject, text }) {
+    await this.mailer.send({ to: email, subject, text });
+  }
+}
+
+/** Returns a new notifier of the kind named ("console", "file" or "mail"). */
+
+function createNotifier(kind) {
+  if (kind === "console") return new ConsoleNotifier();
+  if (kind === "file") return new FileNotifier(NOTIFY_DIR);
+  if (kind === "mail") return new MailNotifier(mailer);
+  throw new Error(`Unknown notifier: ${kind}`);
+}
+
+const notifier = createNotifier(NOTIFY_TRANSPORT);
+
+module.exports = {
+  ConsoleNotifier,
+  FileNotifier,
+  MailNotifier,
+  createNotifier,
+  notifier,
+};
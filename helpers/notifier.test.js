@@ -0,0 +1,65 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ConsoleNotifier,
+  FileNotifier,
+  MailNotifier,
+  createNotifier,
+} = require("./notifier");
+const { logger } = require("./logger");
+
+const notification = {
+  username: "u1",
+  email: "u1@email.com",
+  subject: "New jobs",
+  text: "Hello",
+  data: { type: "savedSearch" },
+};
+
+describe("ConsoleNotifier", function () {
+  test("logs the notification", async function () {
+    const info = jest.spyOn(logger, "info").mockImplementation(() => {});
+    await new ConsoleNotifier().notify(notification);
+    expect(info).toHaveBeenCalledWith("notification", { notification });
+    info.mockRestore();
+  });
+});
+
+describe("FileNotifier", function () {
+  test("writes the notification to a file", async function () {
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "jobly-notify-")), "notifications");
+    await new FileNotifier(dir).notify(notification);
+
+    const files = fs.readdirSync(dir);
+    expect(files).toEqual([expect.stringMatching(/\.json$/)]);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, files[0]), "utf8"))).toEqual(notification);
+    fs.rmSync(path.dirname(dir), { recursive: true });
+  });
+});
+
+describe("MailNotifier", function () {
+  test("mails the user", async function () {
+    const mailer = { send: jest.fn() };
+    await new MailNotifier(mailer).notify(notification);
+    expect(mailer.send).toHaveBeenCalledWith({
+      to: "u1@email.com",
+      subject: "New jobs",
+      text: "Hello",
+    });
+  });
+});
+
+describe("createNotifier", function () {
+  test("works", function () {
+    expect(createNotifier("console")).toBeInstanceOf(ConsoleNotifier);
+    expect(createNotifier("file")).toBeInstanceOf(FileNotifier);
+    expect(createNotifier("mail")).toBeInstanceOf(MailNotifier);
+  });
+
+  test("unknown kind", function () {
+    expect(() => createNotifier("pigeon")).toThrow("Unknown notifier: pigeon");
+  });
+});
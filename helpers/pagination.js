@@ -0,0 +1,160 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/** Opaque cursors are the url-safe base64 of [sortValue, keyValue] for the
+ * last row of a page.
+ */
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values))
+      .toString("base64")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+}
+
+/** Tells whether a cursor value can be compared with a column of each
+ * type, as the value of that column in a row of results would be. pg gives
+ * NUMERIC columns as strings, and timestamps come back from JSON as ISO
+ * strings.
+ */
+
+const CURSOR_TYPES = {
+  integer: v => Number.isInteger(v) && v >= -(2 ** 31) && v < 2 ** 31,
+  numeric: v => typeof v === "string" && /^-?\d+(\.\d+)?$/.test(v),
+  text: v => typeof v === "string" && !v.includes("\0"),
+  timestamp: v => typeof v === "string"
+      && !Number.isNaN(Date.parse(v))
+      && new Date(v).toISOString() === v,
+};
+
+/** Decodes a cursor made by encodeCursor for columns of the given
+ * [sortType, keyType] (see CURSOR_TYPES). The sort value may be null, as
+ * it is for rows with nulls in the sort column.
+ *
+ * Throws BadRequestError if the cursor isn't one or its values don't fit
+ * the columns, rather than leave the database to reject them.
+ */
+
+function decodeCursor(cursor, [sortType, keyType]) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64").toString());
+  } catch (err) {
+    values = null;
+  }
+
+  if (Array.isArray(values) && values.length === 2) {
+    const [sortValue, keyValue] = values;
+    if ((sortValue === null || CURSOR_TYPES[sortType](sortValue))
+        && CURSOR_TYPES[keyType](keyValue)) {
+      return values;
+    }
+  }
+  throw new BadRequestError("Invalid cursor");
+}
+
+/** Checks paging options and builds the sql to page through a list query.
+ *
+ * page is { sort, direction, limit, offset, cursor }, all optional:
+ * - sort must be a key of `sortable`, which maps sort names to
+ *   { col, type }: the sql for the column and its type, one of the keys of
+ *   CURSOR_TYPES (the sort names are also the names of the returned fields)
+ * - direction is "asc" (the default) or "desc"
+ * - limit defaults to 50 and can be at most 100
+ * - either offset or cursor (the nextCursor of the previous page) picks
+ *   where the page starts
+ *
+ * key is the sort name of a unique column, used to break ties so keyset
+ * paging never skips or repeats rows. Nulls always sort last.
+ *
+ * Parameters are pushed onto `values`, which holds the query's filter values.
+ *
+ * Returns { keyset, orderBy, limitClause, limit, sort, key }, where keyset
+ * is a WHERE condition for the cursor (or null when there is none).
+ */
+
+function sqlForPagination(page, { sortable, defaultSort, key }, values) {
+  const sort = page.sort === undefined ? defaultSort : page.sort;
+  if (!Object.prototype.hasOwnProperty.call(sortable, sort)) {
+    throw new BadRequestError(
+        `sort must be one of: ${Object.keys(sortable).join(", ")}`);
+  }
+
+  const direction = page.direction === undefined ? "asc" : page.direction;
+  if (direction !== "asc" && direction !== "desc") {
+    throw new BadRequestError("direction must be asc or desc");
+  }
+
+  const limit = page.limit === undefined ? DEFAULT_LIMIT : Number(page.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadRequestError(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  const offset = page.offset === undefined ? 0 : Number(page.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new BadRequestError("offset must be a non-negative integer");
+  }
+
+  if (page.cursor !== undefined && offset > 0) {
+    throw new BadRequestError("Use either cursor or offset, not both");
+  }
+
+  const { col, type } = sortable[sort];
+  const { col: keyCol, type: keyType } = sortable[key];
+  const op = direction === "asc" ? ">" : "<";
+  const dir = direction.toUpperCase();
+
+  let keyset = null;
+  if (page.cursor !== undefined) {
+    const [lastValue, lastKey] = decodeCursor(page.cursor, [type, keyType]);
+    values.push(lastKey);
+    const keyIdx = values.length;
+
+    if (lastValue === null) {
+      keyset = `(${col} IS NULL AND ${keyCol} ${op} $${keyIdx})`;
+    } else {
+      values.push(lastValue);
+      const valueIdx = values.length;
+      keyset = `(${col} ${op} $${valueIdx}
+                 OR (${col} = $${valueIdx} AND ${keyCol} ${op} $${keyIdx})
+                 OR ${col} IS NULL)`;
+    }
+  }
+
+  // fetch one extra row to tell whether there is a next page
+  values.push(limit + 1, offset);
+  const limitClause = `LIMIT $${values.length - 1} OFFSET $${values.length}`;
+  const orderBy = `ORDER BY ${col} ${dir} NULLS LAST, ${keyCol} ${dir}`;
+
+  return { keyset, orderBy, limitClause, limit, sort, key };
+}
+
+/** Given the rows fetched with a query from sqlForPagination (and what
+ * it returned), returns { items, total, nextCursor }.
+ *
+ * nextCursor is null on the last page.
+ */
+
+function pageOf(rows, { limit, sort, key }, total) {
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor = rows.length > limit
+      ? encodeCursor([last[sort], last[key]])
+      : null;
+
+  return { items, total, nextCursor };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  sqlForPagination,
+  pageOf,
+};
@@ -0,0 +1,146 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const {
+  encodeCursor,
+  decodeCursor,
+  sqlForPagination,
+  pageOf,
+} = require("./pagination");
+
+const options = {
+  sortable: {
+    id: { col: "id", type: "integer" },
+    name: { col: "name", type: "text" },
+  },
+  defaultSort: "name",
+  key: "id",
+};
+
+describe("encodeCursor / decodeCursor", function () {
+  test("round trips", function () {
+    const cursor = encodeCursor(["C1/+?", 7]);
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, ["text", "integer"])).toEqual(["C1/+?", 7]);
+  });
+
+  test("works: values of each type", function () {
+    const values = ["0.5", "2024-01-02T03:04:05.678Z"];
+    expect(decodeCursor(encodeCursor(values), ["numeric", "timestamp"]))
+        .toEqual(values);
+    expect(decodeCursor(encodeCursor([null, 7]), ["text", "integer"]))
+        .toEqual([null, 7]);
+  });
+
+  test("bad request on garbage", function () {
+    expect(() => decodeCursor("nope", ["text", "integer"]))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on values that don't fit the columns", function () {
+    const bad = [
+      [["C1", "7"], ["text", "integer"]],
+      [["C1", 7.5], ["text", "integer"]],
+      [["C1", 2 ** 31], ["text", "integer"]],
+      [["C1", null], ["text", "integer"]],
+      [[7, 7], ["text", "integer"]],
+      [["C1\u0000", 7], ["text", "integer"]],
+      [[0.5, 7], ["numeric", "integer"]],
+      [["1e5", 7], ["numeric", "integer"]],
+      [["2024-02-31T00:00:00.000Z", 7], ["timestamp", "integer"]],
+      [["yesterday", 7], ["timestamp", "integer"]],
+      [[{}, 7], ["text", "integer"]],
+    ];
+    for (const [values, types] of bad) {
+      expect(() => decodeCursor(encodeCursor(values), types))
+          .toThrow(new BadRequestError("Invalid cursor"));
+    }
+  });
+});
+
+describe("sqlForPagination", function () {
+  test("works: defaults", function () {
+    const values = ["%c%"];
+    const page = sqlForPagination({}, options, values);
+    expect(page).toEqual({
+      keyset: null,
+      orderBy: "ORDER BY name ASC NULLS LAST, id ASC",
+      limitClause: "LIMIT $2 OFFSET $3",
+      limit: 50,
+      sort: "name",
+      key: "id",
+    });
+    expect(values).toEqual(["%c%", 51, 0]);
+  });
+
+  test("works: sort, direction, limit and offset", function () {
+    const values = [];
+    const page = sqlForPagination(
+        { sort: "id", direction: "desc", limit: "2", offset: "4" }, options, values);
+    expect(page.orderBy).toEqual("ORDER BY id DESC NULLS LAST, id DESC");
+    expect(values).toEqual([3, 4]);
+  });
+
+  test("works: cursor", function () {
+    const values = [];
+    const page = sqlForPagination(
+        { cursor: encodeCursor(["C2", 2]) }, options, values);
+    expect(page.keyset).toContain("name > $2");
+    expect(page.keyset).toContain("id > $1");
+    expect(values).toEqual([2, "C2", 51, 0]);
+  });
+
+  test("works: cursor on a null sort value", function () {
+    const values = [];
+    const page = sqlForPagination(
+        { cursor: encodeCursor([null, 2]) }, options, values);
+    expect(page.keyset).toEqual("(name IS NULL AND id > $1)");
+    expect(values).toEqual([2, 51, 0]);
+  });
+
+  test("bad request on sort not in whitelist", function () {
+    expect(() => sqlForPagination({ sort: "password" }, options, []))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on invalid direction, limit or offset", function () {
+    expect(() => sqlForPagination({ direction: "up" }, options, []))
+        .toThrow(BadRequestError);
+    expect(() => sqlForPagination({ limit: "0" }, options, []))
+        .toThrow(BadRequestError);
+    expect(() => sqlForPagination({ limit: "101" }, options, []))
+        .toThrow(BadRequestError);
+    expect(() => sqlForPagination({ offset: "-1" }, options, []))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on a cursor for another sort", function () {
+    expect(() => sqlForPagination(
+        { sort: "id", cursor: encodeCursor(["C2", 2]) }, options, []))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on both cursor and offset", function () {
+    expect(() => sqlForPagination(
+        { cursor: encodeCursor(["C2", 2]), offset: "1" }, options, []))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("pageOf", function () {
+  const rows = [{ id: 1, name: "a" }, { id: 2, name: "b" }, { id: 3, name: "c" }];
+
+  test("works: more rows than limit", function () {
+    const page = pageOf(rows, { limit: 2, sort: "name", key: "id" }, 10);
+    expect(page).toEqual({
+      items: rows.slice(0, 2),
+      total: 10,
+      nextCursor: encodeCursor(["b", 2]),
+    });
+  });
+
+  test("works: last page", function () {
+    const page = pageOf(rows, { limit: 3, sort: "name", key: "id" }, 3);
+    expect(page).toEqual({ items: rows, total: 3, nextCursor: null });
+  });
+});
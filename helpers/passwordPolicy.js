@@ -0,0 +1,106 @@
+"use strict";
+
+/** Rules new passwords must follow.
+ *
+ * The policy comes from config.js:
+ *   PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH
+ *                              the most is in UTF-8 bytes, which is what
+ *                              bcrypt's limit counts
+ *   PASSWORD_REQUIRED_CLASSES  which of lowercase, uppercase, digit and
+ *                              symbol a password needs one of each of
+ *   PASSWORD_CHECK_COMMON      whether to turn away passwords on the
+ *                              bundled list of common and breached ones
+ *                              (commonPasswords.txt)
+ *
+ * Passwords also can't contain the user's username or email.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { BadRequestError } = require("../expressError");
+const {
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+  PASSWORD_REQUIRED_CLASSES,
+  PASSWORD_CHECK_COMMON,
+} = require("../config");
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, name: "a lowercase letter" },
+  uppercase: { pattern: /[A-Z]/, name: "an uppercase letter" },
+  digit: { pattern: /[0-9]/, name: "a digit" },
+  symbol: { pattern: /[^a-zA-Z0-9]/, name: "a symbol" },
+};
+
+// usernames shorter than this are too likely to turn up by chance
+const MIN_PERSONAL_LENGTH = 3;
+
+const COMMON_PASSWORDS = new Set(
+    fs.readFileSync(path.join(__dirname, "commonPasswords.txt"), "utf8")
+        .split("\n")
+        .map(p => p.trim())
+        .filter(p => p));
+
+for (const kind of PASSWORD_REQUIRED_CLASSES) {
+  if (!CHARACTER_CLASSES[kind]) throw new Error(`Unknown password character class: ${kind}`);
+}
+
+const DEFAULT_POLICY = {
+  minLength: PASSWORD_MIN_LENGTH,
+  maxLength: PASSWORD_MAX_LENGTH,
+  requiredClasses: PASSWORD_REQUIRED_CLASSES,
+  checkCommon: PASSWORD_CHECK_COMMON,
+};
+
+/** Returns what is wrong with password for the user { username, email },
+ * as a list of messages; the list is empty if nothing is.
+ */
+
+function passwordProblems(password, { username, email } = {}, policy = DEFAULT_POLICY) {
+  const problems = [];
+
+  if (password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (Buffer.byteLength(password, "utf8") > policy.maxLength) {
+    problems.push(`Password must be at most ${policy.maxLength} bytes`);
+  }
+
+  for (const kind of policy.requiredClasses) {
+    const { pattern, name } = CHARACTER_CLASSES[kind];
+    if (!pattern.test(password)) problems.push(`Password must contain ${name}`);
+  }
+
+  const lower = password.toLowerCase();
+  if (username && username.length >= MIN_PERSONAL_LENGTH
+      && lower.includes(username.toLowerCase())) {
+    problems.push("Password must not contain your username");
+  }
+  if (email) {
+    const [localPart] = email.toLowerCase().split("@");
+    if (localPart.length >= MIN_PERSONAL_LENGTH && lower.includes(localPart)) {
+      problems.push("Password must not contain your email");
+    }
+  }
+
+  if (policy.checkCommon && COMMON_PASSWORDS.has(lower)) {
+    problems.push("Password is too common; it appears in lists of breached passwords");
+  }
+
+  return problems;
+}
+
+/** Throws BadRequestError listing what is wrong with password for the
+ * user { username, email }, if anything is.
+ */
+
+function validatePassword(password, user, policy) {
+  const problems = passwordProblems(password, user, policy);
+  if (problems.length) throw new BadRequestError(problems);
+}
+
+module.exports = {
+  CHARACTER_CLASSES,
+  passwordProblems,
+  validatePassword,
+};
@@ -0,0 +1,79 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { passwordProblems, validatePassword } = require("./passwordPolicy");
+
+const policy = {
+  minLength: 8,
+  maxLength: 72,
+  requiredClasses: ["lowercase", "uppercase", "digit"],
+  checkCommon: true,
+};
+
+describe("passwordProblems", function () {
+  test("none for a good password", function () {
+    expect(passwordProblems("Tr0ub4dor-horse", { username: "u1" }, policy)).toEqual([]);
+  });
+
+  test("length", function () {
+    expect(passwordProblems("Ab1", {}, policy))
+        .toEqual(["Password must be at least 8 characters"]);
+    expect(passwordProblems("Ab1" + "x".repeat(70), {}, policy))
+        .toEqual(["Password must be at most 72 bytes"]);
+  });
+
+  test("length counts bytes, as bcrypt does", function () {
+    // 45 characters, but each "é" is 2 bytes in UTF-8, making 73 bytes
+    expect(passwordProblems("Ab1" + "é".repeat(28) + "x".repeat(14), {}, policy))
+        .toEqual(["Password must be at most 72 bytes"]);
+    expect(passwordProblems("Ab1" + "é".repeat(28) + "x".repeat(13), {}, policy))
+        .toEqual([]);
+  });
+
+  test("character classes", function () {
+    expect(passwordProblems("no-capitals-or-digits", {}, policy)).toEqual([
+      "Password must contain an uppercase letter",
+      "Password must contain a digit",
+    ]);
+    expect(passwordProblems("NoSymbols123", {}, { ...policy, requiredClasses: ["symbol"] }))
+        .toEqual(["Password must contain a symbol"]);
+  });
+
+  test("username and email", function () {
+    expect(passwordProblems("Xx-Alice-99", { username: "alice" }, policy))
+        .toEqual(["Password must not contain your username"]);
+    expect(passwordProblems("Xx-Bob.Smith-99", { email: "bob.smith@email.com" }, policy))
+        .toEqual(["Password must not contain your email"]);
+  });
+
+  test("short usernames can turn up by chance", function () {
+    expect(passwordProblems("Xx-U1-990", { username: "u1" }, policy)).toEqual([]);
+  });
+
+  test("common passwords", function () {
+    expect(passwordProblems("Password123", {}, policy))
+        .toEqual(["Password is too common; it appears in lists of breached passwords"]);
+    expect(passwordProblems("Password123", {}, { ...policy, checkCommon: false }))
+        .toEqual([]);
+  });
+});
+
+describe("validatePassword", function () {
+  test("works", function () {
+    validatePassword("Tr0ub4dor-horse", { username: "u1" }, policy);
+  });
+
+  test("bad request listing the problems", function () {
+    try {
+      validatePassword("short", {}, policy);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual([
+        "Password must be at least 8 characters",
+        "Password must contain an uppercase letter",
+        "Password must contain a digit",
+      ]);
+    }
+  });
+});
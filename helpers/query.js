@@ -0,0 +1,45 @@
+"use strict";
+
+/** Coerces query string values to the types a JSON schema expects.
+ *
+ * Everything in req.query arrives as a string. For each key the schema
+ * knows about, "integer"/"number" strings become numbers, "true"/"false"
+ * become booleans and "array" values are split on commas. Anything that
+ * doesn't parse is left alone so the schema rejects it; unknown keys are
+ * left for the schema's additionalProperties to catch.
+ *
+ * Returns a new object; req.query isn't changed.
+ */
+
+function coerceQuery(query, schema) {
+  const coerced = {};
+
+  for (const [key, value] of Object.entries(query)) {
+    const prop = schema.properties[key];
+    coerced[key] = prop ? coerceValue(value, prop.type) : value;
+  }
+
+  return coerced;
+}
+
+function coerceValue(value, type) {
+  if (typeof value !== "string") return value;
+
+  if (type === "integer" || type === "number") {
+    return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+  }
+
+  if (type === "boolean") {
+    if (value === "true") return true;
+    if (value === "false") return false;
+    return value;
+  }
+
+  if (type === "array") {
+    return value.split(",").map(v => v.trim()).filter(v => v !== "");
+  }
+
+  return value;
+}
+
+module.exports = { coerceQuery };
@@ -0,0 +1,46 @@
+"use strict";
+
+const { coerceQuery } = require("./query");
+
+const schema = {
+  properties: {
+    name: { type: "string" },
+    minEmployees: { type: "integer" },
+    equity: { type: "number" },
+    hasEquity: { type: "boolean" },
+    tags: { type: "array" },
+  },
+};
+
+describe("coerceQuery", function () {
+  test("works", function () {
+    expect(coerceQuery({
+      name: "12",
+      minEmployees: "12",
+      equity: "0.5",
+      hasEquity: "false",
+      tags: "a, b,,c",
+    }, schema)).toEqual({
+      name: "12",
+      minEmployees: 12,
+      equity: 0.5,
+      hasEquity: false,
+      tags: ["a", "b", "c"],
+    });
+  });
+
+  test("leaves values that don't parse for the schema to reject", function () {
+    expect(coerceQuery({ minEmployees: "lots", hasEquity: "yes" }, schema))
+        .toEqual({ minEmployees: "lots", hasEquity: "yes" });
+  });
+
+  test("leaves unknown keys alone", function () {
+    expect(coerceQuery({ nope: "1" }, schema)).toEqual({ nope: "1" });
+  });
+
+  test("doesn't change the query passed in", function () {
+    const query = { minEmployees: "1" };
+    coerceQuery(query, schema);
+    expect(query).toEqual({ minEmployees: "1" });
+  });
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+/** Stores for rate limit counts (see middleware/rateLimit.js).
+ *
+ * A store counts hits per key in fixed windows. Every store has:
+ *
+ *   hit(key, windowSeconds) => { count, resetAt }
+ *     counts a hit on key, starting a new window if the last one is over;
+ *     count is the hits so far in the window and resetAt the Date it ends
+ *   reset(key)
+ *     forgets key's count
+ *   clear()
+ *     forgets every count
+ */
+
+const db = require("../db");
+
+// past this many keys, the memory store sweeps out finished windows
+const MEMORY_SWEEP_SIZE = 10000;
+
+/** Keeps counts in this process's memory; they're lost on restart and not
+ * shared between processes.
+ */
+
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  async hit(key, windowSeconds) {
+    const now = Date.now();
+    if (this.windows.size > MEMORY_SWEEP_SIZE) this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowSeconds * 1000 };
+      this.windows.set(key, window);
+    }
+    window.count += 1;
+
+    return { count: window.count, resetAt: new Date(window.resetAt) };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  async clear() {
+    this.windows.clear();
+  }
+
+  sweep(now) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+/** Keeps counts in the rate_limits table, so every process using the
+ * database shares them.
+ */
+
+class PostgresStore {
+  async hit(key, windowSeconds) {
+    const result = await db.query(
+          `INSERT INTO rate_limits (key, count, reset_at)
+           VALUES ($1, 1, NOW() + make_interval(secs => $2))
+           ON CONFLICT (key) DO UPDATE
+           SET count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1
+                            ELSE rate_limits.count + 1 END,
+               reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at
+                               ELSE rate_limits.reset_at END
+           RETURNING count, reset_at AS "resetAt"`,
+        [key, windowSeconds],
+    );
+
+    return result.rows[0];
+  }
+
+  async reset(key) {
+    await db.query(`DELETE FROM rate_limits WHERE key = $1`, [key]);
+  }
+
+  async clear() {
+    // noinspection SqlWithoutWhere
+    await db.query(`DELETE FROM rate_limits`);
+  }
+
+  /** Removes counts whose windows are over; returns how many. */
+
+  async prune() {
+    const result = await db.query(`DELETE FROM rate_limits WHERE reset_at <= NOW()`);
+    return result.rowCount;
+  }
+}
+
+const STORES = {
+  memory: MemoryStore,
+  postgres: PostgresStore,
+};
+
+/** Returns a new store of the kind named ("memory" or "postgres"). */
+
+function createStore(kind) {
+  const Store = STORES[kind];
+  if (!Store) throw new Error(`Unknown rate limit store: ${kind}`);
+  return new Store();
+}
+
+module.exports = {
+  MemoryStore,
+  PostgresStore,
+  createStore,
+};
@@ -0,0 +1,87 @@
+"use strict";
+
+const db = require("../db");
+const { MemoryStore, PostgresStore, createStore } = require("./rateLimitStore");
+
+afterAll(function () {
+  db.end();
+});
+
+describe("MemoryStore", function () {
+  test("counts hits per key within a window", async function () {
+    const store = new MemoryStore();
+    expect((await store.hit("a", 60)).count).toEqual(1);
+    expect((await store.hit("a", 60)).count).toEqual(2);
+    expect((await store.hit("b", 60)).count).toEqual(1);
+
+    const { resetAt } = await store.hit("a", 60);
+    expect(resetAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test("starts over once the window is over", async function () {
+    const store = new MemoryStore();
+    await store.hit("a", 0);
+    expect((await store.hit("a", 60)).count).toEqual(1);
+  });
+
+  test("reset and clear", async function () {
+    const store = new MemoryStore();
+    await store.hit("a", 60);
+    await store.hit("b", 60);
+    await store.reset("a");
+    expect((await store.hit("a", 60)).count).toEqual(1);
+    await store.clear();
+    expect((await store.hit("b", 60)).count).toEqual(1);
+  });
+});
+
+describe("PostgresStore", function () {
+  beforeEach(async function () {
+    await db.query("BEGIN");
+  });
+
+  afterEach(async function () {
+    await db.query("ROLLBACK");
+  });
+
+  test("counts hits per key within a window", async function () {
+    const store = new PostgresStore();
+    expect((await store.hit("a", 60)).count).toEqual(1);
+    expect((await store.hit("a", 60)).count).toEqual(2);
+    expect((await store.hit("b", 60)).count).toEqual(1);
+
+    const { resetAt } = await store.hit("a", 60);
+    expect(resetAt).toEqual(expect.any(Date));
+  });
+
+  test("starts over once the window is over", async function () {
+    const store = new PostgresStore();
+    await store.hit("a", 60);
+    await db.query(`UPDATE rate_limits SET reset_at = NOW() - INTERVAL '1 second'`);
+    expect((await store.hit("a", 60)).count).toEqual(1);
+  });
+
+  test("reset and prune", async function () {
+    const store = new PostgresStore();
+    await store.hit("a", 60);
+    await store.hit("b", 60);
+    await store.reset("a");
+    expect((await store.hit("a", 60)).count).toEqual(1);
+
+    await db.query(`UPDATE rate_limits SET reset_at = NOW() - INTERVAL '1 second' WHERE key = 'b'`);
+    expect(await store.prune()).toEqual(1);
+    const res = await db.query(`SELECT key FROM rate_limits`);
+    expect(res.rows).toEqual([{ key: "a" }]);
+  });
+});
+
+describe("createStore", function () {
+  test("works", function () {
+    expect(createStore("memory")).toBeInstanceOf(MemoryStore);
+    expect(createStore("postgres")).toBeInstanceOf(PostgresStore);
+  });
+
+  test("unknown kind", function () {
+    expect(() => createStore("redis")).toThrow("Unknown rate limit store: redis");
+  });
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+/** Scoring for job recommendations.
+ *
+ * A user's past applications make up their profile: the titles they went
+ * for, the companies, the salary band and whether they picked jobs with
+ * equity. Withdrawn applications don't count towards the profile.
+ *
+ * A job scores points for each way it looks like the profile:
+ * - title: up to 3, by word overlap with the closest applied-to title
+ * - company: 2 if they applied to another job there
+ * - salary: 1 if within 10% of the band of applied-to salaries
+ * - equity: 1 if it has equity and they applied to jobs with equity
+ */
+
+const WEIGHTS = { title: 3, company: 2, salary: 1, equity: 1 };
+const SALARY_SLACK = 0.1;
+
+function titleWords(title) {
+  return new Set(title.toLowerCase().split(/[^a-z0-9]+/).filter(w => w !== ""));
+}
+
+/** Jaccard similarity of the words in two titles, from 0 to 1. */
+
+function titleSimilarity(a, b) {
+  const wordsA = titleWords(a);
+  const wordsB = titleWords(b);
+  const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+  const all = new Set([...wordsA, ...wordsB]).size;
+  return all === 0 ? 0 : shared / all;
+}
+
+/** Given the jobs a user applied to (each with a status), returns their
+ * profile: { titles, companies, minSalary, maxSalary, likesEquity }.
+ */
+
+function buildProfile(appliedJobs) {
+  const jobs = appliedJobs.filter(j => j.status !== "withdrawn");
+  const salaries = jobs.map(j => j.salary).filter(s => s !== null);
+
+  return {
+    titles: jobs.map(j => j.title),
+    companies: new Set(jobs.map(j => j.companyHandle)),
+    minSalary: salaries.length ? Math.min(...salaries) : null,
+    maxSalary: salaries.length ? Math.max(...salaries) : null,
+    likesEquity: jobs.some(j => Number(j.equity) > 0),
+  };
+}
+
+/** Returns how well job matches profile; higher is better, 0 is no match. */
+
+function scoreJob(job, profile) {
+  let score = 0;
+
+  if (profile.titles.length) {
+    score += WEIGHTS.title *
+        Math.max(...profile.titles.map(t => titleSimilarity(t, job.title)));
+  }
+
+  if (profile.companies.has(job.companyHandle)) score += WEIGHTS.company;
+
+  if (profile.minSalary !== null && job.salary !== null &&
+      job.salary >= profile.minSalary * (1 - SALARY_SLACK) &&
+      job.salary <= profile.maxSalary * (1 + SALARY_SLACK)) {
+    score += WEIGHTS.salary;
+  }
+
+  if (profile.likesEquity && Number(job.equity) > 0) score += WEIGHTS.equity;
+
+  return Math.round(score * 1000) / 1000;
+}
+
+/** Ranks candidate jobs against the jobs a user applied to.
+ *
+ * Returns up to limit of the candidates that match at all, each with its
+ * score, best first; ties go to the lower job id so the order is stable.
+ */
+
+function rankJobs(candidates, appliedJobs, limit) {
+  const profile = buildProfile(appliedJobs);
+
+  return candidates
+      .map(job => ({ ...job, score: scoreJob(job, profile) }))
+      .filter(job => job.score > 0)
+      .sort((a, b) => b.score - a.score || a.id - b.id)
+      .slice(0, limit);
+}
+
+module.exports = {
+  titleSimilarity,
+  buildProfile,
+  scoreJob,
+  rankJobs,
+};
@@ -0,0 +1,94 @@
+"use strict";
+
+const {
+  titleSimilarity,
+  buildProfile,
+  scoreJob,
+  rankJobs,
+} = require("./recommendations");
+
+const applied = [
+  { id: 1, title: "Backend Engineer", salary: 100000, equity: "0.01", companyHandle: "c1", status: "applied" },
+  { id: 2, title: "Data Engineer", salary: 120000, equity: null, companyHandle: "c2", status: "rejected" },
+  { id: 3, title: "Chef", salary: 30000, equity: null, companyHandle: "c3", status: "withdrawn" },
+];
+
+describe("titleSimilarity", function () {
+  test("works", function () {
+    expect(titleSimilarity("Backend Engineer", "backend engineer")).toEqual(1);
+    expect(titleSimilarity("Backend Engineer", "Frontend Engineer")).toEqual(1 / 3);
+    expect(titleSimilarity("Backend Engineer", "Chef")).toEqual(0);
+  });
+});
+
+describe("buildProfile", function () {
+  test("works, ignoring withdrawn applications", function () {
+    const profile = buildProfile(applied);
+    expect(profile).toEqual({
+      titles: ["Backend Engineer", "Data Engineer"],
+      companies: new Set(["c1", "c2"]),
+      minSalary: 100000,
+      maxSalary: 120000,
+      likesEquity: true,
+    });
+  });
+
+  test("works: no applications", function () {
+    expect(buildProfile([])).toEqual({
+      titles: [],
+      companies: new Set(),
+      minSalary: null,
+      maxSalary: null,
+      likesEquity: false,
+    });
+  });
+});
+
+describe("scoreJob", function () {
+  const profile = buildProfile(applied);
+
+  test("scores every signal", function () {
+    const job = { id: 4, title: "Backend Engineer", salary: 110000, equity: "0.02", companyHandle: "c1" };
+    expect(scoreJob(job, profile)).toEqual(3 + 2 + 1 + 1);
+  });
+
+  test("partial title match", function () {
+    const job = { id: 4, title: "Frontend Engineer", salary: null, equity: null, companyHandle: "c9" };
+    expect(scoreJob(job, profile)).toEqual(1);
+  });
+
+  test("salary band has 10% slack", function () {
+    const inBand = { id: 4, title: "x", salary: 131000, equity: null, companyHandle: "c9" };
+    const outOfBand = { id: 5, title: "x", salary: 133000, equity: null, companyHandle: "c9" };
+    expect(scoreJob(inBand, profile)).toEqual(1);
+    expect(scoreJob(outOfBand, profile)).toEqual(0);
+  });
+});
+
+describe("rankJobs", function () {
+  test("ranks best first, ties by id, dropping non-matches", function () {
+    const candidates = [
+      { id: 9, title: "Chef", salary: 30000, equity: null, companyHandle: "c3" },
+      { id: 8, title: "Engineer", salary: null, equity: null, companyHandle: "c9" },
+      { id: 7, title: "Engineer", salary: null, equity: null, companyHandle: "c9" },
+      { id: 6, title: "Backend Engineer", salary: 100000, equity: null, companyHandle: "c2" },
+    ];
+    const ranked = rankJobs(candidates, applied, 10);
+    expect(ranked.map(j => [j.id, j.score])).toEqual([[6, 6], [7, 1.5], [8, 1.5]]);
+  });
+
+  test("respects limit", function () {
+    const candidates = [
+      { id: 7, title: "Engineer", salary: null, equity: null, companyHandle: "c9" },
+      { id: 8, title: "Engineer", salary: null, equity: null, companyHandle: "c9" },
+    ];
+    expect(rankJobs(candidates, applied, 1).map(j => j.id)).toEqual([7]);
+  });
+
+  test("nothing to recommend without applications", function () {
+    const candidates = [
+      { id: 7, title: "Engineer", salary: 1, equity: "0.1", companyHandle: "c9" },
+    ];
+    expect(rankJobs(candidates, [], 10)).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+/** Alerting users to jobs new to their saved searches. */
+
+const SavedSearch = require("../models/savedSearch");
+const { notifier: defaultNotifier } = require("./notifier");
+const { logger } = require("./logger");
+
+/** Returns the text of an alert for a search's new jobs. */
+
+function alertText(name, jobs, total) {
+  const lines = jobs.map(j => `- ${j.title} at ${j.companyHandle} (job ${j.id})`);
+  if (total > jobs.length) lines.push(`...and ${total - jobs.length} more`);
+  return `New jobs for your saved search "${name}":\n\n${lines.join("\n")}`;
+}
+
+/** Sends each saved search's owner the jobs posted since it was last
+ * alerted on, through notifier; searches with no new jobs send nothing.
+ *
+ * A search that fails is logged and skipped, so one bad search doesn't stop
+ * the rest. Its jobs stay new to it, to be sent on the next run.
+ *
+ * Returns the number of alerts sent.
+ */
+
+async function sendSearchAlerts(notifier = defaultNotifier) {
+  let sent = 0;
+
+  for (const search of await SavedSearch.findAllForAlerts()) {
+    try {
+      const found = await SavedSearch.findAlertJobs(search.id);
+      if (!found || found.total === 0) continue;
+
+      await notifier.notify({
+        username: search.username,
+        email: search.email,
+        subject: `${found.total} new job${found.total === 1 ? "" : "s"} for "${search.name}"`,
+        text: alertText(search.name, found.jobs, found.total),
+        data: {
+          type: "savedSearch",
+          searchId: search.id,
+          name: search.name,
+          jobs: found.jobs,
+          total: found.total,
+        },
+      });
+      await SavedSearch.markNotified(search.id, found.until);
+      sent++;
+    } catch (err) {
+      logger.error("Saved search alert failed", { err, searchId: search.id });
+    }
+  }
+
+  return sent;
+}
+
+module.exports = { sendSearchAlerts };
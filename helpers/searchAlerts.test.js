@@ -0,0 +1,81 @@
+"use strict";
+
+const db = require("../db.js");
+const Job = require("../models/job");
+const SavedSearch = require("../models/savedSearch");
+const { sendSearchAlerts } = require("./searchAlerts");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+describe("sendSearchAlerts", function () {
+  test("notifies users of new jobs", async function () {
+    // NOW() is the same all through the test's transaction, so the searches
+    // are made to have been alerted on an hour ago
+    await db.query(`UPDATE jobs SET posted_at = NOW() - INTERVAL '1 day'`);
+    const search = await SavedSearch.create("u1", { name: "Engineers", filters: { title: "engineer" } });
+    await SavedSearch.create("u2", { name: "Nothing", filters: { title: "nothing" } });
+    await db.query(`UPDATE saved_searches SET notified_at = NOW() - INTERVAL '1 hour'`);
+    const job = await Job.create({ title: "Engineer", salary: 1, equity: 0, companyHandle: "c1" });
+
+    const notifier = { notify: jest.fn() };
+    expect(await sendSearchAlerts(notifier)).toEqual(1);
+    expect(notifier.notify).toHaveBeenCalledTimes(1);
+    expect(notifier.notify).toHaveBeenCalledWith({
+      username: "u1",
+      email: "u1@email.com",
+      subject: `1 new job for "Engineers"`,
+      text: expect.stringContaining(`- Engineer at c1 (job ${job.id})`),
+      data: {
+        type: "savedSearch",
+        searchId: search.id,
+        name: "Engineers",
+        jobs: [job],
+        total: 1,
+      },
+    });
+
+    expect(await sendSearchAlerts(notifier)).toEqual(0);
+  });
+
+  test("carries on past a failing notifier", async function () {
+    await db.query(`UPDATE jobs SET posted_at = NOW() - INTERVAL '1 day'`);
+    await SavedSearch.create("u1", { name: "a" });
+    await SavedSearch.create("u2", { name: "b" });
+    await db.query(`UPDATE saved_searches SET notified_at = NOW() - INTERVAL '1 hour'`);
+    await Job.create({ title: "New", salary: 1, equity: 0, companyHandle: "c1" });
+
+    const notifier = {
+      notify: jest.fn()
+          .mockRejectedValueOnce(new Error("down"))
+          .mockResolvedValueOnce(undefined),
+    };
+    expect(await sendSearchAlerts(notifier)).toEqual(1);
+    expect(notifier.notify).toHaveBeenCalledTimes(2);
+  });
+
+  test("sends a failed alert again on the next run", async function () {
+    await db.query(`UPDATE jobs SET posted_at = NOW() - INTERVAL '1 day'`);
+    await SavedSearch.create("u1", { name: "a" });
+    await db.query(`UPDATE saved_searches SET notified_at = NOW() - INTERVAL '1 hour'`);
+    const job = await Job.create({ title: "New", salary: 1, equity: 0, companyHandle: "c1" });
+
+    const failing = { notify: jest.fn().mockRejectedValue(new Error("down")) };
+    expect(await sendSearchAlerts(failing)).toEqual(0);
+
+    const notifier = { notify: jest.fn() };
+    expect(await sendSearchAlerts(notifier)).toEqual(1);
+    expect(notifier.notify).toHaveBeenCalledWith(expect.objectContaining({
+      username: "u1",
+      data: expect.objectContaining({ jobs: [job], total: 1 }),
+    }));
+  });
+});
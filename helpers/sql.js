@@ -21,4 +21,24 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-module.exports = { sqlForPartialUpdate };
+// what each character that means something in HTML is escaped to; "&"
+// goes first, so the entities put in for the others aren't escaped again
+const HTML_ESCAPES = [
+  ["&", "&amp;"],
+  ["<", "&lt;"],
+  [">", "&gt;"],
+  ['"', "&quot;"],
+  ["'", "&#39;"],
+];
+
+/** Wraps the sql expression expr so that its text comes out HTML-escaped,
+ * as before marking it up with ts_headline.
+ */
+
+function sqlForHtmlEscape(expr) {
+  return HTML_ESCAPES.reduce(
+      (sql, [from, to]) => `replace(${sql}, '${from.replace("'", "''")}', '${to}')`,
+      expr);
+}
+
+module.exports = { sqlForPartialUpdate, sqlForHtmlEscape };
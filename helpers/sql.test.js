@@ -1,6 +1,6 @@
 "use strict";
 
-const { sqlForPartialUpdate } = require("./sql");
+const { sqlForPartialUpdate, sqlForHtmlEscape } = require("./sql");
 
 describe("sqlForPartialUpdate", function () {
 	test("returns string of sql col names to update and paramaterizes the values", function () {
@@ -13,3 +13,11 @@ describe("sqlForPartialUpdate", function () {
     expect(updateSql.values).toEqual([1000, "/logos/logo2.png"])
 	});
 });
+
+describe("sqlForHtmlEscape", function () {
+	test("replaces each HTML character, ampersands first", function () {
+		expect(sqlForHtmlEscape("title")).toEqual(
+			"replace(replace(replace(replace(replace(title, '&', '&amp;'), "
+			+ "'<', '&lt;'), '>', '&gt;'), '\"', '&quot;'), '''', '&#39;')");
+	});
+});
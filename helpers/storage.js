@@ -0,0 +1,69 @@
+"use strict";
+
+/** Storing uploaded files, like resumes.
+ *
+ * Files are kept under keys (like "resumes/ab12...") by a storage, which
+ * has:
+ *
+ *   save(key, data)   stores the buffer data under key
+ *   open(key)         returns a readable stream of what is stored
+ *   remove(key)       forgets key; removing one that isn't there is fine
+ *
+ * The one here, "local", keeps files in UPLOAD_DIR. Keys come from newKey,
+ * so one can't be guessed from another.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { UPLOAD_STORAGE, UPLOAD_DIR } = require("../config");
+
+class LocalStorage {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  /** Returns the path of key, refusing keys that would leave the dir. */
+
+  pathOf(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(this.dir + path.sep)) throw new Error(`Bad storage key: ${key}`);
+    return file;
+  }
+
+  async save(key, data) {
+    const file = this.pathOf(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, data);
+  }
+
+  open(key) {
+    return fs.createReadStream(this.pathOf(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+}
+
+/** Returns a new storage of the kind named ("local"). */
+
+function createStorage(kind) {
+  if (kind === "local") return new LocalStorage(UPLOAD_DIR);
+  throw new Error(`Unknown storage: ${kind}`);
+}
+
+/** Returns a new, unguessable key under prefix, like "resumes/ab12...". */
+
+function newKey(prefix) {
+  return `${prefix}/${crypto.randomBytes(16).toString("hex")}`;
+}
+
+const storage = createStorage(UPLOAD_STORAGE);
+
+module.exports = {
+  LocalStorage,
+  createStorage,
+  newKey,
+  storage,
+};
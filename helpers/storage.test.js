@@ -0,0 +1,56 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LocalStorage, createStorage, newKey } = require("./storage");
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe("LocalStorage", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-storage-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test("saves, opens and removes files", async function () {
+    const storage = new LocalStorage(dir);
+    await storage.save("resumes/abc", Buffer.from("hello"));
+    expect(await readAll(storage.open("resumes/abc"))).toEqual(Buffer.from("hello"));
+
+    await storage.remove("resumes/abc");
+    expect(fs.existsSync(path.join(dir, "resumes", "abc"))).toEqual(false);
+    await storage.remove("resumes/abc");
+  });
+
+  test("refuses keys leaving its dir", async function () {
+    const storage = new LocalStorage(dir);
+    await expect(storage.save("../escape", Buffer.from("x"))).rejects.toThrow("Bad storage key");
+  });
+});
+
+describe("createStorage", function () {
+  test("works", function () {
+    expect(createStorage("local")).toBeInstanceOf(LocalStorage);
+  });
+
+  test("unknown kind", function () {
+    expect(() => createStorage("floppy")).toThrow("Unknown storage: floppy");
+  });
+});
+
+describe("newKey", function () {
+  test("works", function () {
+    expect(newKey("resumes")).toMatch(/^resumes\/[0-9a-f]{32}$/);
+    expect(newKey("resumes")).not.toEqual(newKey("resumes"));
+  });
+});
@@ -1,7 +1,15 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed JWT from user data.
+ *
+ * The token carries the user's token version; bumping the version in the
+ * db (see User.update) revokes every token issued before.
+ *
+ * It also carries their roles (see models/role.js). Without a list of
+ * roles, an admin has the admin role and anyone else none.
+ */
 
 function createToken(user) {
   console.assert(user.isAdmin !== undefined,
@@ -10,9 +18,23 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    ver: user.tokenVersion || 0,
+    roles: user.roles || (user.isAdmin ? ["admin"] : []),
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
-module.exports = { createToken };
+/** return a random, unguessable token for things like refresh tokens. */
+
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/** return SHA-256 hash of an opaque token; only the hash is stored in the db. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, createOpaqueToken, hashToken };
@@ -0,0 +1,25 @@
+"use strict";
+
+/** Mailing users links to verify their email. */
+
+const EmailVerification = require("../models/emailVerification");
+const { mailer } = require("./mailer");
+const {
+  EMAIL_VERIFICATION_URL,
+  EMAIL_VERIFICATION_EXPIRES_HOURS,
+} = require("../config");
+
+/** Mails username a link to verify their current email. */
+
+async function sendVerificationMail(username) {
+  const { token, email } = await EmailVerification.create(username);
+  const link = `${EMAIL_VERIFICATION_URL}?token=${encodeURIComponent(token)}`;
+  await mailer.send({
+    to: email,
+    subject: "Verify your Jobly email",
+    text: `To verify this email for ${username}, visit ${link}\n\n`
+        + `The link works once, within ${EMAIL_VERIFICATION_EXPIRES_HOURS} hours.`,
+  });
+}
+
+module.exports = { sendVerificationMail };
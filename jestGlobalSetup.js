@@ -0,0 +1,11 @@
+"use strict";
+
+/** Runs once before the tests: brings the test database's schema up to
+ * date with the same migrations as every other database.
+ */
+
+const { migrateDatabase } = require("./migrate");
+
+module.exports = async function () {
+  await migrateDatabase();
+};
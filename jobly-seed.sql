@@ -14,6 +14,9 @@ VALUES ('testuser',
         'joel@joelburton.com',
         TRUE);
 
+INSERT INTO user_roles (username, role)
+VALUES ('testadmin', 'admin');
+
 INSERT INTO companies (handle,
                        name,
                        num_employees,
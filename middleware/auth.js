@@ -5,6 +5,8 @@
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 const { UnauthorizedError } = require("../expressError");
+const User = require("../models/user");
+const Role = require("../models/role");
 
 /** Middleware: Authenticate user.
  *
@@ -12,18 +14,36 @@ const { UnauthorizedError } = require("../expressError");
  * on res.locals (this will include the username and isAdmin field.)
  *
  * It's not an error if no token was provided or if the token is not valid.
+ * An expired token, though, raises Unauthorized with the message
+ * "Token expired" so clients know to get a new one from /auth/refresh.
+ * Likewise a token whose version no longer matches the user's (see
+ * User.update) raises Unauthorized with the message "Token revoked".
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
+	const authHeader = req.headers && req.headers.authorization;
+	if (!authHeader) return next();
+
+	let payload;
 	try {
-		const authHeader = req.headers && req.headers.authorization;
-		if (authHeader) {
-			const token = authHeader.replace(/^[Bb]earer /, "").trim();
-			res.locals.user = jwt.verify(token, SECRET_KEY);
+		const token = authHeader.replace(/^[Bb]earer /, "").trim();
+		payload = jwt.verify(token, SECRET_KEY);
+	} catch (err) {
+		if (err instanceof jwt.TokenExpiredError) {
+			return next(new UnauthorizedError("Token expired"));
 		}
 		return next();
-	} catch (err) {
+	}
+
+	try {
+		const tokenVersion = await User.getTokenVersion(payload.username);
+		if (tokenVersion !== (payload.ver || 0)) {
+			throw new UnauthorizedError("Token revoked");
+		}
+		res.locals.user = payload;
 		return next();
+	} catch (err) {
+		return next(err);
 	}
 }
 
@@ -76,9 +96,43 @@ function ensureUserOrAdmin(req, res, next) {
 	}
 }
 
+/** Middleware to use when they must have a permission, like "jobs:write",
+ * through one of their roles (see models/role.js).
+ *
+ * If they only have it for the companies they are attached to, company(req)
+ * must give the company the request is for (it may return a promise), and
+ * they must be attached to that company. Leaving out company means those
+ * users don't pass.
+ *
+ * If not, raises Unauthorized.
+ */
+
+function ensurePermission(permission, { company } = {}) {
+	return async function (req, res, next) {
+		try {
+			const user = res.locals.user;
+			if (!user) throw new UnauthorizedError();
+
+			const roles = [...(user.roles || (user.isAdmin ? ["admin"] : [])), "user"];
+			const grant = await Role.grantFor(roles, permission);
+			if (!grant) throw new UnauthorizedError();
+
+			if (grant.companyScoped) {
+				if (!company) throw new UnauthorizedError();
+				const handle = await company(req);
+				if (!(await Role.isAttached(user.username, handle))) throw new UnauthorizedError();
+			}
+			return next();
+		} catch (err) {
+			return next(err);
+		}
+	};
+}
+
 module.exports = {
 	authenticateJWT,
 	ensureLoggedIn,
 	ensureAdmin,
 	ensureUserOrAdmin,
+	ensurePermission,
 };
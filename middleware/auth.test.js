@@ -2,14 +2,39 @@
 
 const jwt = require("jsonwebtoken");
 const { UnauthorizedError } = require("../expressError");
-const { authenticateJWT, ensureLoggedIn, ensureAdmin, ensureUserOrAdmin } = require("./auth");
+const {
+	authenticateJWT,
+	ensureLoggedIn,
+	ensureAdmin,
+	ensureUserOrAdmin,
+	ensurePermission,
+} = require("./auth");
+const Role = require("../models/role");
+
+const db = require("../db");
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+} = require("../models/_testCommon");
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const testJwt = jwt.sign({ username: "u1", isAdmin: false, ver: 0 }, SECRET_KEY);
+const badJwt = jwt.sign({ username: "u1", isAdmin: false, ver: 0 }, "wrong");
+const expiredJwt = jwt.sign(
+	{ username: "u1", isAdmin: false, ver: 0, exp: Math.floor(Date.now() / 1000) - 60 },
+	SECRET_KEY
+);
+const unknownUserJwt = jwt.sign({ username: "nope", isAdmin: false, ver: 0 }, SECRET_KEY);
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
 
 describe("authenticateJWT", function () {
-	test("works: via header", function () {
+	test("works: via header", async function () {
 		expect.assertions(2);
 		//there are multiple ways to pass an authorization token, this is how you pass it in the header.
 		//this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -18,35 +43,72 @@ describe("authenticateJWT", function () {
 		const next = function (err) {
 			expect(err).toBeFalsy();
 		};
-		authenticateJWT(req, res, next);
+		await authenticateJWT(req, res, next);
 		expect(res.locals).toEqual({
 			user: {
 				iat: expect.any(Number),
-				username: "test",
+				username: "u1",
 				isAdmin: false,
+				ver: 0,
 			},
 		});
 	});
 
-	test("works: no header", function () {
+	test("works: no header", async function () {
 		expect.assertions(2);
 		const req = {};
 		const res = { locals: {} };
 		const next = function (err) {
 			expect(err).toBeFalsy();
 		};
-		authenticateJWT(req, res, next);
+		await authenticateJWT(req, res, next);
 		expect(res.locals).toEqual({});
 	});
 
-	test("works: invalid token", function () {
+	test("works: invalid token", async function () {
 		expect.assertions(2);
 		const req = { headers: { authorization: `Bearer ${badJwt}` } };
 		const res = { locals: {} };
 		const next = function (err) {
 			expect(err).toBeFalsy();
 		};
-		authenticateJWT(req, res, next);
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test("unauth with distinct message if token expired", async function () {
+		expect.assertions(3);
+		const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+			expect(err.message).toEqual("Token expired");
+		};
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test("unauth with distinct message if token version was bumped", async function () {
+		expect.assertions(3);
+		await db.query("UPDATE users SET token_version = 1 WHERE username = 'u1'");
+		const req = { headers: { authorization: `Bearer ${testJwt}` } };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+			expect(err.message).toEqual("Token revoked");
+		};
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test("unauth if user no longer exists", async function () {
+		expect.assertions(2);
+		const req = { headers: { authorization: `Bearer ${unknownUserJwt}` } };
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		await authenticateJWT(req, res, next);
 		expect(res.locals).toEqual({});
 	});
 });
@@ -126,3 +188,80 @@ describe("ensureUserOrAdmin", function () {
 		ensureUserOrAdmin(req, res, next);
 	});
 });
+
+describe("ensurePermission", function () {
+	const recruiter = { username: "u1", isAdmin: false, roles: ["recruiter"] };
+
+	test("works for a role with the permission", async function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: { user: { username: "u2", isAdmin: true, roles: ["admin"] } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		await ensurePermission("companies:write")(req, res, next);
+	});
+
+	test("works for an admin token without roles", async function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: { user: { username: "u2", isAdmin: true } } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		await ensurePermission("companies:write")(req, res, next);
+	});
+
+	test("unauth without the permission", async function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: { user: recruiter } };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		await ensurePermission("companies:write")(req, res, next);
+	});
+
+	test("unauth if anon", async function () {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: {} };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		await ensurePermission("jobs:write")(req, res, next);
+	});
+
+	test("works for an attached company", async function () {
+		expect.assertions(1);
+		await Role.attach("u1", "c1");
+		const req = { body: { companyHandle: "c1" } };
+		const res = { locals: { user: recruiter } };
+		const next = function (err) {
+			expect(err).toBeFalsy();
+		};
+		await ensurePermission("jobs:write", { company: req => req.body.companyHandle })(req, res, next);
+	});
+
+	test("unauth for another company", async function () {
+		expect.assertions(1);
+		await Role.attach("u1", "c1");
+		const req = { body: { companyHandle: "c2" } };
+		const res = { locals: { user: recruiter } };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		await ensurePermission("jobs:write", { company: req => req.body.companyHandle })(req, res, next);
+	});
+
+	test("unauth for a company-scoped grant with no company", async function () {
+		expect.assertions(1);
+		await Role.attach("u1", "c1");
+		const req = {};
+		const res = { locals: { user: recruiter } };
+		const next = function (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		await ensurePermission("jobs:write")(req, res, next);
+	});
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+/** Middleware giving each request an id and logging it. */
+
+const crypto = require("crypto");
+const { logger, withLogContext } = require("../helpers/logger");
+
+// ids clients may send in X-Request-Id; anything else gets a new one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/** Returns the id for a request: the X-Request-Id it came with, if that
+ * looks like an id, or else a new uuid.
+ */
+
+function requestIdFor(req) {
+  const given = req.get("X-Request-Id");
+  return given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+}
+
+/** Middleware: gives the request an id, on req.id, returns it in the
+ * X-Request-Id response header, and logs a line for the request once the
+ * response is sent.
+ *
+ * Mount it before everything else: lines logged while handling the
+ * request are tagged with its id.
+ */
+
+function logRequests(req, res, next) {
+  req.id = requestIdFor(req);
+  res.set("X-Request-Id", req.id);
+
+  const start = process.hrtime.bigint();
+
+  res.on("finish", function () {
+    const level = res.statusCode >= 500 ? "error"
+        : res.statusCode >= 400 ? "warn" : "info";
+    logger.log(level, "request", {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      username: res.locals.user ? res.locals.user.username : undefined,
+    });
+  });
+
+  return withLogContext({ requestId: req.id }, next);
+}
+
+module.exports = {
+  logRequests,
+  requestIdFor,
+};
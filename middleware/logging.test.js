@@ -0,0 +1,68 @@
+"use strict";
+
+const EventEmitter = require("events");
+const { logRequests, requestIdFor } = require("./logging");
+const { logger } = require("../helpers/logger");
+
+function fakeReq(headers = {}) {
+  return {
+    method: "GET",
+    originalUrl: "/jobs",
+    get: name => headers[name],
+  };
+}
+
+function fakeRes() {
+  const res = new EventEmitter();
+  res.locals = {};
+  res.statusCode = 200;
+  res.headers = {};
+  res.set = (name, value) => { res.headers[name] = value; };
+  return res;
+}
+
+afterEach(function () {
+  jest.restoreAllMocks();
+});
+
+describe("requestIdFor", function () {
+  test("uses the id given", function () {
+    expect(requestIdFor(fakeReq({ "X-Request-Id": "abc-123" }))).toEqual("abc-123");
+  });
+
+  test("makes one when none given", function () {
+    expect(requestIdFor(fakeReq())).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test("makes one when the one given is unusable", function () {
+    const id = requestIdFor(fakeReq({ "X-Request-Id": "has spaces\n" }));
+    expect(id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe("logRequests", function () {
+  test("sets the id and logs the request when finished", function () {
+    const log = jest.spyOn(logger, "log").mockImplementation(() => {});
+    const req = fakeReq({ "X-Request-Id": "r1" });
+    const res = fakeRes();
+    const next = jest.fn();
+
+    logRequests(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.id).toEqual("r1");
+    expect(res.headers).toEqual({ "X-Request-Id": "r1" });
+    expect(log).not.toHaveBeenCalled();
+
+    res.locals.user = { username: "u1" };
+    res.statusCode = 404;
+    res.emit("finish");
+    expect(log).toHaveBeenCalledWith("warn", "request", {
+      requestId: "r1",
+      method: "GET",
+      url: "/jobs",
+      status: 404,
+      durationMs: expect.any(Number),
+      username: "u1",
+    });
+  });
+});
@@ -0,0 +1,51 @@
+"use strict";
+
+/** Middleware collecting request metrics for GET /metrics. */
+
+const { httpRequestsTotal, httpRequestDuration } = require("../helpers/metrics");
+
+/** Returns the route pattern a request matched, like "/companies/:handle",
+ * given the path its router is mounted at.
+ *
+ * Requests no route matched are all grouped as "unmatched", so made-up
+ * urls can't each create a new series.
+ */
+
+function routeOf(req, baseUrl) {
+  if (!req.route) return "unmatched";
+  return `${baseUrl}${req.route.path}`;
+}
+
+/** Middleware: times each request and counts it once the response is
+ * sent, by method, route and status.
+ *
+ * Mount it once before everything else, and again alongside each router,
+ * e.g. app.use("/jobs", trackRequests, jobsRoutes). Express forgets the
+ * mount path if a route passes on an error, so each router's is noted on
+ * the way in; the first mount does the timing.
+ */
+
+function trackRequests(req, res, next) {
+  const tracked = res.locals.metricsBaseUrl !== undefined;
+  res.locals.metricsBaseUrl = req.baseUrl;
+  if (tracked) return next();
+
+  const end = httpRequestDuration.startTimer();
+
+  res.on("finish", function () {
+    const labels = {
+      method: req.method,
+      route: routeOf(req, res.locals.metricsBaseUrl),
+      status: res.statusCode,
+    };
+    httpRequestsTotal.inc(labels);
+    end(labels);
+  });
+
+  return next();
+}
+
+module.exports = {
+  trackRequests,
+  routeOf,
+};
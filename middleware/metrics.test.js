@@ -0,0 +1,59 @@
+"use strict";
+
+const EventEmitter = require("events");
+const { trackRequests, routeOf } = require("./metrics");
+const { httpRequestsTotal, httpRequestDuration } = require("../helpers/metrics");
+
+function fakeRes() {
+  const res = new EventEmitter();
+  res.locals = {};
+  res.statusCode = 200;
+  return res;
+}
+
+beforeEach(function () {
+  httpRequestsTotal.reset();
+  httpRequestDuration.reset();
+});
+
+describe("routeOf", function () {
+  test("works", function () {
+    expect(routeOf({ route: { path: "/:handle" } }, "/companies")).toEqual("/companies/:handle");
+  });
+
+  test("unmatched", function () {
+    expect(routeOf({}, "/companies")).toEqual("unmatched");
+  });
+});
+
+describe("trackRequests", function () {
+  test("counts and times requests once finished", function () {
+    const req = { method: "GET", baseUrl: "" };
+    const res = fakeRes();
+    const next = jest.fn();
+
+    trackRequests(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(httpRequestsTotal.render()).not.toContain("http_requests_total{");
+
+    // the router it goes through, and the route matched there
+    trackRequests({ ...req, baseUrl: "/companies" }, res, next);
+    req.route = { path: "/:handle" };
+    res.statusCode = 404;
+    res.emit("finish");
+
+    const labels = `method="GET",route="/companies/:handle",status="404"`;
+    expect(httpRequestsTotal.render()).toContain(`http_requests_total{${labels}} 1`);
+    expect(httpRequestDuration.render())
+        .toContain(`http_request_duration_seconds_count{${labels}} 1`);
+  });
+
+  test("requests no route took are unmatched", function () {
+    const req = { method: "POST", baseUrl: "" };
+    const res = fakeRes();
+    trackRequests(req, res, jest.fn());
+    res.emit("finish");
+    expect(httpRequestsTotal.render())
+        .toContain(`http_requests_total{method="POST",route="unmatched",status="200"} 1`);
+  });
+});
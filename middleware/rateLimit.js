@@ -0,0 +1,89 @@
+"use strict";
+
+/** Middleware limiting how often requests can be made. */
+
+const { TooManyRequestsError } = require("../expressError");
+const { createStore } = require("../helpers/rateLimitStore");
+const {
+  RATE_LIMIT_STORE,
+  LOGIN_RATE_WINDOW_SECONDS,
+  LOGIN_RATE_LIMIT_PER_IP,
+  LOGIN_RATE_LIMIT_PER_USERNAME,
+} = require("../config");
+
+// the store limits use unless given another; see helpers/rateLimitStore.js
+const store = createStore(RATE_LIMIT_STORE);
+
+/** Returns middleware allowing limit requests per windowSeconds for each
+ * key, where key(req) gives the request's key (like its IP). Requests
+ * key() returns undefined for aren't counted.
+ *
+ * Counts are kept under `${name}:${key}`, so limits don't collide.
+ *
+ * Past the limit, raises TooManyRequests with the seconds until the window
+ * ends, which is sent as Retry-After.
+ */
+
+function rateLimit({ name, limit, windowSeconds, key, store: limitStore = store }) {
+  return async function (req, res, next) {
+    try {
+      const value = key(req);
+      if (value === undefined) return next();
+
+      const { count, resetAt } = await limitStore.hit(`${name}:${value}`, windowSeconds);
+      if (count > limit) {
+        const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+        throw new TooManyRequestsError("Too many requests, try again later", retryAfter);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Limits POST /auth/token attempts from one IP. */
+
+const limitLoginsByIp = rateLimit({
+  name: "login-ip",
+  limit: LOGIN_RATE_LIMIT_PER_IP,
+  windowSeconds: LOGIN_RATE_WINDOW_SECONDS,
+  key: req => req.ip,
+});
+
+/** Limits POST /auth/token attempts for one username. */
+
+const limitLoginsByUsername = rateLimit({
+  name: "login-username",
+  limit: LOGIN_RATE_LIMIT_PER_USERNAME,
+  windowSeconds: LOGIN_RATE_WINDOW_SECONDS,
+  key: req => (typeof req.body.username === "string" ? req.body.username : undefined),
+});
+
+/** Limits POST /auth/password-reset/request for one username, so a user
+ * can't be flooded with reset mail. Shares the login limits.
+ */
+
+const limitPasswordResetsByUsername = rateLimit({
+  name: "password-reset-username",
+  limit: LOGIN_RATE_LIMIT_PER_USERNAME,
+  windowSeconds: LOGIN_RATE_WINDOW_SECONDS,
+  key: req => (typeof req.body.username === "string" ? req.body.username : undefined),
+});
+
+/** Forgets the login attempts counted for username, as when an admin
+ * unlocks their account.
+ */
+
+async function resetLoginLimit(username) {
+  await store.reset(`login-username:${username}`);
+}
+
+module.exports = {
+  store,
+  rateLimit,
+  limitLoginsByIp,
+  limitLoginsByUsername,
+  limitPasswordResetsByUsername,
+  resetLoginLimit,
+};
@@ -0,0 +1,55 @@
+"use strict";
+
+const { TooManyRequestsError } = require("../expressError");
+const { rateLimit } = require("./rateLimit");
+const { MemoryStore } = require("../helpers/rateLimitStore");
+
+describe("rateLimit", function () {
+  function limiter(store) {
+    return rateLimit({
+      name: "test",
+      limit: 2,
+      windowSeconds: 60,
+      key: req => req.ip,
+      store,
+    });
+  }
+
+  test("allows requests up to the limit", async function () {
+    const limit = limiter(new MemoryStore());
+    const next = jest.fn();
+    await limit({ ip: "1.2.3.4" }, {}, next);
+    await limit({ ip: "1.2.3.4" }, {}, next);
+    expect(next.mock.calls).toEqual([[], []]);
+  });
+
+  test("too many requests past the limit", async function () {
+    const limit = limiter(new MemoryStore());
+    const next = jest.fn();
+    for (let i = 0; i < 3; i++) await limit({ ip: "1.2.3.4" }, {}, next);
+
+    const err = next.mock.calls[2][0];
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(err.retryAfter).toBeGreaterThan(0);
+    expect(err.retryAfter).toBeLessThanOrEqual(60);
+
+    // other keys have their own count
+    await limit({ ip: "5.6.7.8" }, {}, next);
+    expect(next.mock.calls[3]).toEqual([]);
+  });
+
+  test("skips requests without a key", async function () {
+    const store = new MemoryStore();
+    const limit = limiter(store);
+    const next = jest.fn();
+    await limit({}, {}, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(store.windows.size).toEqual(0);
+  });
+
+  test("counts are kept under the limit's name", async function () {
+    const store = new MemoryStore();
+    await limiter(store)({ ip: "1.2.3.4" }, {}, jest.fn());
+    expect([...store.windows.keys()]).toEqual(["test:1.2.3.4"]);
+  });
+});
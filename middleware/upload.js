@@ -0,0 +1,83 @@
+"use strict";
+
+/** Middleware taking file uploads from multipart/form-data requests. */
+
+const multer = require("multer");
+const { BadRequestError, PayloadTooLargeError } = require("../expressError");
+const { RESUME_MAX_BYTES, RESUME_CONTENT_TYPES } = require("../config");
+
+// how files of a type start, for types that can be told by it; the type a
+// client sends is only what it claims
+const SIGNATURES = {
+  "application/pdf": [Buffer.from("%PDF-")],
+  "application/msword": [Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+      [Buffer.from("PK\x03\x04")],
+};
+
+/** Returns whether data looks like a file of contentType. Types with no
+ * known signature are taken at their word.
+ */
+
+function matchesContentType(data, contentType) {
+  const signatures = SIGNATURES[contentType];
+  if (!signatures) return true;
+  return signatures.some(sig => data.subarray(0, sig.length).equals(sig));
+}
+
+/** Returns middleware taking one file from the field named field, kept in
+ * memory as req.file ({ originalname, mimetype, size, buffer }). Other
+ * fields go in req.body, as strings. Requests that aren't multipart pass
+ * through untouched.
+ *
+ * Files over maxBytes raise PayloadTooLarge; files not of one of
+ * contentTypes, or not looking like it, raise BadRequest.
+ */
+
+function uploadFile(field, { maxBytes, contentTypes }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single(field);
+
+  return function (req, res, next) {
+    upload(req, res, function (err) {
+      try {
+        if (err instanceof multer.MulterError) {
+          if (err.code === "LIMIT_FILE_SIZE") {
+            throw new PayloadTooLargeError(`${field} must be at most ${maxBytes} bytes`);
+          }
+          throw new BadRequestError(err.message);
+        }
+        if (err) throw err;
+
+        // multer's body has no prototype, which the schema checks trip on
+        if (req.is("multipart/form-data")) req.body = { ...req.body };
+
+        if (req.file) {
+          const { mimetype, buffer } = req.file;
+          if (!contentTypes.includes(mimetype) || !matchesContentType(buffer, mimetype)) {
+            throw new BadRequestError(
+                `${field} must be one of these types: ${contentTypes.join(", ")}`);
+          }
+        }
+        return next();
+      } catch (err) {
+        return next(err);
+      }
+    });
+  };
+}
+
+/** Takes a resume, for applying to jobs. */
+
+const uploadResume = uploadFile("resume", {
+  maxBytes: RESUME_MAX_BYTES,
+  contentTypes: RESUME_CONTENT_TYPES,
+});
+
+module.exports = {
+  matchesContentType,
+  uploadFile,
+  uploadResume,
+};
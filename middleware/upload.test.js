@@ -0,0 +1,84 @@
+"use strict";
+
+const express = require("express");
+const request = require("supertest");
+const { BadRequestError, PayloadTooLargeError } = require("../expressError");
+const { matchesContentType, uploadFile } = require("./upload");
+
+const PDF = Buffer.from("%PDF-1.4\n%test\n");
+
+describe("matchesContentType", function () {
+  test("works", function () {
+    expect(matchesContentType(PDF, "application/pdf")).toEqual(true);
+    expect(matchesContentType(Buffer.from("hello"), "application/pdf")).toEqual(false);
+  });
+
+  test("takes types without a signature at their word", function () {
+    expect(matchesContentType(Buffer.from("hello"), "text/plain")).toEqual(true);
+  });
+});
+
+describe("uploadFile", function () {
+  // a tiny app answering with what the middleware left on the request
+  function appFor(options) {
+    const app = express();
+    app.use(express.json());
+    app.post("/", uploadFile("resume", options), function (req, res) {
+      const file = req.file && { name: req.file.originalname, size: req.file.size };
+      return res.json({ body: req.body, file });
+    });
+    app.use(function (err, req, res, next) {
+      return res.status(err.status || 500).json({ error: err.message, type: err.constructor.name });
+    });
+    return app;
+  }
+
+  const app = appFor({ maxBytes: 100, contentTypes: ["application/pdf"] });
+
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/")
+        .field("coverLetter", "Hi")
+        .attach("resume", PDF, { filename: "cv.pdf", contentType: "application/pdf" });
+    expect(resp.body).toEqual({
+      body: { coverLetter: "Hi" },
+      file: { name: "cv.pdf", size: PDF.length },
+    });
+  });
+
+  test("passes other requests through", async function () {
+    const resp = await request(app).post("/").send({ coverLetter: "Hi" });
+    expect(resp.body).toEqual({ body: { coverLetter: "Hi" } });
+  });
+
+  test("payload too large for big files", async function () {
+    const resp = await request(app)
+        .post("/")
+        .attach("resume", Buffer.concat([PDF, Buffer.alloc(200)]),
+            { filename: "cv.pdf", contentType: "application/pdf" });
+    expect(resp.statusCode).toEqual(413);
+    expect(resp.body.type).toEqual(PayloadTooLargeError.name);
+  });
+
+  test("bad request for types not allowed", async function () {
+    const resp = await request(app)
+        .post("/")
+        .attach("resume", Buffer.from("hello"), { filename: "cv.txt", contentType: "text/plain" });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.type).toEqual(BadRequestError.name);
+  });
+
+  test("bad request for files not looking like their type", async function () {
+    const resp = await request(app)
+        .post("/")
+        .attach("resume", Buffer.from("hello"), { filename: "cv.pdf", contentType: "application/pdf" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for files in other fields", async function () {
+    const resp = await request(app)
+        .post("/")
+        .attach("photo", PDF, { filename: "cv.pdf", contentType: "application/pdf" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -0,0 +1,266 @@
+"use strict";
+
+/** Versioned schema migrations.
+ *
+ * Migrations live in migrations/ as pairs of files named like
+ * 001_initial.up.sql and 001_initial.down.sql; the number orders them. The
+ * migrations table records which have been applied. Each migration runs in
+ * its own transaction, along with its row in that table.
+ *
+ * Usage:
+ *   npm run migrate              apply all pending migrations
+ *   npm run migrate:down [n]     roll back the last n migrations (default 1)
+ *   npm run migrate:status       list migrations and whether they are applied
+ *   npm run migrate:baseline     record 001 as applied to a database made
+ *                                from jobly-schema.sql, without running it
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Client } = require("pg");
+const { getDatabaseUri } = require("./config");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d+)_(.+)\.(up|down)\.sql$/;
+
+// any constant will do; it just keeps two runners from overlapping
+const LOCK_ID = 4151;
+
+/** Returns a migration's full name, like "001_initial". */
+
+function fullName({ id, name }) {
+  return `${String(id).padStart(3, "0")}_${name}`;
+}
+
+/** Reads the migrations in dir.
+ *
+ * Returns [{ id, name, up, down }, ...] in order, where up and down are
+ * the sql to apply and undo each one.
+ *
+ * Throws an Error if a migration is missing its up or down file or two
+ * migrations share a number.
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byId = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, number, name, direction] = match;
+    const id = +number;
+    const migration = byId.get(id) || { id, name };
+    if (migration.name !== name) {
+      throw new Error(`Two migrations numbered ${number}: ${migration.name} and ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+    byId.set(id, migration);
+  }
+
+  const migrations = [...byId.values()].sort((a, b) => a.id - b.id);
+  for (const m of migrations) {
+    if (m.up === undefined || m.down === undefined) {
+      throw new Error(`Migration ${fullName(m)} needs both an up and a down file`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureTable(client) {
+  await client.query(
+        `CREATE TABLE IF NOT EXISTS migrations (
+           id INTEGER PRIMARY KEY,
+           name TEXT NOT NULL,
+           applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+         )`);
+}
+
+async function appliedIds(client) {
+  const result = await client.query(`SELECT id FROM migrations ORDER BY id`);
+  return result.rows.map(r => r.id);
+}
+
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    await fn();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+/** Runs fn while holding the migrations lock, so only one runner changes
+ * the schema at a time.
+ */
+
+async function withLock(client, fn) {
+  await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_ID]);
+  try {
+    await ensureTable(client);
+    return await fn();
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_ID]);
+  }
+}
+
+/** Applies every migration in dir that hasn't been yet, in order.
+ *
+ * Returns the names (like "001_initial") of those applied. If one fails,
+ * it is rolled back and the error thrown; earlier ones stay applied.
+ */
+
+async function migrateUp(client, dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(client, async () => {
+    const applied = new Set(await appliedIds(client));
+    const done = [];
+
+    for (const m of migrations.filter(m => !applied.has(m.id))) {
+      await inTransaction(client, async () => {
+        await client.query(m.up);
+        await client.query(
+            `INSERT INTO migrations (id, name) VALUES ($1, $2)`, [m.id, m.name]);
+      });
+      done.push(fullName(m));
+    }
+
+    return done;
+  });
+}
+
+/** Rolls back the last `steps` applied migrations, newest first.
+ *
+ * Returns the names of those rolled back.
+ *
+ * Throws an Error if an applied migration has no file in dir.
+ */
+
+async function migrateDown(client, steps = 1, dir = MIGRATIONS_DIR) {
+  const migrations = new Map(loadMigrations(dir).map(m => [m.id, m]));
+
+  return withLock(client, async () => {
+    const toUndo = (await appliedIds(client)).reverse().slice(0, steps);
+    const done = [];
+
+    for (const id of toUndo) {
+      const m = migrations.get(id);
+      if (!m) throw new Error(`No files for applied migration ${id}`);
+
+      await inTransaction(client, async () => {
+        await client.query(m.down);
+        await client.query(`DELETE FROM migrations WHERE id = $1`, [m.id]);
+      });
+      done.push(fullName(m));
+    }
+
+    return done;
+  });
+}
+
+/** Records the first migration in dir as applied without running it, for
+ * a database whose schema was made from jobly-schema.sql before there were
+ * migrations; 001_initial is that schema. Later migrations then apply to
+ * it as usual.
+ *
+ * Returns the name of the migration recorded.
+ *
+ * Throws an Error if any migration is already applied.
+ */
+
+async function migrateBaseline(client, dir = MIGRATIONS_DIR) {
+  const [first] = loadMigrations(dir);
+  if (!first) throw new Error("No migrations to record");
+
+  return withLock(client, async () => {
+    if ((await appliedIds(client)).length > 0) {
+      throw new Error("Migrations have already been applied to this database");
+    }
+
+    await client.query(
+        `INSERT INTO migrations (id, name) VALUES ($1, $2)`, [first.id, first.name]);
+    return fullName(first);
+  });
+}
+
+/** Returns [{ id, name, appliedAt }, ...] for every migration in dir,
+ * where appliedAt is null for those not yet applied.
+ */
+
+async function migrationStatus(client, dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(client, async () => {
+    const result = await client.query(
+          `SELECT id, applied_at AS "appliedAt" FROM migrations`);
+    const appliedAt = new Map(result.rows.map(r => [r.id, r.appliedAt]));
+
+    return migrations.map(m => ({
+      id: m.id,
+      name: m.name,
+      appliedAt: appliedAt.get(m.id) || null,
+    }));
+  });
+}
+
+/** Connects to the app's database and migrates it up. */
+
+async function migrateDatabase() {
+  const client = new Client({ connectionString: getDatabaseUri() });
+  await client.connect();
+  try {
+    return await migrateUp(client);
+  } finally {
+    await client.end();
+  }
+}
+
+async function main([command = "up", arg]) {
+  const client = new Client({ connectionString: getDatabaseUri() });
+  await client.connect();
+
+  try {
+    if (command === "up") {
+      const done = await migrateUp(client);
+      console.log(done.length ? `Applied ${done.join(", ")}` : "Already up to date");
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : +arg;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("down takes a number of migrations to roll back");
+      }
+      const done = await migrateDown(client, steps);
+      console.log(done.length ? `Rolled back ${done.join(", ")}` : "Nothing to roll back");
+    } else if (command === "status") {
+      for (const m of await migrationStatus(client)) {
+        const state = m.appliedAt ? `applied ${m.appliedAt.toISOString()}` : "pending";
+        console.log(`${fullName(m)}: ${state}`);
+      }
+    } else if (command === "baseline") {
+      console.log(`Recorded ${await migrateBaseline(client)} as applied`);
+    } else {
+      throw new Error(`Unknown command: ${command} (use up, down, status or baseline)`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  migrateBaseline,
+  migrateDatabase,
+};
@@ -0,0 +1,169 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Client } = require("pg");
+
+const { getDatabaseUri } = require("./config");
+const {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  migrateBaseline,
+} = require("./migrate");
+
+// Runs in a schema of its own, so it never touches the real tables or the
+// real migrations table.
+const SCHEMA = "migrate_test";
+
+let client;
+let dir;
+
+function writeMigration(file, sql) {
+  fs.writeFileSync(path.join(dir, file), sql);
+}
+
+async function tables() {
+  const result = await client.query(
+        `SELECT table_name FROM information_schema.tables
+         WHERE table_schema = $1 ORDER BY table_name`,
+      [SCHEMA]);
+  return result.rows.map(r => r.table_name);
+}
+
+beforeAll(async function () {
+  client = new Client({ connectionString: getDatabaseUri() });
+  await client.connect();
+});
+
+beforeEach(async function () {
+  await client.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+  await client.query(`CREATE SCHEMA ${SCHEMA}`);
+  await client.query(`SET search_path TO ${SCHEMA}`);
+
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  writeMigration("001_first.up.sql", "CREATE TABLE a (id INTEGER);");
+  writeMigration("001_first.down.sql", "DROP TABLE a;");
+  writeMigration("002_second.up.sql", "CREATE TABLE b (id INTEGER);");
+  writeMigration("002_second.down.sql", "DROP TABLE b;");
+});
+
+afterEach(function () {
+  fs.rmSync(dir, { recursive: true });
+});
+
+afterAll(async function () {
+  await client.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+  await client.end();
+});
+
+/************************************** loadMigrations */
+
+describe("loadMigrations", function () {
+  test("works", function () {
+    writeMigration("README.md", "not a migration");
+    expect(loadMigrations(dir)).toEqual([
+      { id: 1, name: "first", up: "CREATE TABLE a (id INTEGER);", down: "DROP TABLE a;" },
+      { id: 2, name: "second", up: "CREATE TABLE b (id INTEGER);", down: "DROP TABLE b;" },
+    ]);
+  });
+
+  test("fails without a down file", function () {
+    writeMigration("003_third.up.sql", "SELECT 1;");
+    expect(() => loadMigrations(dir)).toThrow("003_third");
+  });
+
+  test("fails with a reused number", function () {
+    writeMigration("002_other.up.sql", "SELECT 1;");
+    expect(() => loadMigrations(dir)).toThrow("Two migrations numbered 002");
+  });
+
+  test("the app's own migrations load", function () {
+    expect(loadMigrations()[0]).toEqual(expect.objectContaining({ id: 1, name: "initial" }));
+  });
+});
+
+/************************************** migrateUp */
+
+describe("migrateUp", function () {
+  test("applies pending migrations in order", async function () {
+    expect(await migrateUp(client, dir)).toEqual(["001_first", "002_second"]);
+    expect(await tables()).toEqual(["a", "b", "migrations"]);
+  });
+
+  test("does nothing when up to date", async function () {
+    await migrateUp(client, dir);
+    expect(await migrateUp(client, dir)).toEqual([]);
+  });
+
+  test("applies only new migrations", async function () {
+    await migrateUp(client, dir);
+    writeMigration("003_third.up.sql", "CREATE TABLE c (id INTEGER);");
+    writeMigration("003_third.down.sql", "DROP TABLE c;");
+    expect(await migrateUp(client, dir)).toEqual(["003_third"]);
+  });
+
+  test("rolls back a failing migration, keeping earlier ones", async function () {
+    writeMigration("002_second.up.sql", "CREATE TABLE b (id INTEGER); SELECT nope;");
+    await expect(migrateUp(client, dir)).rejects.toThrow();
+    expect(await tables()).toEqual(["a", "migrations"]);
+
+    const status = await migrationStatus(client, dir);
+    expect(status.map(m => m.appliedAt === null)).toEqual([false, true]);
+  });
+});
+
+/************************************** migrateDown */
+
+describe("migrateDown", function () {
+  test("rolls back the last migration", async function () {
+    await migrateUp(client, dir);
+    expect(await migrateDown(client, 1, dir)).toEqual(["002_second"]);
+    expect(await tables()).toEqual(["a", "migrations"]);
+  });
+
+  test("rolls back several, newest first", async function () {
+    await migrateUp(client, dir);
+    expect(await migrateDown(client, 5, dir)).toEqual(["002_second", "001_first"]);
+    expect(await tables()).toEqual(["migrations"]);
+  });
+
+  test("does nothing with nothing applied", async function () {
+    expect(await migrateDown(client, 1, dir)).toEqual([]);
+  });
+});
+
+/************************************** migrationStatus */
+
+describe("migrationStatus", function () {
+  test("works", async function () {
+    await migrateUp(client, dir);
+    writeMigration("003_third.up.sql", "CREATE TABLE c (id INTEGER);");
+    writeMigration("003_third.down.sql", "DROP TABLE c;");
+    expect(await migrationStatus(client, dir)).toEqual([
+      { id: 1, name: "first", appliedAt: expect.any(Date) },
+      { id: 2, name: "second", appliedAt: expect.any(Date) },
+      { id: 3, name: "third", appliedAt: null },
+    ]);
+  });
+});
+
+/************************************** migrateBaseline */
+
+describe("migrateBaseline", function () {
+  test("records the first migration without running it", async function () {
+    expect(await migrateBaseline(client, dir)).toEqual("001_first");
+    expect(await tables()).toEqual(["migrations"]);
+
+    expect(await migrateUp(client, dir)).toEqual(["002_second"]);
+    expect(await tables()).toEqual(["b", "migrations"]);
+  });
+
+  test("fails once migrations are applied", async function () {
+    await migrateUp(client, dir);
+    await expect(migrateBaseline(client, dir))
+        .rejects.toThrow("Migrations have already been applied to this database");
+  });
+});
@@ -0,0 +1,6 @@
+DROP TABLE application_status_history;
+
+ALTER TABLE applications
+  DROP COLUMN updated_at,
+  DROP COLUMN created_at,
+  DROP COLUMN status;
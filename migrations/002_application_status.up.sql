@@ -0,0 +1,18 @@
+-- applications already here were made by applying
+ALTER TABLE applications
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'applied'
+    CHECK (status IN ('interested', 'applied', 'interviewing', 'offered',
+                      'rejected', 'accepted', 'withdrawn')),
+  ADD COLUMN created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE TABLE application_status_history (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  changed_by VARCHAR(25),
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
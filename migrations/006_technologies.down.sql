@@ -0,0 +1,3 @@
+DROP TABLE job_technologies;
+DROP TABLE user_technologies;
+DROP TABLE technologies;
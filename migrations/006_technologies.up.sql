@@ -0,0 +1,22 @@
+CREATE TABLE technologies (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX technologies_name_idx ON technologies (lower(name));
+
+CREATE TABLE user_technologies (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  technology_id INTEGER
+    REFERENCES technologies ON DELETE CASCADE,
+  PRIMARY KEY (username, technology_id)
+);
+
+CREATE TABLE job_technologies (
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  technology_id INTEGER
+    REFERENCES technologies ON DELETE CASCADE,
+  PRIMARY KEY (job_id, technology_id)
+);
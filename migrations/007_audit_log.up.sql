@@ -0,0 +1,15 @@
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor VARCHAR(25) NOT NULL,
+  action TEXT NOT NULL
+    CHECK (action IN ('create', 'update', 'delete')),
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id);
+CREATE INDEX audit_log_actor_idx ON audit_log (actor);
+CREATE INDEX audit_log_created_at_idx ON audit_log (created_at);
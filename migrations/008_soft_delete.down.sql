@@ -0,0 +1,19 @@
+-- rows deleted since this migration stay deleted
+DELETE FROM jobs WHERE deleted_at IS NOT NULL;
+DELETE FROM users WHERE deleted_at IS NOT NULL;
+DELETE FROM companies WHERE deleted_at IS NOT NULL;
+DELETE FROM audit_log WHERE action = 'restore';
+
+ALTER TABLE audit_log
+  DROP CONSTRAINT audit_log_action_check,
+  ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete'));
+
+ALTER TABLE jobs
+  DROP COLUMN deleted_at;
+
+ALTER TABLE users
+  DROP COLUMN deleted_at;
+
+ALTER TABLE companies
+  DROP COLUMN deleted_at;
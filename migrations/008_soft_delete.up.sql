@@ -0,0 +1,13 @@
+ALTER TABLE companies
+  ADD COLUMN deleted_at TIMESTAMPTZ;
+
+ALTER TABLE users
+  ADD COLUMN deleted_at TIMESTAMPTZ;
+
+ALTER TABLE jobs
+  ADD COLUMN deleted_at TIMESTAMPTZ;
+
+ALTER TABLE audit_log
+  DROP CONSTRAINT audit_log_action_check,
+  ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore'));
@@ -0,0 +1,5 @@
+DROP TABLE rate_limits;
+
+ALTER TABLE users
+  DROP COLUMN locked_until,
+  DROP COLUMN failed_logins;
@@ -0,0 +1,9 @@
+ALTER TABLE users
+  ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN locked_until TIMESTAMPTZ;
+
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
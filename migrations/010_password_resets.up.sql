@@ -0,0 +1,10 @@
+CREATE TABLE password_reset_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX password_reset_tokens_username_idx ON password_reset_tokens (username);
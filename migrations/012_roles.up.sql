@@ -0,0 +1,45 @@
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+-- a company-scoped permission only applies to the companies the user is
+-- attached to in user_companies
+CREATE TABLE role_permissions (
+  role TEXT
+    REFERENCES roles ON DELETE CASCADE,
+  permission TEXT NOT NULL,
+  company_scoped BOOLEAN NOT NULL DEFAULT FALSE,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE user_roles (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT
+    REFERENCES roles ON DELETE CASCADE,
+  PRIMARY KEY (username, role)
+);
+
+CREATE TABLE user_companies (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  PRIMARY KEY (username, company_handle)
+);
+
+INSERT INTO roles (name, description)
+VALUES ('admin', 'Manages everything'),
+       ('recruiter', 'Manages jobs for the companies they are attached to'),
+       ('user', 'Looks for and applies to jobs; every user has this role');
+
+INSERT INTO role_permissions (role, permission, company_scoped)
+VALUES ('admin', 'companies:write', FALSE),
+       ('admin', 'jobs:write', FALSE),
+       ('admin', 'technologies:write', FALSE),
+       ('admin', 'audit:read', FALSE),
+       ('recruiter', 'jobs:write', TRUE);
+
+INSERT INTO user_roles (username, role)
+SELECT username, 'admin' FROM users WHERE is_admin;
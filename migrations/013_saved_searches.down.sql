@@ -0,0 +1,4 @@
+DROP TABLE saved_searches;
+
+ALTER TABLE jobs
+  DROP COLUMN posted_at;
@@ -0,0 +1,19 @@
+-- when a job was posted, so saved searches can find jobs new since they
+-- were last checked; jobs already here count as posted now
+ALTER TABLE jobs
+  ADD COLUMN posted_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- filters are in the shape Job.findAll takes. checked_at is when the user
+-- last looked at the search's new jobs and notified_at when they were last
+-- sent an alert for it; each marks what is new for the next time.
+CREATE TABLE saved_searches (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  notified_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (username, name)
+);
@@ -0,0 +1,9 @@
+-- jobs a user has shortlisted without applying
+CREATE TABLE bookmarks (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (username, job_id)
+);
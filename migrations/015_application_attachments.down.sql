@@ -0,0 +1,6 @@
+ALTER TABLE applications
+  DROP COLUMN cover_letter,
+  DROP COLUMN resume_key,
+  DROP COLUMN resume_filename,
+  DROP COLUMN resume_content_type,
+  DROP COLUMN resume_size;
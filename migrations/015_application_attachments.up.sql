@@ -0,0 +1,8 @@
+-- what an applicant sends with an application. The resume itself is kept
+-- in file storage (see helpers/storage.js) under resume_key.
+ALTER TABLE applications
+  ADD COLUMN cover_letter TEXT,
+  ADD COLUMN resume_key TEXT,
+  ADD COLUMN resume_filename TEXT,
+  ADD COLUMN resume_content_type TEXT,
+  ADD COLUMN resume_size INTEGER;
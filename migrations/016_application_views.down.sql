@@ -0,0 +1,5 @@
+DELETE FROM role_permissions
+WHERE permission = 'applications:read';
+
+ALTER TABLE applications
+  DROP COLUMN id;
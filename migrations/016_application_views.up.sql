@@ -0,0 +1,7 @@
+-- a single key for paging through applications
+ALTER TABLE applications
+  ADD COLUMN id SERIAL UNIQUE;
+
+INSERT INTO role_permissions (role, permission, company_scoped)
+VALUES ('admin', 'applications:read', FALSE),
+       ('recruiter', 'applications:read', TRUE);
@@ -8,6 +8,10 @@ async function commonBeforeAll() {
   await db.query("DELETE FROM companies");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM technologies");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM audit_log");
 
   await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
@@ -33,6 +37,35 @@ async function commonBeforeAll() {
         await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
         await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
       ]);
+
+  await db.query(`
+    INSERT INTO applications(username, job_id, status)
+    SELECT 'u1', id, 'applied' FROM jobs WHERE title = 'J1'`);
+
+  await db.query(`
+    INSERT INTO application_status_history(username, job_id, status, changed_by)
+    SELECT 'u1', id, 'applied', 'u1' FROM jobs WHERE title = 'J1'`);
+
+  await db.query(`
+    INSERT INTO technologies(name)
+    VALUES ('JavaScript'), ('SQL')`);
+
+  await db.query(`
+    INSERT INTO user_technologies(username, technology_id)
+    SELECT 'u1', id FROM technologies WHERE name = 'JavaScript'`);
+
+  await db.query(`
+    INSERT INTO job_technologies(job_id, technology_id)
+    SELECT j.id, t.id FROM jobs AS j, technologies AS t WHERE j.title = 'J1'`);
+
+  await db.query(`
+    INSERT INTO audit_log(actor, action, entity_type, entity_id, before, after, created_at)
+    VALUES ('u2', 'create', 'company', 'c1', NULL, '{"handle": "c1", "name": "C1"}',
+            '2024-01-01T00:00:00Z'),
+           ('u2', 'update', 'company', 'c1', '{"name": "C1"}', '{"name": "New"}',
+            '2024-02-01T00:00:00Z'),
+           ('u1', 'delete', 'user', 'u3', '{"username": "u3"}', NULL,
+            '2024-03-01T00:00:00Z')`);
 }
 
 async function commonBeforeEach() {
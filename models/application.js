@@ -0,0 +1,113 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPagination, pageOf } = require("../helpers/pagination");
+
+/** Related functions for looking at applications from the hiring side.
+ *
+ * Applicants make and move their applications through User (see
+ * User.apply); this lists them for a company or job.
+ */
+
+class Application {
+  /** Find applications, with their applicants.
+   *
+   * searchFilters (all optional):
+   * - companyHandle, jobId
+   * - status
+   * - username
+   * - from, to (timestamps of applying; from is inclusive, to is exclusive)
+   *
+   * Applications from deleted users, or for deleted jobs, aren't found.
+   *
+   * page is as for sqlForPagination in helpers/pagination.js. Applications
+   * can be sorted by id, appliedAt (the default), updatedAt, username or
+   * status; direction defaults to "desc", newest first.
+   *
+   * Returns { items, total, nextCursor }
+   *   where items is [{ id, jobId, jobTitle, username, firstName, lastName,
+   *                     email, status, coverLetter, resume, appliedAt,
+   *                     updatedAt }, ...]
+   *   and resume is { filename, contentType, size }, or null
+   **/
+
+  static async findAll(searchFilters = {}, { direction = "desc", ...page } = {}) {
+    const whereStatements = ["u.deleted_at IS NULL", "j.deleted_at IS NULL"];
+    const values = [];
+
+    const filterCols = {
+      companyHandle: "j.company_handle",
+      jobId: "a.job_id",
+      status: "a.status",
+      username: "a.username",
+    };
+
+    for (const [filter, col] of Object.entries(filterCols)) {
+      if (searchFilters[filter] !== undefined) {
+        values.push(searchFilters[filter]);
+        whereStatements.push(`${col} = $${values.length}`);
+      }
+    }
+
+    if (searchFilters.from !== undefined) {
+      values.push(searchFilters.from);
+      whereStatements.push(`a.created_at >= $${values.length}`);
+    }
+
+    if (searchFilters.to !== undefined) {
+      values.push(searchFilters.to);
+      whereStatements.push(`a.created_at < $${values.length}`);
+    }
+
+    const from =
+          `FROM applications AS a
+           JOIN users AS u ON a.username = u.username
+           JOIN jobs AS j ON a.job_id = j.id`;
+
+    const countRes = await db.query(
+        `SELECT COUNT(*) AS "total" ${from} WHERE ${whereStatements.join(" AND ")}`,
+        values);
+
+    // timestamps sort at the millisecond precision of the Dates that end up
+    // in cursors, so a cursor's value matches its own row exactly
+    const pagination = sqlForPagination({ ...page, direction }, {
+      sortable: {
+        id: { col: "a.id", type: "integer" },
+        appliedAt: { col: "date_trunc('milliseconds', a.created_at)", type: "timestamp" },
+        updatedAt: { col: "date_trunc('milliseconds', a.updated_at)", type: "timestamp" },
+        username: { col: "a.username", type: "text" },
+        status: { col: "a.status", type: "text" },
+      },
+      defaultSort: "appliedAt",
+      key: "id",
+    }, values);
+    if (pagination.keyset) whereStatements.push(pagination.keyset);
+
+    const result = await db.query(
+          `SELECT a.id,
+                  a.job_id AS "jobId",
+                  j.title AS "jobTitle",
+                  a.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  a.status,
+                  a.cover_letter AS "coverLetter",
+                  CASE WHEN a.resume_key IS NULL THEN NULL
+                       ELSE JSON_BUILD_OBJECT('filename', a.resume_filename,
+                                              'contentType', a.resume_content_type,
+                                              'size', a.resume_size)
+                  END AS resume,
+                  a.created_at AS "appliedAt",
+                  a.updated_at AS "updatedAt"
+           ${from}
+           WHERE ${whereStatements.join(" AND ")}
+           ${pagination.orderBy} ${pagination.limitClause}`,
+        values);
+
+    return pageOf(result.rows, pagination, +countRes.rows[0].total);
+  }
+}
+
+
+module.exports = Application;
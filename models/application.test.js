@@ -0,0 +1,133 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const Application = require("./application.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function jobId(title) {
+  const res = await db.query(`SELECT id FROM jobs WHERE title = $1`, [title]);
+  return res.rows[0].id;
+}
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: for a company", async function () {
+    const { items, total, nextCursor } = await Application.findAll({ companyHandle: "c1" });
+    expect(items).toEqual([{
+      id: expect.any(Number),
+      jobId: await jobId("J1"),
+      jobTitle: "J1",
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      status: "applied",
+      coverLetter: null,
+      resume: null,
+      appliedAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    }]);
+    expect(total).toEqual(1);
+    expect(nextCursor).toEqual(null);
+  });
+
+  test("works: for a job", async function () {
+    const j2 = await jobId("J2");
+    await User.apply("u2", j2, "interested", {
+      coverLetter: "Hi",
+      resume: { key: "resumes/abc", filename: "cv.pdf", contentType: "application/pdf", size: 10 },
+    });
+    const { items } = await Application.findAll({ jobId: j2 });
+    expect(items.map(a => a.username)).toEqual(["u2"]);
+    expect(items[0].coverLetter).toEqual("Hi");
+    expect(items[0].resume).toEqual({ filename: "cv.pdf", contentType: "application/pdf", size: 10 });
+  });
+
+  test("works: filters on status and username", async function () {
+    const j1 = await jobId("J1");
+    await User.apply("u2", j1);
+    await User.withdraw("u2", j1, "u2");
+
+    let { items } = await Application.findAll({ jobId: j1, status: "withdrawn" });
+    expect(items.map(a => a.username)).toEqual(["u2"]);
+    ({ items } = await Application.findAll({ jobId: j1, username: "u1" }));
+    expect(items.map(a => a.status)).toEqual(["applied"]);
+  });
+
+  test("works: from and to", async function () {
+    await db.query(`UPDATE applications SET created_at = '2024-02-01'`);
+    let { total } = await Application.findAll({ from: "2024-01-01", to: "2024-03-01" });
+    expect(total).toEqual(1);
+    ({ total } = await Application.findAll({ from: "2024-02-02" }));
+    expect(total).toEqual(0);
+  });
+
+  test("works: pages", async function () {
+    const j1 = await jobId("J1");
+    await User.apply("u2", j1);
+    const first = await Application.findAll({ jobId: j1 }, { sort: "username", direction: "asc", limit: 1 });
+    expect(first.items.map(a => a.username)).toEqual(["u1"]);
+    expect(first.total).toEqual(2);
+
+    const second = await Application.findAll(
+        { jobId: j1 }, { sort: "username", direction: "asc", limit: 1, cursor: first.nextCursor });
+    expect(second.items.map(a => a.username)).toEqual(["u2"]);
+    expect(second.nextCursor).toEqual(null);
+  });
+
+  test("works: pages by the default sort, past microsecond timestamps", async function () {
+    await User.apply("u2", await jobId("J1"));
+    await User.apply("u2", await jobId("J2"));
+    await db.query(`UPDATE applications SET created_at = '2024-01-01T00:00:00.123456Z'`);
+    await db.query(`
+      UPDATE applications SET created_at = '2024-01-01T00:00:00.123999Z'
+      WHERE username = 'u2' AND job_id = $1`, [await jobId("J2")]);
+
+    const all = await Application.findAll({});
+    expect(all.items.length).toEqual(3);
+
+    const paged = [];
+    let cursor;
+    do {
+      const page = await Application.findAll({}, { limit: 1, cursor });
+      paged.push(...page.items.map(a => a.id));
+      cursor = page.nextCursor || undefined;
+    } while (cursor);
+    expect(paged).toEqual(all.items.map(a => a.id));
+
+    const ascending = [];
+    cursor = undefined;
+    do {
+      const page = await Application.findAll({}, { direction: "asc", limit: 1, cursor });
+      ascending.push(...page.items.map(a => a.id));
+      cursor = page.nextCursor || undefined;
+    } while (cursor);
+    expect(ascending).toEqual([...paged].reverse());
+  });
+
+  test("skips deleted users and jobs", async function () {
+    await db.query(`UPDATE users SET deleted_at = NOW() WHERE username = 'u1'`);
+    expect((await Application.findAll({ companyHandle: "c1" })).total).toEqual(0);
+
+    await db.query(`UPDATE users SET deleted_at = NULL WHERE username = 'u1'`);
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE title = 'J1'`);
+    expect((await Application.findAll({ companyHandle: "c1" })).total).toEqual(0);
+  });
+
+  test("bad request on unknown sort", async function () {
+    await expect(Application.findAll({}, { sort: "email" })).rejects.toThrow(BadRequestError);
+  });
+});
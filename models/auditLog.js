@@ -0,0 +1,130 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPagination, pageOf } = require("../helpers/pagination");
+
+/** Related functions for the audit log.
+ *
+ * Every create, update, delete and restore made through the admin routes is
+ * recorded with who made it and the entity before and after the change.
+ */
+
+class AuditLog {
+  /** Record a change.
+   *
+   * entry should be { actor, action, entityType, entityId, before, after }
+   * where action is "create", "update", "delete" or "restore". before is
+   * null for a create or restore and after is null for a delete. For an
+   * update, before is cut down to the fields in after, so the entry shows
+   * only what changed.
+   *
+   * Returns { id, actor, action, entityType, entityId, before, after,
+   *           createdAt }
+   **/
+
+  static async record({ actor, action, entityType, entityId, before = null, after = null }) {
+    if (before && after) {
+      before = Object.fromEntries(
+          Object.keys(after).map(k => [k, before[k] === undefined ? null : before[k]]));
+    }
+
+    const result = await db.query(
+          `INSERT INTO audit_log
+           (actor, action, entity_type, entity_id, before, after)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id,
+                     actor,
+                     action,
+                     entity_type AS "entityType",
+                     entity_id AS "entityId",
+                     before,
+                     after,
+                     created_at AS "createdAt"`,
+        [actor, action, entityType, String(entityId), before, after],
+    );
+
+    return result.rows[0];
+  }
+
+  /** Find audit log entries.
+   *
+   * searchFilters (all optional):
+   * - actor
+   * - entityType, entityId
+   * - action
+   * - from, to (timestamps; from is inclusive, to is exclusive)
+   *
+   * page is as for sqlForPagination in helpers/pagination.js. Entries are
+   * always sorted by id, which is the order they were made in; direction
+   * defaults to "desc", newest first.
+   *
+   * Returns { items, total, nextCursor }
+   *   where items is [{ id, actor, action, entityType, entityId, before,
+   *                     after, createdAt }, ...]
+   **/
+
+  static async findAll(searchFilters = {}, { direction = "desc", ...page } = {}) {
+    const whereStatements = [];
+    const values = [];
+
+    const filterCols = {
+      actor: "actor",
+      entityType: "entity_type",
+      entityId: "entity_id",
+      action: "action",
+    };
+
+    for (const [filter, col] of Object.entries(filterCols)) {
+      if (searchFilters[filter] !== undefined) {
+        values.push(String(searchFilters[filter]));
+        whereStatements.push(`${col} = $${values.length}`);
+      }
+    }
+
+    if (searchFilters.from !== undefined) {
+      values.push(searchFilters.from);
+      whereStatements.push(`created_at >= $${values.length}`);
+    }
+
+    if (searchFilters.to !== undefined) {
+      values.push(searchFilters.to);
+      whereStatements.push(`created_at < $${values.length}`);
+    }
+
+    const countWhere = whereStatements.length > 0
+        ? ` WHERE ${whereStatements.join(" AND ")}`
+        : "";
+    const countRes = await db.query(
+        `SELECT COUNT(*) AS "total" FROM audit_log${countWhere}`, values);
+
+    const pagination = sqlForPagination({ ...page, direction }, {
+      sortable: { id: { col: "id", type: "integer" } },
+      defaultSort: "id",
+      key: "id",
+    }, values);
+    if (pagination.keyset) whereStatements.push(pagination.keyset);
+
+    let query =
+          `SELECT id,
+                  actor,
+                  action,
+                  entity_type AS "entityType",
+                  entity_id AS "entityId",
+                  before,
+                  after,
+                  created_at AS "createdAt"
+           FROM audit_log`;
+
+    if (whereStatements.length > 0) {
+      query += ` WHERE ${whereStatements.join(" AND ")}`;
+    }
+
+    query += ` ${pagination.orderBy} ${pagination.limitClause}`;
+    const result = await db.query(query, values);
+
+    return pageOf(result.rows, pagination, +countRes.rows[0].total);
+  }
+}
+
+
+module.exports = AuditLog;
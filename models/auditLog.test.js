@@ -0,0 +1,140 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const AuditLog = require("./auditLog.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe("record", function () {
+  test("works: create", async function () {
+    const entry = await AuditLog.record({
+      actor: "u2",
+      action: "create",
+      entityType: "job",
+      entityId: 5,
+      after: { id: 5, title: "New" },
+    });
+    expect(entry).toEqual({
+      id: expect.any(Number),
+      actor: "u2",
+      action: "create",
+      entityType: "job",
+      entityId: "5",
+      before: null,
+      after: { id: 5, title: "New" },
+      createdAt: expect.any(Date),
+    });
+
+    const found = await db.query(
+        `SELECT entity_id, after FROM audit_log WHERE id = $1`, [entry.id]);
+    expect(found.rows).toEqual([{ entity_id: "5", after: { id: 5, title: "New" } }]);
+  });
+
+  test("works: update keeps only the changeable fields of before", async function () {
+    const entry = await AuditLog.record({
+      actor: "u2",
+      action: "update",
+      entityType: "company",
+      entityId: "c1",
+      before: { handle: "c1", name: "C1", jobs: [{ id: 1 }] },
+      after: { handle: "c1", name: "New", logoUrl: null },
+    });
+    expect(entry.before).toEqual({ handle: "c1", name: "C1", logoUrl: null });
+    expect(entry.after).toEqual({ handle: "c1", name: "New", logoUrl: null });
+  });
+
+  test("works: delete", async function () {
+    const entry = await AuditLog.record({
+      actor: "u2",
+      action: "delete",
+      entityType: "user",
+      entityId: "u1",
+      before: { username: "u1" },
+    });
+    expect(entry.before).toEqual({ username: "u1" });
+    expect(entry.after).toEqual(null);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: no filter, newest first", async function () {
+    const { items, total, nextCursor } = await AuditLog.findAll();
+    expect(total).toEqual(3);
+    expect(nextCursor).toEqual(null);
+    expect(items.map(e => [e.action, e.entityId])).toEqual([
+      ["delete", "u3"],
+      ["update", "c1"],
+      ["create", "c1"],
+    ]);
+    expect(items[1]).toEqual({
+      id: expect.any(Number),
+      actor: "u2",
+      action: "update",
+      entityType: "company",
+      entityId: "c1",
+      before: { name: "C1" },
+      after: { name: "New" },
+      createdAt: new Date("2024-02-01T00:00:00Z"),
+    });
+  });
+
+  test("works: oldest first", async function () {
+    const { items } = await AuditLog.findAll({}, { direction: "asc" });
+    expect(items.map(e => e.action)).toEqual(["create", "update", "delete"]);
+  });
+
+  test("works: by actor", async function () {
+    const { items } = await AuditLog.findAll({ actor: "u1" });
+    expect(items.map(e => e.entityId)).toEqual(["u3"]);
+  });
+
+  test("works: by entity", async function () {
+    const { items, total } = await AuditLog.findAll({ entityType: "company", entityId: "c1" });
+    expect(total).toEqual(2);
+    expect(items.map(e => e.action)).toEqual(["update", "create"]);
+  });
+
+  test("works: by action", async function () {
+    const { items } = await AuditLog.findAll({ action: "create" });
+    expect(items.map(e => e.entityId)).toEqual(["c1"]);
+  });
+
+  test("works: time range", async function () {
+    const { items } = await AuditLog.findAll({
+      from: "2024-01-15T00:00:00Z",
+      to: "2024-03-01T00:00:00Z",
+    });
+    expect(items.map(e => e.action)).toEqual(["update"]);
+  });
+
+  test("works: paging with cursor", async function () {
+    const first = await AuditLog.findAll({}, { limit: 2 });
+    expect(first.items.map(e => e.action)).toEqual(["delete", "update"]);
+    const second = await AuditLog.findAll({}, { limit: 2, cursor: first.nextCursor });
+    expect(second.items.map(e => e.action)).toEqual(["create"]);
+    expect(second.nextCursor).toEqual(null);
+  });
+
+  test("bad request with invalid cursor", async function () {
+    try {
+      await AuditLog.findAll({}, { cursor: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
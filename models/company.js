@@ -2,9 +2,14 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForHtmlEscape } = require("../helpers/sql");
+const { sqlForPagination, pageOf } = require("../helpers/pagination");
 
-/** Related functions for companies. */
+/** Related functions for companies.
+ *
+ * Deleting a company (and its jobs) only marks it deleted; it is hidden
+ * everywhere until it is restored or purged.
+ */
 
 class Company {
   /** Create a company (from data), update db, return new company data.
@@ -13,23 +18,16 @@ class Company {
    *
    * Returns { handle, name, description, numEmployees, logoUrl }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws BadRequestError if a company with that handle or name is already
+   * in database.
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-          `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-        [handle]);
-
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
-
     const result = await db.query(
           `INSERT INTO companies
            (handle, name, description, num_employees, logo_url)
            VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT DO NOTHING
            RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
         [
           handle,
@@ -41,31 +39,32 @@ class Company {
     );
     const company = result.rows[0];
 
+    if (!company) throw new BadRequestError(`Duplicate company: ${handle}`);
+
     return company;
   }
 
   /** Find all companies with optional filters for minimum employees, maximum
    * employees, and name of the company. Filters can be passed in as an 
    * object to the function.
+   *
+   * page can hold { sort, direction, limit, offset, cursor }; see
+   * helpers/pagination.js. Companies can be sorted by handle, name
+   * (the default) or numEmployees.
    * 
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * Returns { items, total, nextCursor }
+   *   where items is [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *   and total counts every company matching the filters
    * */
 
-  static async findAll(searchFilters = {}) {
-    let query = 
-          `SELECT handle,
-                  name,
-                  description,
-                  num_employees AS "numEmployees",
-                  logo_url AS "logoUrl"
-           FROM companies`;
-    
-    const whereStatements = [];
+  static async findAll(searchFilters = {}, page = {}) {
+    const whereStatements = ["deleted_at IS NULL"];
     const values = [];
 
     const { name, minEmployees, maxEmployees } = searchFilters;
 
-    if (minEmployees > maxEmployees) {
+    if (minEmployees !== undefined && maxEmployees !== undefined &&
+        +minEmployees > +maxEmployees) {
       throw new BadRequestError('min employees can not be greater the max employees');
     }
 
@@ -84,14 +83,70 @@ class Company {
       whereStatements.push(`num_employees <= $${values.length}`);
     }
 
+    const countWhere = whereStatements.length > 0
+        ? ` WHERE ${whereStatements.join(" AND ")}`
+        : "";
+    const countRes = await db.query(
+        `SELECT COUNT(*) AS "total" FROM companies${countWhere}`, values);
+
+    const pagination = sqlForPagination(page, {
+      sortable: {
+        handle: { col: "handle", type: "text" },
+        name: { col: "name", type: "text" },
+        numEmployees: { col: "num_employees", type: "integer" },
+      },
+      defaultSort: "name",
+      key: "handle",
+    }, values);
+    if (pagination.keyset) whereStatements.push(pagination.keyset);
+
+    let query = 
+          `SELECT handle,
+                  name,
+                  description,
+                  num_employees AS "numEmployees",
+                  logo_url AS "logoUrl"
+           FROM companies`;
+
     if (whereStatements.length > 0) {
       query += ` WHERE ${whereStatements.join(" AND ")}`
     }
 
-    query += " ORDER BY name";
+    query += ` ${pagination.orderBy} ${pagination.limitClause}`;
     const finalQuery = await db.query(query, values);
 
-    return finalQuery.rows;
+    return pageOf(finalQuery.rows, pagination, +countRes.rows[0].total);
+  }
+
+  /** Full-text search over company names and descriptions.
+   *
+   * q is a web-style search string (words, "quoted phrases", -excluded).
+   * Name matches rank above description matches.
+   *
+   * Returns [{ handle, name, description, numEmployees, logoUrl, rank,
+   *            snippet }, ...], best match first, where snippet is the
+   *   matching text, HTML-escaped, with matched words wrapped in
+   *   <mark></mark>
+   * */
+
+  static async search(q, limit = 10) {
+    const result = await db.query(
+          `SELECT handle,
+                  name,
+                  description,
+                  num_employees AS "numEmployees",
+                  logo_url AS "logoUrl",
+                  ts_rank(search_vector, query) AS rank,
+                  ts_headline('english', ${sqlForHtmlEscape("name || ' - ' || description")}, query,
+                              'StartSel=<mark>, StopSel=</mark>, MaxFragments=2')
+                    AS snippet
+           FROM companies, websearch_to_tsquery('english', $1) AS query
+           WHERE search_vector @@ query AND deleted_at IS NULL
+           ORDER BY rank DESC, name
+           LIMIT $2`,
+        [q, limit]);
+
+    return result.rows;
   }
 
   /** Given a company handle, return data about company.
@@ -103,8 +158,6 @@ class Company {
    **/
 
   static async get(handle) {
-    const res = await db.query(`SELECT * FROM companies WHERE handle = $1`, [handle]);
-    console.log(res.rows)
     const companyRes = await db.query(
           `SELECT c.handle,
                   c.name,
@@ -117,8 +170,8 @@ class Company {
                   j.id
            FROM companies AS c
            FULL JOIN jobs AS j
-           ON c.handle = j.company_handle
-           WHERE handle = $1`,
+           ON c.handle = j.company_handle AND j.deleted_at IS NULL
+           WHERE handle = $1 AND c.deleted_at IS NULL`,
       [handle]);
     
     if (companyRes.rows.length === 0) throw new NotFoundError(`No company: ${handle}`);
@@ -166,7 +219,7 @@ class Company {
 
     const querySql = `UPDATE companies 
                       SET ${setCols} 
-                      WHERE handle = ${handleVarIdx} 
+                      WHERE handle = ${handleVarIdx} AND deleted_at IS NULL
                       RETURNING handle, 
                                 name, 
                                 description, 
@@ -180,22 +233,98 @@ class Company {
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Delete given company, along with its jobs; returns undefined.
+   *
+   * The company and jobs are marked deleted at the same time, so restoring
+   * the company brings back just the jobs that were deleted with it.
    *
    * Throws NotFoundError if company not found.
    **/
 
   static async remove(handle) {
     const result = await db.query(
-          `DELETE
-           FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
+          `WITH company AS (
+             UPDATE companies
+             SET deleted_at = NOW()
+             WHERE handle = $1 AND deleted_at IS NULL
+             RETURNING handle, deleted_at),
+           deleted_jobs AS (
+             UPDATE jobs
+             SET deleted_at = company.deleted_at
+             FROM company
+             WHERE jobs.company_handle = company.handle
+               AND jobs.deleted_at IS NULL)
+           SELECT handle FROM company`,
         [handle]);
     const company = result.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
   }
+
+  /** Restore a deleted company, along with the jobs deleted with it.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if there is no deleted company with that handle.
+   **/
+
+  static async restore(handle) {
+    const result = await db.query(
+          `WITH deleted AS (
+             SELECT handle, deleted_at
+             FROM companies
+             WHERE handle = $1 AND deleted_at IS NOT NULL),
+           restored_jobs AS (
+             UPDATE jobs
+             SET deleted_at = NULL
+             FROM deleted
+             WHERE jobs.company_handle = deleted.handle
+               AND jobs.deleted_at = deleted.deleted_at)
+           UPDATE companies AS c
+           SET deleted_at = NULL
+           FROM deleted
+           WHERE c.handle = deleted.handle
+           RETURNING c.handle,
+                     c.name,
+                     c.description,
+                     c.num_employees AS "numEmployees",
+                     c.logo_url AS "logoUrl"`,
+        [handle]);
+    const company = result.rows[0];
+
+    if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
+
+    return company;
+  }
+
+  /** Permanently remove companies deleted more than retentionDays ago,
+   * with all their jobs.
+   *
+   * Returns { count, resumeKeys }
+   *   where count is the number of companies removed and resumeKeys are the
+   *   storage keys of the resumes sent with applications to their jobs,
+   *   which the caller removes (see helpers/storage.js)
+   **/
+
+  static async purge(retentionDays) {
+    // the select sees the applications as they were before the delete
+    const result = await db.query(
+          `WITH purged AS (
+             DELETE
+             FROM companies
+             WHERE deleted_at < NOW() - make_interval(days => $1)
+             RETURNING handle)
+           SELECT (SELECT COUNT(*) FROM purged) AS "count",
+                  ARRAY(SELECT a.resume_key
+                        FROM applications AS a
+                        JOIN jobs AS j ON a.job_id = j.id
+                        WHERE j.company_handle IN (SELECT handle FROM purged)
+                          AND a.resume_key IS NOT NULL) AS "resumeKeys"`,
+        [retentionDays]);
+
+    const { count, resumeKeys } = result.rows[0];
+    return { count: +count, resumeKeys };
+  }
 }
 
 
@@ -55,13 +55,22 @@ describe("create", function () {
 			expect(err instanceof BadRequestError).toBeTruthy();
 		}
 	});
+
+	test("bad request with dupe name", async function () {
+		try {
+			await Company.create({ ...newCompany, name: "C1" });
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
 });
 
 /************************************** findAll */
 
 describe("findAll", function () {
 	test("works: no filter", async function () {
-		let companies = await Company.findAll();
+		let { items: companies } = await Company.findAll();
 		expect(companies).toEqual([
 			{
 				handle: "c1",
@@ -88,7 +97,7 @@ describe("findAll", function () {
 	});
 
 	test("works with only name filter", async () => {
-		const result = await Company.findAll({ name: "c1" });
+		const { items: result } = await Company.findAll({ name: "c1" });
 		expect(result).toEqual([
 			{
 				handle: "c1",
@@ -101,7 +110,7 @@ describe("findAll", function () {
 	});
 
 	test("works with only minimum employee filter", async () => {
-		const result = await Company.findAll({ minEmployees: "3" });
+		const { items: result } = await Company.findAll({ minEmployees: "3" });
 		expect(result).toEqual([
 			{
 				handle: "c3",
@@ -114,7 +123,7 @@ describe("findAll", function () {
   });
   
   test("works with only maximum employee filter", async () => {
-		const result = await Company.findAll({ maxEmployees: "1" });
+		const { items: result } = await Company.findAll({ maxEmployees: "1" });
 		expect(result).toEqual([
 			{
 				handle: "c1",
@@ -127,7 +136,7 @@ describe("findAll", function () {
   });
   
   test("works with all filters", async () => {
-    const result = await Company.findAll({
+    const { items: result } = await Company.findAll({
       maxEmployees: "2",
       minemployees: "2",
       name: "c2",
@@ -143,6 +152,43 @@ describe("findAll", function () {
 		]);
   });
   
+  test("works: reports total and next cursor", async function () {
+    const page = await Company.findAll({}, { limit: 2 });
+    expect(page.items.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(page.total).toEqual(3);
+    expect(page.nextCursor).toEqual(expect.any(String));
+
+    const next = await Company.findAll({}, { limit: 2, cursor: page.nextCursor });
+    expect(next.items.map(c => c.handle)).toEqual(["c3"]);
+    expect(next.nextCursor).toEqual(null);
+  });
+
+  test("works: sort and direction", async function () {
+    const { items } = await Company.findAll({}, { sort: "numEmployees", direction: "desc" });
+    expect(items.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("works: offset", async function () {
+    const page = await Company.findAll({}, { limit: 1, offset: 1 });
+    expect(page.items.map(c => c.handle)).toEqual(["c2"]);
+    expect(page.total).toEqual(3);
+  });
+
+  test("works: total counts filtered rows only", async function () {
+    const page = await Company.findAll({ name: "c1" }, { limit: 1 });
+    expect(page.total).toEqual(1);
+    expect(page.nextCursor).toEqual(null);
+  });
+
+  test("bad request if sort not allowed", async function () {
+    try {
+      await Company.findAll({}, { sort: "description" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("will fail if min greater than max", async function () {
 		try {
       await Company.findAll({
@@ -155,12 +201,55 @@ describe("findAll", function () {
 	});
 });
 
+/************************************** search */
+
+describe("search", function () {
+	test("works: name match", async function () {
+		const results = await Company.search("c1");
+		expect(results).toEqual([
+			{
+				handle: "c1",
+				name: "C1",
+				description: "Desc1",
+				numEmployees: 1,
+				logoUrl: "http://c1.img",
+				rank: expect.any(Number),
+				snippet: "<mark>C1</mark> - Desc1",
+			},
+		]);
+	});
+
+	test("works: ranks name matches above description matches", async function () {
+		await db.query(`UPDATE companies SET description = 'Partner of C1' WHERE handle = 'c2'`);
+		const results = await Company.search("c1");
+		expect(results.map(c => c.handle)).toEqual(["c1", "c2"]);
+		expect(results[0].rank).toBeGreaterThan(results[1].rank);
+	});
+
+	test("works: escapes the snippet's HTML", async function () {
+		await db.query(`UPDATE companies SET description = 'C1 <i>"Tom''s"</i> shop' WHERE handle = 'c1'`);
+		const results = await Company.search("c1");
+		expect(results[0].snippet)
+			.toEqual("<mark>C1</mark> - <mark>C1</mark> &lt;i&gt;&quot;Tom&#39;s&quot;&lt;/i&gt; shop");
+	});
+
+	test("works: no matches", async function () {
+		const results = await Company.search("nope");
+		expect(results).toEqual([]);
+	});
+
+	test("works: limit", async function () {
+		await db.query(`UPDATE companies SET description = 'widgets'`);
+		const results = await Company.search("widgets", 2);
+		expect(results.length).toEqual(2);
+	});
+});
+
 /************************************** get */
 
 describe("get", function () {
 	test("works", async function () {
 	  let company = await Company.get("c1");
-	  console.log(company)
 		expect(company).toEqual({
 			handle: "c1",
 			name: "C1",
@@ -273,12 +362,31 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-	test("works", async function () {
+	test("works, deleting its jobs too", async function () {
 		await Company.remove("c1");
 		const res = await db.query(
-			"SELECT handle FROM companies WHERE handle='c1'"
+			"SELECT deleted_at FROM companies WHERE handle='c1'"
 		);
-		expect(res.rows.length).toEqual(0);
+		expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+
+		const jobsRes = await db.query(
+			"SELECT deleted_at FROM jobs WHERE company_handle='c1'"
+		);
+		expect(jobsRes.rows).toEqual([{ deleted_at: res.rows[0].deleted_at }]);
+	});
+
+	test("hides the company", async function () {
+		await Company.remove("c1");
+		const { items, total } = await Company.findAll();
+		expect(items.map(c => c.handle)).toEqual(["c2", "c3"]);
+		expect(total).toEqual(2);
+		expect(await Company.search("C1")).toEqual([]);
+		try {
+			await Company.get("c1");
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
 	});
 
 	test("not found if no such company", async function () {
@@ -290,3 +398,62 @@ describe("remove", function () {
 		}
 	});
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+	test("works, restoring only the jobs deleted with it", async function () {
+		await db.query(`
+			INSERT INTO jobs (title, salary, equity, company_handle, deleted_at)
+			VALUES ('Old', 1, NULL, 'c1', '2024-01-01T00:00:00Z')`);
+		await Company.remove("c1");
+
+		const company = await Company.restore("c1");
+		expect(company).toEqual({
+			handle: "c1",
+			name: "C1",
+			description: "Desc1",
+			numEmployees: 1,
+			logoUrl: "http://c1.img",
+		});
+
+		const found = await Company.get("c1");
+		expect(found.jobs.map(j => j.title)).toEqual(["J1"]);
+	});
+
+	test("not found if not deleted", async function () {
+		try {
+			await Company.restore("c1");
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+	test("removes only companies deleted before the retention period", async function () {
+		await db.query(`
+			UPDATE companies SET deleted_at = NOW() - INTERVAL '31 days'
+			WHERE handle = 'c1'`);
+		await Company.remove("c2");
+
+		expect(await Company.purge(30)).toEqual({ count: 1, resumeKeys: [] });
+
+		const res = await db.query("SELECT handle FROM companies ORDER BY handle");
+		expect(res.rows).toEqual([{ handle: "c2" }, { handle: "c3" }]);
+		const jobsRes = await db.query("SELECT title FROM jobs ORDER BY title");
+		expect(jobsRes.rows).toEqual([{ title: "J2" }, { title: "J3" }]);
+	});
+
+	test("returns the keys of resumes sent to their jobs", async function () {
+		await db.query(`UPDATE applications SET resume_key = 'resumes/r1'`);
+		await db.query(`
+			UPDATE companies SET deleted_at = NOW() - INTERVAL '31 days'
+			WHERE handle = 'c1'`);
+
+		expect(await Company.purge(30)).toEqual({ count: 1, resumeKeys: ["resumes/r1"] });
+	});
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { EMAIL_VERIFICATION_EXPIRES_HOURS } = require("../config");
+
+/** Related functions for email verification tokens.
+ *
+ * A token is mailed to the address it verifies and stored hashed. Each
+ * works once and expires after EMAIL_VERIFICATION_EXPIRES_HOURS. It only
+ * verifies the address it was sent to: if the user's email has changed
+ * since, it no longer works.
+ */
+
+class EmailVerification {
+  /** Issue a token verifying username's current email.
+   *
+   * Returns { token, email }, for mailing the token to that address.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async create(username) {
+    const token = createOpaqueToken();
+
+    const result = await db.query(
+          `INSERT INTO email_verification_tokens
+           (token_hash, username, email, expires_at)
+           SELECT $1, username, email, NOW() + make_interval(hours => $3)
+           FROM users
+           WHERE username = $2 AND deleted_at IS NULL
+           RETURNING email`,
+        [hashToken(token), username, EMAIL_VERIFICATION_EXPIRES_HOURS],
+    );
+
+    const verification = result.rows[0];
+    if (!verification) throw new NotFoundError(`No user: ${username}`);
+
+    return { token, email: verification.email };
+  }
+
+  /** Mark the email a token was sent to as verified, using up the token.
+   *
+   * Returns the user's username.
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or used, or
+   * the user's email has changed since it was sent.
+   **/
+
+  static async verify(token) {
+    return await db.withTransaction(async client => {
+      const result = await client.query(
+            `UPDATE email_verification_tokens AS v
+             SET used_at = NOW()
+             FROM users AS u
+             WHERE v.username = u.username
+               AND v.email = u.email
+               AND u.deleted_at IS NULL
+               AND v.token_hash = $1
+               AND v.used_at IS NULL
+               AND v.expires_at > NOW()
+             RETURNING v.username`,
+          [hashToken(token)],
+      );
+
+      const verification = result.rows[0];
+      if (!verification) throw new UnauthorizedError("Invalid email verification token");
+
+      await client.query(
+            `UPDATE users SET email_verified = TRUE WHERE username = $1`,
+          [verification.username],
+      );
+
+      return verification.username;
+    });
+  }
+}
+
+
+module.exports = EmailVerification;
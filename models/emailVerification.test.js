@@ -0,0 +1,70 @@
+"use strict";
+
+const { NotFoundError, UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification");
+const User = require("./user");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const verification = await EmailVerification.create("u1");
+    expect(verification).toEqual({ token: expect.any(String), email: "u1@email.com" });
+
+    const res = await db.query(
+        `SELECT username, email FROM email_verification_tokens`);
+    expect(res.rows).toEqual([{ username: "u1", email: "u1@email.com" }]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(EmailVerification.create("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works", async function () {
+    const { token } = await EmailVerification.create("u1");
+    expect(await User.isEmailVerified("u1")).toEqual(false);
+
+    expect(await EmailVerification.verify(token)).toEqual("u1");
+    expect(await User.isEmailVerified("u1")).toEqual(true);
+  });
+
+  test("token works once", async function () {
+    const { token } = await EmailVerification.create("u1");
+    await EmailVerification.verify(token);
+    await expect(EmailVerification.verify(token)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if the email changed since", async function () {
+    const { token } = await EmailVerification.create("u1");
+    await db.query(`UPDATE users SET email = 'other@email.com' WHERE username = 'u1'`);
+    await expect(EmailVerification.verify(token)).rejects.toThrow(UnauthorizedError);
+    expect(await User.isEmailVerified("u1")).toEqual(false);
+  });
+
+  test("unauth if expired", async function () {
+    const { token } = await EmailVerification.create("u1");
+    await db.query(
+        `UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 minute'`);
+    await expect(EmailVerification.verify(token)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if unknown", async function () {
+    await expect(EmailVerification.verify("nope")).rejects.toThrow(UnauthorizedError);
+  });
+});
@@ -2,9 +2,14 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForHtmlEscape } = require("../helpers/sql");
+const { sqlForPagination, pageOf } = require("../helpers/pagination");
+const Technology = require("./technology");
 
-/** Related functions for jobs. */
+/** Related functions for jobs.
+ *
+ * Like companies, deleted jobs are only marked deleted until purged.
+ */
 
 class Job {
     /** Create a job (from data), update db, return new job data.
@@ -37,25 +42,34 @@ class Job {
     /** Find all jobs with optional filters for 
      * minimum salary, if it has equity, and title 
      * of the job. Filters can be passed in as an 
-     * object to the function.
+     * object to the function. hasEquity only
+     * filters when it is true. technologies is a
+     * list of names; only jobs requiring all of
+     * them (ignoring case) are found. postedAfter
+     * and postedUntil (timestamps; postedAfter is
+     * exclusive, postedUntil inclusive) find jobs
+     * posted in that time, as for saved searches.
+     * bookmarkedBy is a username; only jobs they
+     * have bookmarked are found.
+     *
+     * page can hold { sort, direction, limit, offset,
+     * cursor }; see helpers/pagination.js. Jobs can be
+     * sorted by id, title, salary (the default), equity
+     * or companyHandle.
      * 
-     * Returns [{ id, title, salary, equity, 
-     * companyHandle }, ...]
+     * Returns { items, total, nextCursor }
+     *   where items is [{ id, title, salary, equity,
+     *   companyHandle }, ...]
      * */
   
-    static async findAll(searchFilters = {}) {
-      let query = 
-            `SELECT id,
-                    company_handle AS "companyHandle",
-                    title,
-                    salary,
-                    equity
-             FROM jobs`;
-      
-      const whereStatements = [];
+    static async findAll(searchFilters = {}, page = {}) {
+      const whereStatements = ["deleted_at IS NULL"];
       const values = [];
   
-      const { title, minSalary, hasEquity } = searchFilters;
+      const {
+        title, minSalary, hasEquity, technologies, postedAfter, postedUntil,
+        bookmarkedBy,
+      } = searchFilters;
 
       if (title !== undefined) {
         values.push(`%${title}%`);
@@ -67,24 +81,112 @@ class Job {
         whereStatements.push(`salary >= $${values.length}`);
       }
   
-      if (hasEquity !== undefined) {
+      if (hasEquity === true) {
         values.push("0");
         whereStatements.push(`equity > $${values.length}`);
       }
+
+      if (postedAfter !== undefined) {
+        values.push(postedAfter);
+        whereStatements.push(`posted_at > $${values.length}`);
+      }
+
+      if (postedUntil !== undefined) {
+        values.push(postedUntil);
+        whereStatements.push(`posted_at <= $${values.length}`);
+      }
+
+      if (bookmarkedBy !== undefined) {
+        values.push(bookmarkedBy);
+        whereStatements.push(
+            `id IN (SELECT job_id FROM bookmarks WHERE username = $${values.length})`);
+      }
+
+      if (technologies !== undefined && technologies.length > 0) {
+        const names = [...new Set(technologies.map(t => t.toLowerCase()))];
+        values.push(names, names.length);
+        whereStatements.push(
+            `id IN (SELECT jt.job_id
+                    FROM job_technologies AS jt
+                    JOIN technologies AS t ON jt.technology_id = t.id
+                    WHERE lower(t.name) = ANY($${values.length - 1})
+                    GROUP BY jt.job_id
+                    HAVING COUNT(*) = $${values.length})`);
+      }
   
+      const countWhere = whereStatements.length > 0
+          ? ` WHERE ${whereStatements.join(" AND ")}`
+          : "";
+      const countRes = await db.query(
+          `SELECT COUNT(*) AS "total" FROM jobs${countWhere}`, values);
+
+      const pagination = sqlForPagination(page, {
+        sortable: {
+          id: { col: "id", type: "integer" },
+          title: { col: "title", type: "text" },
+          salary: { col: "salary", type: "integer" },
+          equity: { col: "equity", type: "numeric" },
+          companyHandle: { col: "company_handle", type: "text" },
+        },
+        defaultSort: "salary",
+        key: "id",
+      }, values);
+      if (pagination.keyset) whereStatements.push(pagination.keyset);
+
+      let query = 
+            `SELECT id,
+                    company_handle AS "companyHandle",
+                    title,
+                    salary,
+                    equity
+             FROM jobs`;
+
       if (whereStatements.length > 0) {
         query += ` WHERE ${whereStatements.join(" AND ")}`
       }
   
-      query += " ORDER BY salary";
+      query += ` ${pagination.orderBy} ${pagination.limitClause}`;
       const finalQuery = await db.query(query, values);
   
-      return finalQuery.rows;
+      return pageOf(finalQuery.rows, pagination, +countRes.rows[0].total);
     }
   
+    /** Full-text search over job titles.
+     *
+     * q is a web-style search string, as for
+     * Company.search.
+     *
+     * Returns [{ id, title, salary, equity,
+     * companyHandle, rank, snippet }, ...], best
+     * match first, where snippet is the title,
+     * HTML-escaped, with matched words wrapped in
+     * <mark></mark>
+     * */
+
+    static async search(q, limit = 10) {
+      const result = await db.query(
+            `SELECT id,
+                    title,
+                    salary,
+                    equity,
+                    company_handle AS "companyHandle",
+                    ts_rank(search_vector, query) AS rank,
+                    ts_headline('english', ${sqlForHtmlEscape("title")}, query,
+                                'StartSel=<mark>, StopSel=</mark>')
+                      AS snippet
+             FROM jobs, websearch_to_tsquery('english', $1) AS query
+             WHERE search_vector @@ query AND deleted_at IS NULL
+             ORDER BY rank DESC, title, id
+             LIMIT $2`,
+          [q, limit]);
+
+      return result.rows;
+    }
+
     /** Given a job id, return data about job.
      *
-     * Returns { id, title, salary, equity, companyHandle }
+     * Returns { id, title, salary, equity, companyHandle,
+     * technologies } where technologies is [name, ...]
      *
      * Throws NotFoundError if not found.
      **/
@@ -97,16 +199,38 @@ class Job {
                     company_handle AS "companyHandle",
                     equity
              FROM jobs
-             WHERE id = $1`,
+             WHERE id = $1 AND deleted_at IS NULL`,
           [id]);
   
       const job = jobRes.rows[0];
   
       if (!job) throw new NotFoundError(`No job with the id of: ${job}`);
+
+      job.technologies = await Technology.forJob(id);
   
       return job;
     }
   
+    /** Given a job id, return the handle of its company, even if the job
+     * is deleted.
+     *
+     * Throws NotFoundError if not found.
+     **/
+
+    static async getCompanyHandle(id) {
+      const result = await db.query(
+            `SELECT company_handle AS "companyHandle"
+             FROM jobs
+             WHERE id = $1`,
+          [id]);
+
+      const job = result.rows[0];
+
+      if (!job) throw new NotFoundError(`No job with the id of: ${id}`);
+
+      return job.companyHandle;
+    }
+
     /** Update job data with `data`.
      *
      * This is a "partial update" --- it's fine if data doesn't contain all the
@@ -127,7 +251,7 @@ class Job {
   
       const querySql = `UPDATE jobs
                         SET ${setCols} 
-                        WHERE id = ${idVarIdx} 
+                        WHERE id = ${idVarIdx} AND deleted_at IS NULL
                         RETURNING id, 
                                   title, 
                                   salary, 
@@ -141,20 +265,84 @@ class Job {
       return job;
     }
   
-    /** Delete given job from database; returns undefined.
+    /** Delete given job; returns undefined.
      *
      * Throws NotFoundError if job not found.
      **/
   
     static async remove(id) {
       const result = await db.query(
-            `DELETE
-             FROM jobs
-             WHERE id = $1
+            `UPDATE jobs
+             SET deleted_at = NOW()
+             WHERE id = $1 AND deleted_at IS NULL
              RETURNING id`,
           [id]);
       if (result.rows.length === 0) throw new NotFoundError(`No job with the id of: ${id}`);
     }
+
+    /** Restore a deleted job.
+     *
+     * Returns { id, title, salary, equity, companyHandle }
+     *
+     * Throws NotFoundError if there is no deleted job with that id
+     * and BadRequestError if its company is deleted; restoring the
+     * company restores the jobs deleted with it.
+     **/
+
+    static async restore(id) {
+      const checkRes = await db.query(
+            `SELECT c.deleted_at AS "companyDeletedAt"
+             FROM jobs AS j
+             JOIN companies AS c ON j.company_handle = c.handle
+             WHERE j.id = $1 AND j.deleted_at IS NOT NULL`,
+          [id]);
+      const deleted = checkRes.rows[0];
+
+      if (!deleted) throw new NotFoundError(`No deleted job with the id of: ${id}`);
+      if (deleted.companyDeletedAt !== null) {
+        throw new BadRequestError(`Company of job ${id} is deleted; restore it first`);
+      }
+
+      const result = await db.query(
+            `UPDATE jobs
+             SET deleted_at = NULL
+             WHERE id = $1
+             RETURNING id,
+                       title,
+                       salary,
+                       equity,
+                       company_handle AS "companyHandle"`,
+          [id]);
+
+      return result.rows[0];
+    }
+
+    /** Permanently remove jobs deleted more than retentionDays ago.
+     *
+     * Returns { count, resumeKeys }
+     *   where count is the number of jobs removed and resumeKeys are the
+     *   storage keys of the resumes sent with applications to them, which
+     *   the caller removes (see helpers/storage.js)
+     **/
+
+    static async purge(retentionDays) {
+      // the select sees the applications as they were before the delete
+      const result = await db.query(
+            `WITH purged AS (
+               DELETE
+               FROM jobs
+               WHERE deleted_at < NOW() - make_interval(days => $1)
+               RETURNING id)
+             SELECT (SELECT COUNT(*) FROM purged) AS "count",
+                    ARRAY(SELECT resume_key
+                          FROM applications
+                          WHERE job_id IN (SELECT id FROM purged)
+                            AND resume_key IS NOT NULL) AS "resumeKeys"`,
+          [retentionDays]);
+
+      const { count, resumeKeys } = result.rows[0];
+      return { count: +count, resumeKeys };
+    }
   }
   
   
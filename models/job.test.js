@@ -57,7 +57,7 @@ describe("create", function () {
 
 describe("findAll", function () {
 	test("works: no filter", async function () {
-		let jobs = await Job.findAll();
+		let { items: jobs } = await Job.findAll();
 		expect(jobs).toEqual([
 			{
 				id: expect.any(Number),
@@ -84,7 +84,7 @@ describe("findAll", function () {
 	});
 
 	test("works with only title filter", async () => {
-		const result = await Job.findAll({ title: "J1" });
+		const { items: result } = await Job.findAll({ title: "J1" });
 		expect(result).toEqual([
 			{
 				id: expect.any(Number),
@@ -97,7 +97,7 @@ describe("findAll", function () {
 	});
 
 	test("works with only minimum salary filter", async () => {
-		const result = await Job.findAll({ minSalary: 190000 });
+		const { items: result } = await Job.findAll({ minSalary: 190000 });
 		expect(result).toEqual([
 			{
 				id: expect.any(Number),
@@ -110,7 +110,7 @@ describe("findAll", function () {
   });
   
   test("works with only has equity filter", async () => {
-		const result = await Job.findAll({ hasEquity: true });
+		const { items: result } = await Job.findAll({ hasEquity: true });
 		expect(result).toEqual([
 			{
 				id: expect.any(Number),
@@ -129,8 +129,51 @@ describe("findAll", function () {
 		]);
   });
   
+  test("works: hasEquity false doesn't filter", async () => {
+    const { items: result } = await Job.findAll({ hasEquity: false });
+    expect(result.length).toEqual(3);
+  });
+
+  test("works: technologies, requiring all of them", async () => {
+    await db.query(`
+      INSERT INTO job_technologies(job_id, technology_id)
+      SELECT j.id, t.id FROM jobs AS j, technologies AS t
+      WHERE j.title = 'J2' AND t.name = 'SQL'`);
+
+    let { items: result } = await Job.findAll({ technologies: ["sql"] });
+    expect(result.map(j => j.title)).toEqual(["J1", "J2"]);
+
+    ({ items: result } = await Job.findAll({ technologies: ["SQL", "javascript", "Sql"] }));
+    expect(result.map(j => j.title)).toEqual(["J1"]);
+  });
+
+  test("works: technology no job requires", async () => {
+    const { items: result, total } = await Job.findAll({ technologies: ["COBOL"] });
+    expect(result).toEqual([]);
+    expect(total).toEqual(0);
+  });
+
+  test("works: posted between postedAfter and postedUntil", async () => {
+    await db.query(`UPDATE jobs SET posted_at = '2024-01-01' WHERE title = 'J1'`);
+    await db.query(`UPDATE jobs SET posted_at = '2024-02-01' WHERE title = 'J2'`);
+    await db.query(`UPDATE jobs SET posted_at = '2024-03-01' WHERE title = 'J3'`);
+    const { items: result } = await Job.findAll({
+      postedAfter: "2024-01-01",
+      postedUntil: "2024-02-01",
+    });
+    expect(result.map(j => j.title)).toEqual(["J2"]);
+  });
+
+  test("works: bookmarkedBy", async () => {
+    await db.query(`
+      INSERT INTO bookmarks (username, job_id)
+      SELECT 'u1', id FROM jobs WHERE title = 'J3'`);
+    const { items: result } = await Job.findAll({ bookmarkedBy: "u1" });
+    expect(result.map(j => j.title)).toEqual(["J3"]);
+  });
+
   test("works with all filters", async () => {
-    const result = await Job.findAll({
+    const { items: result } = await Job.findAll({
       title: "J1",
       minSalary: 100000,
       hasEquity: true,
@@ -147,6 +190,62 @@ describe("findAll", function () {
   });
 });
 
+/************************************** findAll: paging */
+
+describe("findAll: paging", function () {
+  test("works: cursor past null salaries and equity", async function () {
+    await db.query(`UPDATE jobs SET salary = NULL WHERE title = 'J3'`);
+    const first = await Job.findAll({}, { sort: "equity", limit: 1 });
+    expect(first.items.map(j => j.title)).toEqual(["J1"]);
+
+    const second = await Job.findAll({}, { sort: "equity", limit: 1, cursor: first.nextCursor });
+    expect(second.items.map(j => j.title)).toEqual(["J3"]);
+
+    const third = await Job.findAll({}, { sort: "equity", limit: 1, cursor: second.nextCursor });
+    expect(third.items.map(j => j.title)).toEqual(["J2"]);
+    expect(third.nextCursor).toEqual(null);
+    expect(third.total).toEqual(3);
+  });
+
+  test("works: default sort puts null salaries last", async function () {
+    await db.query(`UPDATE jobs SET salary = NULL WHERE title = 'J1'`);
+    const { items } = await Job.findAll();
+    expect(items.map(j => j.title)).toEqual(["J2", "J3", "J1"]);
+  });
+});
+
+/************************************** search */
+
+describe("search", function () {
+	test("works", async function () {
+		await db.query(`UPDATE jobs SET title = 'Senior Engineer' WHERE title = 'J1'`);
+		await db.query(`UPDATE jobs SET title = 'Engineering Manager' WHERE title = 'J2'`);
+		const results = await Job.search("engineer");
+		expect(results.map(j => j.title)).toEqual(["Engineering Manager", "Senior Engineer"]);
+		expect(results[1]).toEqual({
+			id: expect.any(Number),
+			title: "Senior Engineer",
+			salary: 150000,
+			equity: "0.01",
+			companyHandle: "c1",
+			rank: expect.any(Number),
+			snippet: "Senior <mark>Engineer</mark>",
+		});
+	});
+
+	test("works: escapes the snippet's HTML", async function () {
+		await db.query(`UPDATE jobs SET title = '<b>R&D</b> Engineer' WHERE title = 'J1'`);
+		const results = await Job.search("engineer");
+		expect(results[0].snippet)
+			.toEqual("&lt;b&gt;R&amp;D&lt;/b&gt; <mark>Engineer</mark>");
+	});
+
+	test("works: no matches", async function () {
+		const results = await Job.search("nope");
+		expect(results).toEqual([]);
+	});
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -160,6 +259,7 @@ describe("get", function () {
         salary: 150000,
         equity: "0.01",
         companyHandle: "c1",
+        technologies: ["JavaScript", "SQL"],
 		});
 	});
 
@@ -173,6 +273,27 @@ describe("get", function () {
 	});
 });
 
+/************************************** getCompanyHandle */
+
+describe("getCompanyHandle", function () {
+  test("works, even for a deleted job", async function () {
+    const res = await db.query(`SELECT id FROM jobs WHERE title = 'J1'`);
+    const jobId = res.rows[0].id;
+    expect(await Job.getCompanyHandle(jobId)).toEqual("c1");
+    await Job.remove(jobId);
+    expect(await Job.getCompanyHandle(jobId)).toEqual("c1");
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Job.getCompanyHandle(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -258,9 +379,26 @@ describe("remove", function () {
     const jobId = res.rows[0].id;
 		await Job.remove(jobId);
 		const result = await db.query(
-			`SELECT id FROM jobs WHERE id=${jobId}`
+			`SELECT deleted_at FROM jobs WHERE id=${jobId}`
 		);
-		expect(result.rows.length).toEqual(0);
+		expect(result.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+	});
+
+	test("hides the job", async function () {
+		const res = await db.query(`SELECT id FROM jobs WHERE title = 'J1'`);
+		const jobId = res.rows[0].id;
+		await Job.remove(jobId);
+
+		const { items, total } = await Job.findAll();
+		expect(items.map(j => j.title)).toEqual(["J2", "J3"]);
+		expect(total).toEqual(2);
+		expect(await Job.search("J1")).toEqual([]);
+		try {
+			await Job.get(jobId);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
 	});
 
 	test("not found if no such job", async function () {
@@ -272,3 +410,67 @@ describe("remove", function () {
 		}
 	});
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+	test("works", async function () {
+		const res = await db.query(`SELECT id FROM jobs WHERE title = 'J1'`);
+		const jobId = res.rows[0].id;
+		await Job.remove(jobId);
+		const job = await Job.restore(jobId);
+		expect(job).toEqual({
+			id: jobId,
+			title: "J1",
+			salary: 150000,
+			equity: "0.01",
+			companyHandle: "c1",
+		});
+		expect((await Job.get(jobId)).title).toEqual("J1");
+	});
+
+	test("not found if not deleted", async function () {
+		const res = await db.query(`SELECT id FROM jobs WHERE title = 'J1'`);
+		try {
+			await Job.restore(res.rows[0].id);
+			fail();
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test("bad request if company deleted", async function () {
+		const res = await db.query(`SELECT id FROM jobs WHERE title = 'J1'`);
+		await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'`);
+		await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE company_handle = 'c1'`);
+		try {
+			await Job.restore(res.rows[0].id);
+			fail();
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+	test("removes only jobs deleted before the retention period", async function () {
+		await db.query(
+			`UPDATE jobs SET deleted_at = NOW() - INTERVAL '31 days' WHERE title = 'J1'`);
+		await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE title = 'J2'`);
+
+		expect(await Job.purge(30)).toEqual({ count: 1, resumeKeys: [] });
+
+		const res = await db.query("SELECT title FROM jobs ORDER BY title");
+		expect(res.rows).toEqual([{ title: "J2" }, { title: "J3" }]);
+	});
+
+	test("returns the keys of resumes sent to them", async function () {
+		await db.query(`UPDATE applications SET resume_key = 'resumes/r1'`);
+		await db.query(
+			`UPDATE jobs SET deleted_at = NOW() - INTERVAL '31 days' WHERE title = 'J1'`);
+
+		expect(await Job.purge(30)).toEqual({ count: 1, resumeKeys: ["resumes/r1"] });
+	});
+});
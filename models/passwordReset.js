@@ -0,0 +1,101 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { PASSWORD_RESET_EXPIRES_MINUTES } = require("../config");
+const User = require("./user");
+
+/** Related functions for password reset tokens.
+ *
+ * Like refresh tokens, reset tokens are stored hashed. Each works once and
+ * expires after PASSWORD_RESET_EXPIRES_MINUTES; using one also uses up any
+ * others the user was sent.
+ */
+
+class PasswordReset {
+  /** Issue a reset token for username.
+   *
+   * Returns { token, email }, for mailing the token to the user, or
+   * undefined if there is no such user (or they were deleted).
+   **/
+
+  static async create(username) {
+    const token = createOpaqueToken();
+
+    const result = await db.query(
+          `INSERT INTO password_reset_tokens
+           (token_hash, username, expires_at)
+           SELECT $1, username, NOW() + make_interval(mins => $3)
+           FROM users
+           WHERE username = $2 AND deleted_at IS NULL
+           RETURNING (SELECT email FROM users WHERE username = $2) AS email`,
+        [hashToken(token), username, PASSWORD_RESET_EXPIRES_MINUTES],
+    );
+
+    const reset = result.rows[0];
+    if (!reset) return undefined;
+
+    return { token, email: reset.email };
+  }
+
+  /** Set a new password for the user a reset token was issued to, using up
+   * the token. As for any password change, this logs them out everywhere.
+   *
+   * Returns the user's username.
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or used, and
+   * BadRequestError if the password doesn't follow the password policy
+   * (the token can then still be used). Using up the tokens and setting the
+   * password happen in one transaction, so the token is only used up if
+   * the password is set.
+   **/
+
+  static async confirm(token, password) {
+    const tokenHash = hashToken(token);
+    const usable = `p.username = u.username
+                    AND u.deleted_at IS NULL
+                    AND p.token_hash = $1
+                    AND p.used_at IS NULL
+                    AND p.expires_at > NOW()`;
+
+    const found = await db.query(
+          `SELECT p.username
+           FROM password_reset_tokens AS p
+           JOIN users AS u ON ${usable}`,
+        [tokenHash],
+    );
+    if (!found.rows[0]) throw new UnauthorizedError("Invalid password reset token");
+
+    await User.validateNewPassword(found.rows[0].username, password);
+
+    return await db.withTransaction(async client => {
+      // only if nothing used the token meanwhile
+      const result = await client.query(
+            `UPDATE password_reset_tokens AS p
+             SET used_at = NOW()
+             FROM users AS u
+             WHERE ${usable}
+             RETURNING p.username`,
+          [tokenHash],
+      );
+
+      const reset = result.rows[0];
+      if (!reset) throw new UnauthorizedError("Invalid password reset token");
+
+      await client.query(
+            `UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE username = $1 AND used_at IS NULL`,
+          [reset.username],
+      );
+
+      await User.update(reset.username, { password }, client);
+
+      return reset.username;
+    });
+  }
+}
+
+
+module.exports = PasswordReset;
@@ -0,0 +1,93 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset");
+const RefreshToken = require("./refreshToken");
+const User = require("./user");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const reset = await PasswordReset.create("u1");
+    expect(reset).toEqual({ token: expect.any(String), email: "u1@email.com" });
+
+    const res = await db.query(
+        `SELECT token_hash, username FROM password_reset_tokens`);
+    expect(res.rows).toEqual([{ token_hash: expect.any(String), username: "u1" }]);
+    expect(res.rows[0].token_hash).not.toEqual(reset.token);
+  });
+
+  test("undefined if no such user", async function () {
+    expect(await PasswordReset.create("nope")).toBeUndefined();
+  });
+
+  test("undefined if user deleted", async function () {
+    await User.remove("u1");
+    expect(await PasswordReset.create("u1")).toBeUndefined();
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const { token } = await PasswordReset.create("u1");
+    const refreshToken = await RefreshToken.create("u1");
+
+    expect(await PasswordReset.confirm(token, "New-Passw0rd")).toEqual("u1");
+
+    const user = await User.authenticate("u1", "New-Passw0rd");
+    expect(user.tokenVersion).toEqual(1);
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("token works once", async function () {
+    const { token } = await PasswordReset.create("u1");
+    await PasswordReset.confirm(token, "New-Passw0rd");
+    await expect(PasswordReset.confirm(token, "Other-Passw0rd"))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("uses up the user's other tokens", async function () {
+    const first = await PasswordReset.create("u1");
+    const second = await PasswordReset.create("u1");
+    await PasswordReset.confirm(second.token, "New-Passw0rd");
+    await expect(PasswordReset.confirm(first.token, "Other-Passw0rd"))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("keeps the token if the password can't be set", async function () {
+    const { token } = await PasswordReset.create("u1");
+    const err = new Error("down");
+    const update = jest.spyOn(User, "update").mockRejectedValueOnce(err);
+    await expect(PasswordReset.confirm(token, "New-Passw0rd")).rejects.toBe(err);
+    update.mockRestore();
+
+    expect(await PasswordReset.confirm(token, "New-Passw0rd")).toEqual("u1");
+  });
+
+  test("unauth if expired", async function () {
+    const { token } = await PasswordReset.create("u1");
+    await db.query(`UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'`);
+    await expect(PasswordReset.confirm(token, "New-Passw0rd"))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if unknown", async function () {
+    await expect(PasswordReset.confirm("nope", "New-Passw0rd"))
+        .rejects.toThrow(UnauthorizedError);
+  });
+});
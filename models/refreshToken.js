@@ -0,0 +1,136 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Refresh tokens are stored hashed. Each one is used once: exchanging it
+ * revokes it and issues the next token in the same family (chain). Logging
+ * out revokes the whole family.
+ */
+
+class RefreshToken {
+  /** Issue a refresh token for username, continuing the chain familyId or
+   * starting a new one. Runs on client if given (e.g. in a transaction).
+   *
+   * Returns the token itself; only its hash is kept.
+   **/
+
+  static async create(username, familyId = createOpaqueToken(), client = db) {
+    const token = createOpaqueToken();
+
+    await client.query(
+          `INSERT INTO refresh_tokens
+           (token_hash, username, family_id, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(days => $4))`,
+        [hashToken(token), username, familyId, REFRESH_TOKEN_EXPIRES_DAYS],
+    );
+
+    return token;
+  }
+
+  /** Exchange a refresh token for the next one in its chain.
+   *
+   * Returns { username, isAdmin, tokenVersion, roles, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or already
+   * used. Presenting an already used token revokes its whole chain, since
+   * someone else has a copy of it.
+   **/
+
+  static async rotate(token) {
+    const tokenHash = hashToken(token);
+
+    // use up the token and issue the next one together, so a failure
+    // can't leave the user without a working token
+    const rotated = await db.withTransaction(async client => {
+      const result = await client.query(
+          `UPDATE refresh_tokens AS r
+           SET revoked_at = NOW()
+           FROM users AS u
+           WHERE r.username = u.username
+             AND u.deleted_at IS NULL
+             AND r.token_hash = $1
+             AND r.revoked_at IS NULL
+             AND r.expires_at > NOW()
+           RETURNING r.username,
+                     r.family_id AS "familyId",
+                     u.is_admin AS "isAdmin",
+                     u.token_version AS "tokenVersion",
+                     ARRAY(SELECT role
+                           FROM user_roles AS ur
+                           WHERE ur.username = u.username
+                           ORDER BY role) AS roles`,
+          [tokenHash],
+      );
+
+      const current = result.rows[0];
+      if (!current) return null;
+
+      const refreshToken = await RefreshToken.create(
+          current.username, current.familyId, client);
+
+      return {
+        username: current.username,
+        isAdmin: current.isAdmin,
+        tokenVersion: current.tokenVersion,
+        roles: current.roles,
+        refreshToken,
+      };
+    });
+
+    if (!rotated) {
+      await db.query(
+            `UPDATE refresh_tokens
+             SET revoked_at = NOW()
+             WHERE revoked_at IS NULL
+               AND family_id = (SELECT family_id
+                                FROM refresh_tokens
+                                WHERE token_hash = $1)`,
+          [tokenHash],
+      );
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    return rotated;
+  }
+
+  /** Revoke every token in the chain the given token belongs to.
+   *
+   * Throws UnauthorizedError if the token is unknown.
+   **/
+
+  static async revokeFamily(token) {
+    const result = await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = COALESCE(revoked_at, NOW())
+           WHERE family_id = (SELECT family_id
+                              FROM refresh_tokens
+                              WHERE token_hash = $1)
+           RETURNING family_id`,
+        [hashToken(token)],
+    );
+
+    if (result.rows.length === 0) throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  /** Revoke every refresh token the given user holds; returns undefined.
+   *
+   * Runs on client if given (e.g. in a transaction).
+   */
+
+  static async revokeAll(username, client = db) {
+    await client.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username],
+    );
+  }
+}
+
+
+module.exports = RefreshToken;
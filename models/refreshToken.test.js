@@ -0,0 +1,110 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const { hashToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const found = await db.query(
+        `SELECT username, revoked_at, expires_at > NOW() AS "live"
+         FROM refresh_tokens
+         WHERE token_hash = $1`, [hashToken(token)]);
+    expect(found.rows).toEqual([{ username: "u1", revoked_at: null, live: true }]);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const result = await RefreshToken.rotate(token);
+    expect(result).toEqual({
+      username: "u1",
+      isAdmin: false,
+      tokenVersion: 0,
+      roles: [],
+      refreshToken: expect.any(String),
+    });
+
+    const families = await db.query(
+        `SELECT DISTINCT family_id FROM refresh_tokens WHERE username = 'u1'`);
+    expect(families.rows.length).toEqual(1);
+  });
+
+  test("unauth if used twice, and revokes the chain", async function () {
+    const token = await RefreshToken.create("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.create("u1");
+    await db.query(
+        `UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'`);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if no such token", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revokeFamily */
+
+describe("revokeFamily", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const other = await RefreshToken.create("u1");
+    await RefreshToken.revokeFamily(token);
+    const res = await db.query(
+        `SELECT token_hash FROM refresh_tokens WHERE revoked_at IS NULL`);
+    expect(res.rows).toEqual([{ token_hash: hashToken(other) }]);
+  });
+
+  test("unauth if no such token", async function () {
+    try {
+      await RefreshToken.revokeFamily("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
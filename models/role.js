@@ -0,0 +1,189 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+// foreign_key_violation: the user or company being linked doesn't exist
+const FOREIGN_KEY_VIOLATION = "23503";
+
+/** Related functions for roles and the permissions they grant.
+ *
+ * Roles are admin, recruiter and user. Every user has the user role
+ * without it being recorded; the others are given out in user_roles.
+ * Some permissions are scoped to companies: a recruiter can write jobs,
+ * but only for the companies they are attached to.
+ */
+
+class Role {
+  /** Find all roles.
+   *
+   * Returns [{ name, description, permissions }, ...]
+   *   where permissions is [{ permission, companyScoped }, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT r.name,
+                  r.description,
+                  COALESCE(
+                    JSON_AGG(JSON_BUILD_OBJECT('permission', p.permission,
+                                               'companyScoped', p.company_scoped)
+                             ORDER BY p.permission)
+                      FILTER (WHERE p.permission IS NOT NULL),
+                    '[]') AS permissions
+           FROM roles AS r
+           LEFT JOIN role_permissions AS p ON p.role = r.name
+           GROUP BY r.name, r.description
+           ORDER BY r.name`);
+
+    return result.rows;
+  }
+
+  /** Given some roles, return how they grant permission:
+   * { companyScoped } where companyScoped is true if every role granting it
+   * only does so for the user's companies, or undefined if none grant it.
+   **/
+
+  static async grantFor(roles, permission) {
+    const result = await db.query(
+          `SELECT BOOL_AND(company_scoped) AS "companyScoped"
+           FROM role_permissions
+           WHERE role = ANY($1) AND permission = $2
+           HAVING COUNT(*) > 0`,
+        [roles, permission],
+    );
+
+    return result.rows[0];
+  }
+
+  /** Given a username, return the roles given to them, like ["recruiter"].
+   * The user role every user has isn't listed.
+   **/
+
+  static async forUser(username) {
+    const result = await db.query(
+          `SELECT role
+           FROM user_roles
+           WHERE username = $1
+           ORDER BY role`,
+        [username],
+    );
+
+    return result.rows.map(r => r.role);
+  }
+
+  /** Replace the roles given to username with roles.
+   *
+   * Keeps the user's isAdmin flag in step with the admin role, and bumps
+   * their token version, since their tokens carry their old roles.
+   *
+   * Returns the roles, as forUser does.
+   *
+   * Throws NotFoundError if user not found and BadRequestError for unknown
+   * roles.
+   **/
+
+  static async setForUser(username, roles) {
+    const knownRes = await db.query(
+          `SELECT name FROM roles WHERE name = ANY($1)`, [roles]);
+    const known = knownRes.rows.map(r => r.name);
+    const unknown = roles.filter(r => !known.includes(r));
+    if (unknown.length) throw new BadRequestError(`Unknown roles: ${unknown.join(", ")}`);
+
+    // the user role is everyone's anyway
+    const given = [...new Set(roles)].filter(r => r !== "user");
+
+    await db.withTransaction(async client => {
+      const userRes = await client.query(
+            `UPDATE users
+             SET is_admin = $2, token_version = token_version + 1
+             WHERE username = $1 AND deleted_at IS NULL
+             RETURNING username`,
+          [username, given.includes("admin")],
+      );
+      if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+      await client.query(`DELETE FROM user_roles WHERE username = $1`, [username]);
+      await client.query(
+            `INSERT INTO user_roles (username, role)
+             SELECT $1, role FROM UNNEST($2::TEXT[]) AS role`,
+          [username, given],
+      );
+    });
+
+    return Role.forUser(username);
+  }
+
+  /** Given a username, return the handles of the companies they are
+   * attached to, like ["c1", ...].
+   **/
+
+  static async companiesFor(username) {
+    const result = await db.query(
+          `SELECT company_handle AS "companyHandle"
+           FROM user_companies
+           WHERE username = $1
+           ORDER BY company_handle`,
+        [username],
+    );
+
+    return result.rows.map(r => r.companyHandle);
+  }
+
+  /** Return whether username is attached to the company handle. */
+
+  static async isAttached(username, handle) {
+    const result = await db.query(
+          `SELECT 1
+           FROM user_companies
+           WHERE username = $1 AND company_handle = $2`,
+        [username, handle],
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /** Attach username to the company handle, for their company-scoped
+   * permissions; returns { username, companyHandle }.
+   *
+   * Attaching them again is fine.
+   *
+   * Throws NotFoundError if the user or company doesn't exist.
+   */
+
+  static async attach(username, handle) {
+    try {
+      await db.query(
+            `INSERT INTO user_companies (username, company_handle)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+          [username, handle]);
+    } catch (err) {
+      if (err.code === FOREIGN_KEY_VIOLATION) {
+        throw new NotFoundError(`No user: ${username} or company: ${handle}`);
+      }
+      throw err;
+    }
+
+    return { username, companyHandle: handle };
+  }
+
+  /** Detach username from the company handle; returns undefined.
+   *
+   * Throws NotFoundError if they weren't attached.
+   */
+
+  static async detach(username, handle) {
+    const result = await db.query(
+          `DELETE
+           FROM user_companies
+           WHERE username = $1 AND company_handle = $2
+           RETURNING username`,
+        [username, handle]);
+
+    if (!result.rows[0]) throw new NotFoundError(`${username} is not attached to company: ${handle}`);
+  }
+}
+
+
+module.exports = Role;
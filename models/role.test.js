@@ -0,0 +1,140 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Role = require("./role.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const roles = await Role.findAll();
+    expect(roles.map(r => r.name)).toEqual(["admin", "recruiter", "user"]);
+    expect(roles[1].permissions).toEqual([
+      { permission: "applications:read", companyScoped: true },
+      { permission: "jobs:write", companyScoped: true },
+    ]);
+    expect(roles[2].permissions).toEqual([]);
+  });
+});
+
+/************************************** grantFor */
+
+describe("grantFor", function () {
+  test("works: unscoped", async function () {
+    expect(await Role.grantFor(["admin", "user"], "jobs:write"))
+        .toEqual({ companyScoped: false });
+  });
+
+  test("works: company scoped", async function () {
+    expect(await Role.grantFor(["recruiter", "user"], "jobs:write"))
+        .toEqual({ companyScoped: true });
+  });
+
+  test("works: an unscoped role wins", async function () {
+    expect(await Role.grantFor(["admin", "recruiter"], "jobs:write"))
+        .toEqual({ companyScoped: false });
+  });
+
+  test("undefined if not granted", async function () {
+    expect(await Role.grantFor(["recruiter", "user"], "companies:write"))
+        .toBeUndefined();
+    expect(await Role.grantFor([], "jobs:write")).toBeUndefined();
+  });
+});
+
+/************************************** setForUser */
+
+describe("setForUser", function () {
+  test("works", async function () {
+    const roles = await Role.setForUser("u1", ["recruiter", "user", "recruiter"]);
+    expect(roles).toEqual(["recruiter"]);
+    expect(await Role.forUser("u1")).toEqual(["recruiter"]);
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+  });
+
+  test("works: admin role sets isAdmin", async function () {
+    await Role.setForUser("u1", ["admin"]);
+    let found = await db.query("SELECT is_admin FROM users WHERE username = 'u1'");
+    expect(found.rows[0].is_admin).toEqual(true);
+
+    await Role.setForUser("u1", []);
+    found = await db.query("SELECT is_admin FROM users WHERE username = 'u1'");
+    expect(found.rows[0].is_admin).toEqual(false);
+    expect(await Role.forUser("u1")).toEqual([]);
+  });
+
+  test("bad request for unknown roles", async function () {
+    try {
+      await Role.setForUser("u1", ["recruiter", "boss"]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.setForUser("nope", ["recruiter"]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** attach, detach */
+
+describe("attach", function () {
+  test("works", async function () {
+    const attached = await Role.attach("u1", "c1");
+    expect(attached).toEqual({ username: "u1", companyHandle: "c1" });
+    expect(await Role.companiesFor("u1")).toEqual(["c1"]);
+    expect(await Role.isAttached("u1", "c1")).toEqual(true);
+    expect(await Role.isAttached("u1", "c2")).toEqual(false);
+  });
+
+  test("works: attaching twice", async function () {
+    await Role.attach("u1", "c1");
+    await Role.attach("u1", "c1");
+    expect(await Role.companiesFor("u1")).toEqual(["c1"]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Role.attach("u1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+describe("detach", function () {
+  test("works", async function () {
+    await Role.attach("u1", "c1");
+    await Role.detach("u1", "c1");
+    expect(await Role.companiesFor("u1")).toEqual([]);
+  });
+
+  test("not found if not attached", async function () {
+    try {
+      await Role.detach("u1", "c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
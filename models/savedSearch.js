@@ -0,0 +1,199 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Job = require("./job");
+
+// foreign_key_violation: the user saving the search doesn't exist
+const FOREIGN_KEY_VIOLATION = "23503";
+
+// most new jobs returned for a search at once, newest first
+const NEW_JOBS_LIMIT = 100;
+
+/** Related functions for saved job searches.
+ *
+ * A saved search is a named set of filters for Job.findAll. Jobs posted
+ * since a search was last checked are new to it; the user checking it and
+ * alerts being sent for it (see helpers/searchAlerts.js) each keep their
+ * own mark of what is new.
+ */
+
+class SavedSearch {
+  /** Save a search for username; data should be { name, filters }.
+   *
+   * Returns { id, username, name, filters, createdAt, checkedAt }
+   *
+   * Throws BadRequestError if they already have a search with that name,
+   * and NotFoundError if user not found.
+   **/
+
+  static async create(username, { name, filters = {} }) {
+    let result;
+    try {
+      result = await db.query(
+            `INSERT INTO saved_searches (username, name, filters)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (username, name) DO NOTHING
+             RETURNING id,
+                       username,
+                       name,
+                       filters,
+                       created_at AS "createdAt",
+                       checked_at AS "checkedAt"`,
+          [username, name, filters]);
+    } catch (err) {
+      if (err.code === FOREIGN_KEY_VIOLATION) throw new NotFoundError(`No user: ${username}`);
+      throw err;
+    }
+
+    const search = result.rows[0];
+    if (!search) throw new BadRequestError(`Duplicate search name: ${name}`);
+
+    return search;
+  }
+
+  /** Find username's saved searches, by name.
+   *
+   * Returns [{ id, username, name, filters, createdAt, checkedAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT id,
+                  username,
+                  name,
+                  filters,
+                  created_at AS "createdAt",
+                  checked_at AS "checkedAt"
+           FROM saved_searches
+           WHERE username = $1
+           ORDER BY name`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Given one of username's saved searches, return the jobs posted since
+   * they last checked it, and mark it checked.
+   *
+   * Returns { search, jobs, total }
+   *   where search is as for findAll, jobs is up to 100 of the new jobs,
+   *   newest first, as for Job.findAll, and total counts them all
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async checkNewJobs(username, id) {
+    // the bounds are text, keeping the microseconds a Date would drop
+    const result = await db.query(
+          `UPDATE saved_searches AS s
+           SET checked_at = NOW()
+           FROM (SELECT id, checked_at
+                 FROM saved_searches
+                 WHERE id = $1 AND username = $2
+                 FOR UPDATE) AS prev
+           WHERE s.id = prev.id
+           RETURNING s.id,
+                     s.username,
+                     s.name,
+                     s.filters,
+                     s.created_at AS "createdAt",
+                     s.checked_at AS "checkedAt",
+                     prev.checked_at::text AS "since",
+                     s.checked_at::text AS "until"`,
+        [id, username]);
+
+    const row = result.rows[0];
+    if (!row) throw new NotFoundError(`No saved search: ${id}`);
+
+    const { since, until, ...search } = row;
+    const { items, total } = await SavedSearch.newJobs(search.filters, since, until);
+    return { search, jobs: items, total };
+  }
+
+  /** Find the saved searches of users who haven't been deleted, with their
+   * emails, for sending alerts.
+   *
+   * Returns [{ id, username, email, name, filters }, ...]
+   **/
+
+  static async findAllForAlerts() {
+    const result = await db.query(
+          `SELECT s.id,
+                  s.username,
+                  u.email,
+                  s.name,
+                  s.filters
+           FROM saved_searches AS s
+           JOIN users AS u ON u.username = s.username
+           WHERE u.deleted_at IS NULL
+           ORDER BY s.id`);
+
+    return result.rows;
+  }
+
+  /** Given a saved search's id, return the jobs posted since an alert was
+   * last sent for it. This doesn't mark it notified; call markNotified with
+   * until once the alert is sent, so an alert that fails goes out next time.
+   *
+   * Returns { jobs, total, until } with jobs and total as for checkNewJobs
+   *   and until the time the jobs were found up to, for markNotified, or
+   *   undefined if there is no such search
+   **/
+
+  static async findAlertJobs(id) {
+    // the bounds are text, keeping the microseconds a Date would drop
+    const result = await db.query(
+          `SELECT filters,
+                  notified_at::text AS "since",
+                  NOW()::text AS "until"
+           FROM saved_searches
+           WHERE id = $1`,
+        [id]);
+
+    const row = result.rows[0];
+    if (!row) return undefined;
+
+    const { items, total } = await SavedSearch.newJobs(row.filters, row.since, row.until);
+    return { jobs: items, total, until: row.until };
+  }
+
+  /** Mark a saved search as alerted on for jobs posted up to until, as
+   * returned by findAlertJobs; returns undefined.
+   */
+
+  static async markNotified(id, until) {
+    await db.query(
+          `UPDATE saved_searches
+           SET notified_at = $2
+           WHERE id = $1`,
+        [id, until]);
+  }
+
+  /** Find jobs matching filters posted after since, up to until. */
+
+  static async newJobs(filters, since, until) {
+    return await Job.findAll(
+        { ...filters, postedAfter: since, postedUntil: until },
+        { sort: "id", direction: "desc", limit: NEW_JOBS_LIMIT });
+  }
+
+  /** Delete one of username's saved searches; returns undefined.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async remove(username, id) {
+    const result = await db.query(
+          `DELETE
+           FROM saved_searches
+           WHERE id = $1 AND username = $2
+           RETURNING id`,
+        [id, username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No saved search: ${id}`);
+  }
+}
+
+
+module.exports = SavedSearch;
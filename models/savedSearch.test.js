@@ -0,0 +1,185 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const SavedSearch = require("./savedSearch.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// NOW() is the same all through a test's transaction, so a search is made
+// to have been checked an hour ago, after the existing jobs were posted
+async function searchCheckedAnHourAgo(filters) {
+  await db.query(`UPDATE jobs SET posted_at = NOW() - INTERVAL '1 day'`);
+  const search = await SavedSearch.create("u1", { name: "s", filters });
+  await db.query(
+      `UPDATE saved_searches
+       SET checked_at = NOW() - INTERVAL '1 hour',
+           notified_at = NOW() - INTERVAL '1 hour'
+       WHERE id = $1`,
+      [search.id]);
+  return search;
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", {
+      name: "Engineers",
+      filters: { title: "engineer", minSalary: 100000 },
+    });
+    expect(search).toEqual({
+      id: expect.any(Number),
+      username: "u1",
+      name: "Engineers",
+      filters: { title: "engineer", minSalary: 100000 },
+      createdAt: expect.any(Date),
+      checkedAt: expect.any(Date),
+    });
+  });
+
+  test("works: no filters", async function () {
+    const search = await SavedSearch.create("u1", { name: "Everything" });
+    expect(search.filters).toEqual({});
+  });
+
+  test("bad request with dupe name", async function () {
+    await SavedSearch.create("u1", { name: "s" });
+    try {
+      await SavedSearch.create("u1", { name: "s" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedSearch.create("nope", { name: "s" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await SavedSearch.create("u1", { name: "b" });
+    await SavedSearch.create("u1", { name: "a" });
+    await SavedSearch.create("u2", { name: "c" });
+    const searches = await SavedSearch.findAll("u1");
+    expect(searches.map(s => s.name)).toEqual(["a", "b"]);
+  });
+});
+
+/************************************** checkNewJobs */
+
+describe("checkNewJobs", function () {
+  test("works", async function () {
+    const search = await searchCheckedAnHourAgo({ hasEquity: true });
+    const posted = await Job.create({ title: "New", salary: 1, equity: 0.1, companyHandle: "c1" });
+    await Job.create({ title: "No equity", salary: 1, equity: 0, companyHandle: "c1" });
+
+    const found = await SavedSearch.checkNewJobs("u1", search.id);
+    expect(found.search).toEqual({ ...search, checkedAt: expect.any(Date) });
+    expect(found.jobs).toEqual([posted]);
+    expect(found.total).toEqual(1);
+
+    const again = await SavedSearch.checkNewJobs("u1", search.id);
+    expect(again.jobs).toEqual([]);
+    expect(again.total).toEqual(0);
+  });
+
+  test("not found for another user's search", async function () {
+    const search = await SavedSearch.create("u1", { name: "s" });
+    try {
+      await SavedSearch.checkNewJobs("u2", search.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAlertJobs, markNotified */
+
+describe("findAlertJobs", function () {
+  test("works, apart from checkNewJobs", async function () {
+    const search = await searchCheckedAnHourAgo({});
+    const posted = await Job.create({ title: "New", salary: 1, equity: 0, companyHandle: "c1" });
+
+    const found = await SavedSearch.findAlertJobs(search.id);
+    expect(found.jobs.map(j => j.id)).toEqual([posted.id]);
+    expect(found.until).toEqual(expect.any(String));
+    await SavedSearch.markNotified(search.id, found.until);
+    expect((await SavedSearch.findAlertJobs(search.id)).total).toEqual(0);
+
+    const checked = await SavedSearch.checkNewJobs("u1", search.id);
+    expect(checked.jobs.map(j => j.id)).toEqual([posted.id]);
+  });
+
+  test("finds the same jobs until marked notified", async function () {
+    const search = await searchCheckedAnHourAgo({});
+    const posted = await Job.create({ title: "New", salary: 1, equity: 0, companyHandle: "c1" });
+
+    await SavedSearch.findAlertJobs(search.id);
+    const found = await SavedSearch.findAlertJobs(search.id);
+    expect(found.jobs.map(j => j.id)).toEqual([posted.id]);
+  });
+
+  test("undefined if no such search", async function () {
+    expect(await SavedSearch.findAlertJobs(0)).toBeUndefined();
+  });
+});
+
+/************************************** findAllForAlerts */
+
+describe("findAllForAlerts", function () {
+  test("skips deleted users", async function () {
+    await SavedSearch.create("u1", { name: "s1" });
+    await SavedSearch.create("u2", { name: "s2" });
+    await db.query(`UPDATE users SET deleted_at = NOW() WHERE username = 'u2'`);
+
+    const searches = await SavedSearch.findAllForAlerts();
+    expect(searches).toEqual([{
+      id: expect.any(Number),
+      username: "u1",
+      email: "u1@email.com",
+      name: "s1",
+      filters: {},
+    }]);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", { name: "s" });
+    await SavedSearch.remove("u1", search.id);
+    expect(await SavedSearch.findAll("u1")).toEqual([]);
+  });
+
+  test("not found for another user's search", async function () {
+    const search = await SavedSearch.create("u1", { name: "s" });
+    try {
+      await SavedSearch.remove("u2", search.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,236 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+
+// foreign_key_violation: the user or job being linked doesn't exist
+const FOREIGN_KEY_VIOLATION = "23503";
+// unique_violation: another technology already has the name (ignoring case)
+const UNIQUE_VIOLATION = "23505";
+
+/** Related functions for technologies (skills).
+ *
+ * Users list the technologies they know and jobs list the ones they need.
+ */
+
+class Technology {
+  /** Create a technology (from data), update db, return new technology data.
+   *
+   * data should be { name }
+   *
+   * Returns { id, name }
+   *
+   * Throws BadRequestError if a technology with that name (ignoring case)
+   * is already in database.
+   * */
+
+  static async create({ name }) {
+    const result = await db.query(
+          `INSERT INTO technologies (name)
+           VALUES ($1)
+           ON CONFLICT DO NOTHING
+           RETURNING id, name`,
+        [name],
+    );
+    const technology = result.rows[0];
+
+    if (!technology) throw new BadRequestError(`Duplicate technology: ${name}`);
+
+    return technology;
+  }
+
+  /** Find all technologies.
+   *
+   * Returns [{ id, name }, ...]
+   * */
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT id, name
+           FROM technologies
+           ORDER BY lower(name)`);
+
+    return result.rows;
+  }
+
+  /** Given a technology id, return data about technology.
+   *
+   * Returns { id, name }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    const result = await db.query(
+          `SELECT id, name
+           FROM technologies
+           WHERE id = $1`,
+        [id]);
+
+    const technology = result.rows[0];
+
+    if (!technology) throw new NotFoundError(`No technology: ${id}`);
+
+    return technology;
+  }
+
+  /** Update technology data with `data`.
+   *
+   * Data can include: { name }
+   *
+   * Returns { id, name }
+   *
+   * Throws NotFoundError if not found, BadRequestError if another
+   * technology has that name (ignoring case).
+   */
+
+  static async update(id, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const idVarIdx = "$" + (values.length + 1);
+
+    const querySql = `UPDATE technologies
+                      SET ${setCols}
+                      WHERE id = ${idVarIdx}
+                      RETURNING id, name`;
+    let result;
+    try {
+      result = await db.query(querySql, [...values, id]);
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) throw new BadRequestError(`Duplicate technology: ${data.name}`);
+      throw err;
+    }
+    const technology = result.rows[0];
+
+    if (!technology) throw new NotFoundError(`No technology: ${id}`);
+
+    return technology;
+  }
+
+  /** Delete given technology from database; returns undefined.
+   *
+   * Throws NotFoundError if technology not found.
+   **/
+
+  static async remove(id) {
+    const result = await db.query(
+          `DELETE
+           FROM technologies
+           WHERE id = $1
+           RETURNING id`,
+        [id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No technology: ${id}`);
+  }
+
+  /** Given a username, return the names of the technologies they know. */
+
+  static async forUser(username) {
+    const result = await db.query(
+          `SELECT t.name
+           FROM user_technologies AS ut
+           JOIN technologies AS t ON ut.technology_id = t.id
+           WHERE ut.username = $1
+           ORDER BY lower(t.name)`,
+        [username]);
+
+    return result.rows.map(r => r.name);
+  }
+
+  /** Given a job id, return the names of the technologies it requires. */
+
+  static async forJob(jobId) {
+    const result = await db.query(
+          `SELECT t.name
+           FROM job_technologies AS jt
+           JOIN technologies AS t ON jt.technology_id = t.id
+           WHERE jt.job_id = $1
+           ORDER BY lower(t.name)`,
+        [jobId]);
+
+    return result.rows.map(r => r.name);
+  }
+
+  /** Record that a user knows a technology; returns { username, technologyId }.
+   *
+   * Adding one they already have is fine.
+   *
+   * Throws NotFoundError if the user or technology doesn't exist.
+   */
+
+  static async addToUser(username, id) {
+    await Technology.get(id);
+
+    try {
+      await db.query(
+            `INSERT INTO user_technologies (username, technology_id)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+          [username, id]);
+    } catch (err) {
+      if (err.code === FOREIGN_KEY_VIOLATION) throw new NotFoundError(`No user: ${username}`);
+      throw err;
+    }
+
+    return { username, technologyId: +id };
+  }
+
+  /** Remove a technology from a user; returns undefined.
+   *
+   * Throws NotFoundError if the user didn't have it.
+   */
+
+  static async removeFromUser(username, id) {
+    const result = await db.query(
+          `DELETE
+           FROM user_technologies
+           WHERE username = $1 AND technology_id = $2
+           RETURNING username`,
+        [username, id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`${username} does not have technology: ${id}`);
+  }
+
+  /** Record that a job requires a technology; returns { jobId, technologyId }.
+   *
+   * Adding one it already has is fine.
+   *
+   * Throws NotFoundError if the job or technology doesn't exist.
+   */
+
+  static async addToJob(jobId, id) {
+    await Technology.get(id);
+
+    try {
+      await db.query(
+            `INSERT INTO job_technologies (job_id, technology_id)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+          [jobId, id]);
+    } catch (err) {
+      if (err.code === FOREIGN_KEY_VIOLATION) throw new NotFoundError(`No job with the id of: ${jobId}`);
+      throw err;
+    }
+
+    return { jobId: +jobId, technologyId: +id };
+  }
+
+  /** Remove a technology from a job; returns undefined.
+   *
+   * Throws NotFoundError if the job didn't require it.
+   */
+
+  static async removeFromJob(jobId, id) {
+    const result = await db.query(
+          `DELETE
+           FROM job_technologies
+           WHERE job_id = $1 AND technology_id = $2
+           RETURNING job_id`,
+        [jobId, id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`Job ${jobId} does not require technology: ${id}`);
+  }
+}
+
+
+module.exports = Technology;
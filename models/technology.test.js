@@ -0,0 +1,256 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Technology = require("./technology.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function techId(name) {
+  const res = await db.query(`SELECT id FROM technologies WHERE name = $1`, [name]);
+  return res.rows[0].id;
+}
+
+async function jobId(title) {
+  const res = await db.query(`SELECT id FROM jobs WHERE title = $1`, [title]);
+  return res.rows[0].id;
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const technology = await Technology.create({ name: "Python" });
+    expect(technology).toEqual({ id: expect.any(Number), name: "Python" });
+
+    const found = await db.query(
+        `SELECT name FROM technologies WHERE id = $1`, [technology.id]);
+    expect(found.rows).toEqual([{ name: "Python" }]);
+  });
+
+  test("bad request with dupe, ignoring case", async function () {
+    try {
+      await Technology.create({ name: "javascript" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const technologies = await Technology.findAll();
+    expect(technologies).toEqual([
+      { id: expect.any(Number), name: "JavaScript" },
+      { id: expect.any(Number), name: "SQL" },
+    ]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const id = await techId("SQL");
+    const technology = await Technology.get(id);
+    expect(technology).toEqual({ id, name: "SQL" });
+  });
+
+  test("not found if no such technology", async function () {
+    try {
+      await Technology.get(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const id = await techId("SQL");
+    const technology = await Technology.update(id, { name: "PostgreSQL" });
+    expect(technology).toEqual({ id, name: "PostgreSQL" });
+  });
+
+  test("not found if no such technology", async function () {
+    try {
+      await Technology.update(0, { name: "PostgreSQL" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request with a duplicate name, ignoring case", async function () {
+    try {
+      await Technology.update(await techId("SQL"), { name: "javascript" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Duplicate technology: javascript");
+    }
+  });
+
+  test("bad request with no data", async function () {
+    try {
+      await Technology.update(await techId("SQL"), {});
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, unlinking users and jobs", async function () {
+    await Technology.remove(await techId("JavaScript"));
+    expect(await Technology.findAll()).toEqual([
+      { id: expect.any(Number), name: "SQL" },
+    ]);
+    expect(await Technology.forUser("u1")).toEqual([]);
+    expect(await Technology.forJob(await jobId("J1"))).toEqual(["SQL"]);
+  });
+
+  test("not found if no such technology", async function () {
+    try {
+      await Technology.remove(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** forUser, forJob */
+
+describe("forUser", function () {
+  test("works", async function () {
+    expect(await Technology.forUser("u1")).toEqual(["JavaScript"]);
+    expect(await Technology.forUser("u2")).toEqual([]);
+  });
+});
+
+describe("forJob", function () {
+  test("works", async function () {
+    expect(await Technology.forJob(await jobId("J1"))).toEqual(["JavaScript", "SQL"]);
+    expect(await Technology.forJob(await jobId("J2"))).toEqual([]);
+  });
+});
+
+/************************************** addToUser */
+
+describe("addToUser", function () {
+  test("works", async function () {
+    const id = await techId("SQL");
+    const added = await Technology.addToUser("u2", id);
+    expect(added).toEqual({ username: "u2", technologyId: id });
+    expect(await Technology.forUser("u2")).toEqual(["SQL"]);
+  });
+
+  test("works: already has it", async function () {
+    await Technology.addToUser("u1", await techId("JavaScript"));
+    expect(await Technology.forUser("u1")).toEqual(["JavaScript"]);
+  });
+
+  test("not found if no such technology", async function () {
+    try {
+      await Technology.addToUser("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Technology.addToUser("nope", await techId("SQL"));
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** removeFromUser */
+
+describe("removeFromUser", function () {
+  test("works", async function () {
+    await Technology.removeFromUser("u1", await techId("JavaScript"));
+    expect(await Technology.forUser("u1")).toEqual([]);
+  });
+
+  test("not found if user doesn't have it", async function () {
+    try {
+      await Technology.removeFromUser("u1", await techId("SQL"));
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** addToJob */
+
+describe("addToJob", function () {
+  test("works", async function () {
+    const id = await techId("SQL");
+    const j2 = await jobId("J2");
+    const added = await Technology.addToJob(j2, id);
+    expect(added).toEqual({ jobId: j2, technologyId: id });
+    expect(await Technology.forJob(j2)).toEqual(["SQL"]);
+  });
+
+  test("not found if no such technology", async function () {
+    try {
+      await Technology.addToJob(await jobId("J2"), 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Technology.addToJob(0, await techId("SQL"));
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** removeFromJob */
+
+describe("removeFromJob", function () {
+  test("works", async function () {
+    const j1 = await jobId("J1");
+    await Technology.removeFromJob(j1, await techId("SQL"));
+    expect(await Technology.forJob(j1)).toEqual(["JavaScript"]);
+  });
+
+  test("not found if job doesn't require it", async function () {
+    try {
+      await Technology.removeFromJob(await jobId("J2"), await techId("SQL"));
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -3,22 +3,54 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPagination, pageOf } = require("../helpers/pagination");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  TooManyRequestsError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const {
+  BCRYPT_WORK_FACTOR,
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MINUTES,
+} = require("../config.js");
+const { assertTransition } = require("../helpers/applicationStatus");
+const { rankJobs } = require("../helpers/recommendations");
+const { validatePassword } = require("../helpers/passwordPolicy");
+const RefreshToken = require("./refreshToken");
+const Technology = require("./technology");
+
+// foreign_key_violation: the user being linked to doesn't exist
+const FOREIGN_KEY_VIOLATION = "23503";
+
+/** The error for logging in to an account locked for seconds more. */
+
+function lockedError(seconds) {
+  return new TooManyRequestsError(
+      "Account locked after too many failed logins, try again later", seconds);
+}
 
-/** Related functions for users. */
+/** Related functions for users.
+ *
+ * Deleted users are only marked deleted until purged: they can't log in,
+ * their tokens stop working and they are hidden everywhere else.
+ */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, is_admin, tokenVersion,
+   *           roles }
+   *   where roles is the roles given to them, as for Role.forUser
    *
    * Throws UnauthorizedError is user not found or wrong password.
+   *
+   * LOGIN_MAX_FAILURES wrong passwords in a row lock the account for
+   * LOGIN_LOCKOUT_MINUTES (see config.js), or until an admin unlocks
+   * it. While locked this throws TooManyRequestsError, with the seconds
+   * left as its retryAfter, without checking the password.
    **/
 
   static async authenticate(username, password) {
@@ -29,58 +61,184 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion",
+                  ARRAY(SELECT role
+                        FROM user_roles AS r
+                        WHERE r.username = users.username
+                        ORDER BY role) AS roles,
+                  failed_logins AS "failedLogins",
+                  CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::INTEGER AS "lockedForSeconds"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
     const user = result.rows[0];
 
     if (user) {
+      const { failedLogins, lockedForSeconds } = user;
+      delete user.failedLogins;
+      delete user.lockedForSeconds;
+
+      if (lockedForSeconds > 0) throw lockedError(lockedForSeconds);
+
       // compare hashed password to a new hash from password
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
+        if (failedLogins > 0) {
+          await db.query(
+              `UPDATE users SET failed_logins = 0 WHERE username = $1`, [username]);
+        }
         delete user.password;
         return user;
       }
+
+      await User.recordFailedLogin(username);
     }
 
     throw new UnauthorizedError("Invalid username/password");
   }
 
-  /** Register user with data.
+  /** Check password is username's current password, as before letting
+   * them change their password or email.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Wrong passwords count towards locking the account, as for
+   * authenticate, and a locked account fails this too.
    *
-   * Throws BadRequestError on duplicates.
-   **/
+   * Throws UnauthorizedError if the password is wrong, TooManyRequestsError
+   * if the account is locked, and NotFoundError if user not found.
+   */
 
-  static async register(
-      { username, password, firstName, lastName, email, isAdmin }) {
-    const duplicateCheck = await db.query(
-          `SELECT username
+  static async checkPassword(username, password) {
+    const result = await db.query(
+          `SELECT password,
+                  CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::INTEGER AS "lockedForSeconds"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.lockedForSeconds > 0) throw lockedError(user.lockedForSeconds);
+
+    const isValid = await bcrypt.compare(password, user.password);
+    if (isValid !== true) {
+      await User.recordFailedLogin(username);
+      throw new UnauthorizedError("Incorrect current password");
     }
+  }
+
+  /** Check password follows the password policy (see
+   * helpers/passwordPolicy.js) as a new password for username, whose email
+   * is the one given or else their current one.
+   *
+   * Throws BadRequestError listing what is wrong with the password, and
+   * NotFoundError if user not found.
+   */
+
+  static async validateNewPassword(username, password, { email } = {}) {
+    if (email === undefined) {
+      const result = await db.query(
+            `SELECT email FROM users WHERE username = $1 AND deleted_at IS NULL`,
+          [username],
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+      email = user.email;
+    }
+
+    validatePassword(password, { username, email });
+  }
+
+  /** Counts a wrong password for username, locking their account if it
+   * makes LOGIN_MAX_FAILURES in a row; the count then starts over.
+   *
+   * Throws TooManyRequestsError if this locked the account.
+   */
+
+  static async recordFailedLogin(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET failed_logins = CASE WHEN failed_logins + 1 >= $2 THEN 0
+                                    ELSE failed_logins + 1 END,
+               locked_until = CASE WHEN failed_logins + 1 >= $2
+                                   THEN NOW() + make_interval(mins => $3)
+                                   ELSE locked_until END
+           WHERE username = $1
+           RETURNING failed_logins = 0 AS "locked"`,
+        [username, LOGIN_MAX_FAILURES, LOGIN_LOCKOUT_MINUTES],
+    );
+
+    const user = result.rows[0];
+
+    if (user && user.locked) throw lockedError(LOGIN_LOCKOUT_MINUTES * 60);
+  }
+
+  /** Unlock a user's account locked by failed logins, and clear their
+   * count of failed logins.
+   *
+   * Returns { username, lockedUntil }, where lockedUntil is when the lock
+   * would have ended (null if it wasn't locked).
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async unlock(username) {
+    const result = await db.query(
+          `UPDATE users AS u
+           SET failed_logins = 0, locked_until = NULL
+           FROM users AS old
+           WHERE u.username = $1
+             AND old.username = u.username
+             AND u.deleted_at IS NULL
+           RETURNING u.username,
+                     CASE WHEN old.locked_until > NOW() THEN old.locked_until END
+                       AS "lockedUntil"`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user;
+  }
+
+  /** Register user with data.
+   *
+   * The user's email starts out unverified unless emailVerified is true;
+   * see models/emailVerification.js. An admin is given the admin role.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws BadRequestError on duplicates.
+   **/
 
+  static async register(
+      { username, password, firstName, lastName, email, isAdmin, emailVerified = false }) {
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
+    // one statement, so an admin never exists without the admin role
     const result = await db.query(
-          `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
-            email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
+          `WITH new_user AS (
+             INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email,
+              is_admin,
+              email_verified)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT (username) DO NOTHING
+             RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"),
+           admin_role AS (
+             INSERT INTO user_roles (username, role)
+             SELECT username, 'admin' FROM new_user WHERE "isAdmin")
+           SELECT * FROM new_user`,
         [
           username,
           hashedPassword,
@@ -88,20 +246,46 @@ class User {
           lastName,
           email,
           isAdmin,
+          emailVerified,
         ],
     );
 
     const user = result.rows[0];
 
+    if (!user) throw new BadRequestError(`Duplicate username: ${username}`);
+
     return user;
   }
 
   /** Find all users.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * page can hold { sort, direction, limit, offset, cursor }; see
+   * helpers/pagination.js. Users can be sorted by username (the default),
+   * firstName, lastName or email.
+   *
+   * Returns { items, total, nextCursor }
+   *   where items is [{ username, first_name, last_name, email, is_admin }, ...]
    **/
 
-  static async findAll() {
+  static async findAll(page = {}) {
+    const countRes = await db.query(
+        `SELECT COUNT(*) AS "total" FROM users WHERE deleted_at IS NULL`);
+
+    const values = [];
+    const pagination = sqlForPagination(page, {
+      sortable: {
+        username: { col: "username", type: "text" },
+        firstName: { col: "first_name", type: "text" },
+        lastName: { col: "last_name", type: "text" },
+        email: { col: "email", type: "text" },
+      },
+      defaultSort: "username",
+      key: "username",
+    }, values);
+    const where = pagination.keyset
+        ? `WHERE deleted_at IS NULL AND ${pagination.keyset}`
+        : "WHERE deleted_at IS NULL";
+
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
@@ -109,62 +293,105 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           ORDER BY username`,
+           ${where}
+           ${pagination.orderBy}
+           ${pagination.limitClause}`,
+        values,
     );
 
-    return result.rows;
+    return pageOf(result.rows, pagination, +countRes.rows[0].total);
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, salary, equity,companyName }
+   * Returns { username, first_name, last_name, is_admin, jobs, bookmarks,
+   *           technologies }
+   *   where jobs is [{ id, title, salary, equity, companyName, status,
+   *                    appliedAt, updatedAt, coverLetter, resume,
+   *                    history }, ...]
+   *   and resume is { filename, contentType, size }, or null
+   *   and history is [{ status, changedBy, changedAt }, ...], oldest first
+   *   and bookmarks is [{ id, title, salary, equity, companyName,
+   *                       bookmarkedAt }, ...]
+   *   and technologies is [name, ...]
    *
    * Throws NotFoundError if user not found.
    **/
 
   static async get(username) {
     const userRes = await db.query(
-          `SELECT u.username,
-                  u.first_name AS "firstName",
-                  u.last_name AS "lastName",
-                  u.email,
-                  u.is_admin AS "isAdmin",
-                  j.id,
+          `SELECT username,
+                  first_name AS "firstName",
+                  last_name AS "lastName",
+                  is_admin AS "isAdmin"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const jobsRes = await db.query(
+          `SELECT j.id,
                   j.title,
                   j.salary,
                   j.equity,
-                  c.name
-           FROM users AS u
-           FULL JOIN applications AS a
-           ON u.username = a.username
-           FULL JOIN jobs AS j
-           ON a.job_id = j.id
-           FULL JOIN companies AS c
-           ON j.company_handle = c.handle
-           WHERE u.username = $1`,
+                  c.name AS "companyName",
+                  a.status,
+                  a.created_at AS "appliedAt",
+                  a.updated_at AS "updatedAt",
+                  a.cover_letter AS "coverLetter",
+                  CASE WHEN a.resume_key IS NULL THEN NULL
+                       ELSE JSON_BUILD_OBJECT('filename', a.resume_filename,
+                                              'contentType', a.resume_content_type,
+                                              'size', a.resume_size)
+                  END AS resume
+           FROM applications AS a
+           JOIN jobs AS j ON a.job_id = j.id
+           JOIN companies AS c ON j.company_handle = c.handle
+           WHERE a.username = $1 AND j.deleted_at IS NULL
+           ORDER BY a.created_at, j.id`,
         [username],
     );
 
-    if (userRes.rows.length === 0) throw new NotFoundError(`No user: ${username}`);
+    const historyRes = await db.query(
+          `SELECT job_id AS "jobId",
+                  status,
+                  changed_by AS "changedBy",
+                  changed_at AS "changedAt"
+           FROM application_status_history
+           WHERE username = $1
+           ORDER BY changed_at, id`,
+        [username],
+    );
 
-    const jobs = userRes.rows.map((row) => {
-      return ({
-        id: row.jobId,
-        title: row.title,
-        salary: row.salary,
-        equity: row.equity,
-        companyName: row.name
-      });
-    });
+    user.jobs = jobsRes.rows.map(job => ({
+      ...job,
+      history: historyRes.rows
+          .filter(h => h.jobId === job.id)
+          .map(({ jobId, ...h }) => h),
+    }));
 
-    const user = {
-      username: userRes.rows[0].username,
-      firstName: userRes.rows[0].firstName,
-      lastName: userRes.rows[0].lastName,
-      isAdmin: userRes.rows[0].isAdmin,
-      jobs: jobs
-    };
+    const bookmarksRes = await db.query(
+          `SELECT j.id,
+                  j.title,
+                  j.salary,
+                  j.equity,
+                  c.name AS "companyName",
+                  b.created_at AS "bookmarkedAt"
+           FROM bookmarks AS b
+           JOIN jobs AS j ON b.job_id = j.id
+           JOIN companies AS c ON j.company_handle = c.handle
+           WHERE b.username = $1 AND j.deleted_at IS NULL
+           ORDER BY b.created_at, j.id`,
+        [username],
+    );
+
+    user.bookmarks = bookmarksRes.rows;
+
+    user.technologies = await Technology.forUser(username);
 
     return user;
   }
@@ -181,12 +408,26 @@ class User {
    *
    * Throws NotFoundError if not found.
    *
+   * Changing the admin flag also gives or takes away the admin role.
+   *
+   * Changing the password or admin flag bumps the user's token version,
+   * which revokes all their existing tokens. A new password also revokes
+   * their refresh tokens, so they have to log in again.
+   *
+   * A new email has to be verified again (see models/emailVerification.js).
+   *
+   * Runs in a transaction of its own, or on client if given (e.g. in the
+   * caller's transaction).
+   *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
-  static async update(username, data) {
+  static async update(username, data, client) {
+    const changesPassword = data.password !== undefined;
+    const revokesTokens = changesPassword || data.isAdmin !== undefined;
+
     if (data.password) {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
@@ -199,55 +440,279 @@ class User {
           isAdmin: "is_admin",
         });
     const usernameVarIdx = "$" + (values.length + 1);
+    const versionCol = revokesTokens ? ", token_version = token_version + 1" : "";
+    // the right-hand email is the old one, so this keeps an unchanged email verified
+    const emailIdx = Object.keys(data).indexOf("email");
+    const verifiedCol = emailIdx === -1
+        ? ""
+        : `, email_verified = email_verified AND email = $${emailIdx + 1}`;
 
     const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
+                      SET ${setCols}${versionCol}${verifiedCol} 
+                      WHERE username = ${usernameVarIdx} AND deleted_at IS NULL
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
                                 email,
                                 is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
-    const user = result.rows[0];
+    const run = async client => {
+      const result = await client.query(querySql, [...values, username]);
+      const updated = result.rows[0];
+
+      if (!updated) throw new NotFoundError(`No user: ${username}`);
+
+      if (changesPassword) await RefreshToken.revokeAll(username, client);
+
+      // the admin role goes with the isAdmin flag
+      if (data.isAdmin === true) {
+        await client.query(
+              `INSERT INTO user_roles (username, role)
+               VALUES ($1, 'admin')
+               ON CONFLICT DO NOTHING`,
+            [username]);
+      } else if (data.isAdmin === false) {
+        await client.query(
+              `DELETE FROM user_roles WHERE username = $1 AND role = 'admin'`,
+            [username]);
+      }
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+      return updated;
+    };
+    const user = client ? await run(client) : await db.withTransaction(run);
 
     delete user.password;
     return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Given a username, return the fields of their account, as update
+   * returns them.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws NotFoundError if user not found.
+   */
 
-  static async remove(username) {
-    let result = await db.query(
-          `DELETE
+  static async getAccount(username) {
+    const result = await db.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  last_name AS "lastName",
+                  email,
+                  is_admin AS "isAdmin"
            FROM users
-           WHERE username = $1
-           RETURNING username`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
+
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user;
   }
 
-  /** Adds an application to the the database. 
-   * Requires { username, jobId } => 
-   * returns { applicationJobId }. 
-   * 
-   * Throws an error if the 
-   * job id does not exist. 
+  /** Given a username, return their current token version, or undefined
+   * if there is no such user (or they were deleted).
+   *
+   * Tokens signed with any other version have been revoked.
    */
 
-  static async apply(username, jobId) {
+  static async getTokenVersion(username) {
+    const result = await db.query(
+          `SELECT token_version AS "tokenVersion"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    const user = result.rows[0];
+
+    return user && user.tokenVersion;
+  }
+
+  /** Given a username, return whether they have verified their email, or
+   * undefined if there is no such user (or they were deleted).
+   */
+
+  static async isEmailVerified(username) {
+    const result = await db.query(
+          `SELECT email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    const user = result.rows[0];
+
+    return user && user.emailVerified;
+  }
+
+  /** Delete given user; returns undefined.
+   *
+   * Also revokes their refresh tokens.
+   */
+
+  static async remove(username) {
+    await db.withTransaction(async client => {
+      const result = await client.query(
+            `UPDATE users
+             SET deleted_at = NOW()
+             WHERE username = $1 AND deleted_at IS NULL
+             RETURNING username`,
+          [username],
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      await RefreshToken.revokeAll(username, client);
+    });
+  }
+
+  /** Restore a deleted user.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws NotFoundError if there is no deleted user with that username.
+   */
+
+  static async restore(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET deleted_at = NULL
+           WHERE username = $1 AND deleted_at IS NOT NULL
+           RETURNING username,
+                     first_name AS "firstName",
+                     last_name AS "lastName",
+                     email,
+                     is_admin AS "isAdmin"`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+    return user;
+  }
+
+  /** Permanently remove users deleted more than retentionDays ago.
+   *
+   * Returns { count, resumeKeys }
+   *   where count is the number of users removed and resumeKeys are the
+   *   storage keys of the resumes they sent with applications, which the
+   *   caller removes (see helpers/storage.js)
+   */
+
+  static async purge(retentionDays) {
+    // the select sees the applications as they were before the delete
+    const result = await db.query(
+          `WITH purged AS (
+             DELETE
+             FROM users
+             WHERE deleted_at < NOW() - make_interval(days => $1)
+             RETURNING username)
+           SELECT (SELECT COUNT(*) FROM purged) AS "count",
+                  ARRAY(SELECT resume_key
+                        FROM applications
+                        WHERE username IN (SELECT username FROM purged)
+                          AND resume_key IS NOT NULL) AS "resumeKeys"`,
+        [retentionDays],
+    );
+
+    const { count, resumeKeys } = result.rows[0];
+    return { count: +count, resumeKeys };
+  }
+
+  /** Recommend jobs for a user based on the jobs they applied to; see
+   * helpers/recommendations.js for how jobs are scored. Jobs they already
+   * applied to are left out.
+   *
+   * Returns up to limit of [{ id, title, salary, equity, companyHandle, score }, ...]
+   *   best match first
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async getRecommendations(username, limit = 10) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const appliedRes = await db.query(
+          `SELECT j.id,
+                  j.title,
+                  j.salary,
+                  j.equity,
+                  j.company_handle AS "companyHandle",
+                  a.status
+           FROM applications AS a
+           JOIN jobs AS j ON a.job_id = j.id
+           WHERE a.username = $1`,
+        [username],
+    );
+
+    const candidatesRes = await db.query(
+          `SELECT id,
+                  title,
+                  salary,
+                  equity,
+                  company_handle AS "companyHandle"
+           FROM jobs
+           WHERE deleted_at IS NULL
+             AND id NOT IN (SELECT job_id
+                            FROM applications
+                            WHERE username = $1)`,
+        [username],
+    );
+
+    return rankJobs(candidatesRes.rows, appliedRes.rows, limit);
+  }
+
+  /** Adds an application to the the database.
+   * Requires { username, jobId } and optionally a starting
+   * status ("interested" or "applied", the default) =>
+   * returns { jobId, status }.
+   *
+   * The starting status is recorded as the first entry in
+   * the application's history.
+   *
+   * attachments can hold a coverLetter (text) and a resume,
+   * { key, filename, contentType, size }, where key is where
+   * the file was saved (see helpers/storage.js).
+   *
+   * Throws an error if the
+   * job id does not exist.
+   */
+
+  static async apply(username, jobId, status = "applied", { coverLetter, resume } = {}) {
     let result = await db.query(
-      `INSERT INTO applications
-      (username, job_id)
-      VALUES ($1, $2)
-      RETURNING job_id AS "jobId"`,
-      [username, jobId]);
-    
+      `WITH application AS (
+         INSERT INTO applications
+         (username, job_id, status, cover_letter,
+          resume_key, resume_filename, resume_content_type, resume_size)
+         SELECT $1, id, $3, $4, $5, $6, $7, $8
+         FROM jobs
+         WHERE id = $2 AND deleted_at IS NULL
+         RETURNING username, job_id, status, created_at)
+       INSERT INTO application_status_history
+       (username, job_id, status, changed_by, changed_at)
+       SELECT username, job_id, status, username, created_at
+       FROM application
+       RETURNING job_id AS "jobId", status`,
+      [
+        username,
+        jobId,
+        status,
+        coverLetter ?? null,
+        resume ? resume.key : null,
+        resume ? resume.filename : null,
+        resume ? resume.contentType : null,
+        resume ? resume.size : null,
+      ]);
+
     const applicationJobId = result.rows[0];
 
 
@@ -256,14 +721,141 @@ class User {
     return applicationJobId;
   }
 
+  /** Bookmarks a job for username, without applying to it.
+   *
+   * Bookmarking a job again is fine.
+   *
+   * Returns { username, jobId }
+   *
+   * Throws NotFoundError if the user or job doesn't exist.
+   */
+
+  static async bookmark(username, jobId) {
+    const jobRes = await db.query(
+          `SELECT id FROM jobs WHERE id = $1 AND deleted_at IS NULL`, [jobId]);
+    if (!jobRes.rows[0]) throw new NotFoundError(`Job ID: ${jobId}, not found.`);
+
+    try {
+      await db.query(
+            `INSERT INTO bookmarks (username, job_id)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+          [username, jobId]);
+    } catch (err) {
+      if (err.code === FOREIGN_KEY_VIOLATION) throw new NotFoundError(`No user: ${username}`);
+      throw err;
+    }
+
+    return { username, jobId: jobRes.rows[0].id };
+  }
+
+  /** Removes username's bookmark of a job; returns undefined.
+   *
+   * Throws NotFoundError if they hadn't bookmarked it.
+   */
+
+  static async unbookmark(username, jobId) {
+    const result = await db.query(
+          `DELETE
+           FROM bookmarks
+           WHERE username = $1 AND job_id = $2
+           RETURNING job_id`,
+        [username, jobId]);
+
+    if (!result.rows[0]) throw new NotFoundError(`${username} has not bookmarked job: ${jobId}`);
+  }
+
+  /** Returns the resume attached to username's application for a job:
+   * { key, filename, contentType, size }
+   *
+   * Throws NotFoundError if there is no such application, or it has no
+   * resume.
+   */
+
+  static async getResume(username, jobId) {
+    const result = await db.query(
+          `SELECT resume_key AS "key",
+                  resume_filename AS "filename",
+                  resume_content_type AS "contentType",
+                  resume_size AS "size"
+           FROM applications
+           WHERE username = $1 AND job_id = $2 AND resume_key IS NOT NULL`,
+        [username, jobId]);
+
+    const resume = result.rows[0];
+    if (!resume) throw new NotFoundError(`No resume from ${username} for job: ${jobId}`);
+
+    return resume;
+  }
+
   static async getApplication(username, jobId) {
     const result = await db.query(`
-    SELECT username, job_id AS "jobId"
+    SELECT username, job_id AS "jobId", status
     FROM applications
     WHERE username = $1 AND job_id = $2`,
       [username, jobId]);
     return result.rows[0];
   }
+
+  /** Moves an application to a new status and records the change,
+   * with who made it, in the application's history.
+   *
+   * Returns { username, jobId, status, updatedAt }
+   *
+   * Throws NotFoundError if there is no such application and
+   * BadRequestError if the workflow does not allow the move.
+   */
+
+  static async updateApplicationStatus(username, jobId, status, changedBy) {
+    const application = await User.getApplication(username, jobId);
+
+    if (!application) {
+      throw new NotFoundError(`No application from ${username} for job: ${jobId}`);
+    }
+
+    assertTransition(application.status, status);
+
+    // only update if the status is still the one we checked above
+    const result = await db.query(
+      `WITH application AS (
+         UPDATE applications
+         SET status = $3, updated_at = NOW()
+         WHERE username = $1 AND job_id = $2 AND status = $4
+         RETURNING username, job_id, status, updated_at)
+       INSERT INTO application_status_history
+       (username, job_id, status, changed_by, changed_at)
+       SELECT username, job_id, status, $5, updated_at
+       FROM application
+       RETURNING username,
+                 job_id AS "jobId",
+                 status,
+                 changed_at AS "updatedAt"`,
+      [username, jobId, status, application.status, changedBy]);
+
+    const updated = result.rows[0];
+
+    if (!updated) {
+      throw new BadRequestError(`Application status changed from ${application.status}, try again`);
+    }
+
+    return updated;
+  }
+
+  /** Withdraws an application. It isn't deleted: it stays, with its
+   * history, as withdrawn, so the hiring side can see the applicant
+   * withdrew.
+   *
+   * Returns { username, jobId, status, updatedAt } as for
+   * updateApplicationStatus.
+   *
+   * Throws NotFoundError if there is no such application and
+   * BadRequestError if it is already final (rejected, accepted or
+   * withdrawn).
+   */
+
+  static async withdraw(username, jobId, changedBy) {
+    return await User.updateApplicationStatus(username, jobId, "withdrawn", changedBy);
+  }
 }
 
 
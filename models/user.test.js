@@ -4,9 +4,12 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  TooManyRequestsError,
 } = require("../expressError");
+const { LOGIN_MAX_FAILURES, LOGIN_LOCKOUT_MINUTES } = require("../config");
 const db = require("../db.js");
 const User = require("./user.js");
+const Role = require("./role.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -30,6 +33,8 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      tokenVersion: 0,
+      roles: [],
     });
   });
 
@@ -50,6 +55,127 @@ describe("authenticate", function () {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     }
   });
+
+  test("locks the account after too many wrong passwords", async function () {
+    for (let i = 1; i < LOGIN_MAX_FAILURES; i++) {
+      await expect(User.authenticate("u1", "wrong")).rejects.toThrow(UnauthorizedError);
+    }
+    try {
+      await User.authenticate("u1", "wrong");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(LOGIN_LOCKOUT_MINUTES * 60);
+    }
+
+    // even the right password is turned away while locked
+    try {
+      await User.authenticate("u1", "password1");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toBeGreaterThan(0);
+    }
+  });
+
+  test("a right password resets the count of wrong ones", async function () {
+    for (let i = 1; i < LOGIN_MAX_FAILURES; i++) {
+      await expect(User.authenticate("u1", "wrong")).rejects.toThrow(UnauthorizedError);
+    }
+    await User.authenticate("u1", "password1");
+    await expect(User.authenticate("u1", "wrong")).rejects.toThrow(UnauthorizedError);
+
+    const res = await db.query("SELECT failed_logins FROM users WHERE username = 'u1'");
+    expect(res.rows[0].failed_logins).toEqual(1);
+  });
+
+  test("works again once the lock is over", async function () {
+    await db.query(
+        `UPDATE users SET locked_until = NOW() - INTERVAL '1 minute' WHERE username = 'u1'`);
+    const user = await User.authenticate("u1", "password1");
+    expect(user.username).toEqual("u1");
+  });
+});
+
+/************************************** validateNewPassword */
+
+describe("validateNewPassword", function () {
+  test("works", async function () {
+    await User.validateNewPassword("u1", "Tr0ub4dor-horse");
+  });
+
+  test("checks against the user's current email", async function () {
+    await db.query(`UPDATE users SET email = 'someone@email.com' WHERE username = 'u1'`);
+    await expect(User.validateNewPassword("u1", "Xx-Someone-9"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("checks against a new email if given", async function () {
+    await User.validateNewPassword("u1", "Xx-Someone-9");
+    await expect(User.validateNewPassword("u1", "Xx-Someone-9", { email: "someone@email.com" }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.validateNewPassword("nope", "Tr0ub4dor-horse"))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** checkPassword */
+
+describe("checkPassword", function () {
+  test("works", async function () {
+    await User.checkPassword("u1", "password1");
+  });
+
+  test("unauth if wrong password, counting towards a lock", async function () {
+    await expect(User.checkPassword("u1", "wrong")).rejects.toThrow(UnauthorizedError);
+    const res = await db.query("SELECT failed_logins FROM users WHERE username = 'u1'");
+    expect(res.rows[0].failed_logins).toEqual(1);
+  });
+
+  test("too many requests if locked", async function () {
+    await db.query(
+        `UPDATE users SET locked_until = NOW() + INTERVAL '10 minutes' WHERE username = 'u1'`);
+    await expect(User.checkPassword("u1", "password1")).rejects.toThrow(TooManyRequestsError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.checkPassword("nope", "password")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await db.query(
+        `UPDATE users
+         SET failed_logins = 3, locked_until = NOW() + INTERVAL '10 minutes'
+         WHERE username = 'u1'`);
+    const result = await User.unlock("u1");
+    expect(result).toEqual({ username: "u1", lockedUntil: expect.any(Date) });
+
+    const res = await db.query(
+        "SELECT failed_logins, locked_until FROM users WHERE username = 'u1'");
+    expect(res.rows[0]).toEqual({ failed_logins: 0, locked_until: null });
+    const user = await User.authenticate("u1", "password1");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("works if not locked", async function () {
+    expect(await User.unlock("u1")).toEqual({ username: "u1", lockedUntil: null });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.unlock("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** register */
@@ -75,6 +201,11 @@ describe("register", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: already verified", async function () {
+    await User.register({ ...newUser, password: "password", emailVerified: true });
+    expect(await User.isEmailVerified("new")).toEqual(true);
+  });
+
   test("works: adds admin", async function () {
     let user = await User.register({
       ...newUser,
@@ -86,6 +217,7 @@ describe("register", function () {
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].is_admin).toEqual(true);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
+    expect(await Role.forUser("new")).toEqual(["admin"]);
   });
 
   test("bad request with dup data", async function () {
@@ -109,7 +241,7 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { items: users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
@@ -129,6 +261,19 @@ describe("findAll", function () {
   });
 });
 
+describe("findAll: paging", function () {
+  test("works", async function () {
+    const page = await User.findAll({ sort: "email", direction: "desc", limit: 1 });
+    expect(page.items.map(u => u.username)).toEqual(["u2"]);
+    expect(page.total).toEqual(2);
+
+    const next = await User.findAll(
+        { sort: "email", direction: "desc", limit: 1, cursor: page.nextCursor });
+    expect(next.items.map(u => u.username)).toEqual(["u1"]);
+    expect(next.nextCursor).toEqual(null);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -140,15 +285,57 @@ describe("get", function () {
       lastName: "U1L",
       isAdmin: false,
       jobs: [{
-        companyName: null,
-        equity: null,
-        id: undefined,
-        salary: null,
-        title: null,
-      }]
+        id: expect.any(Number),
+        title: "J1",
+        salary: 150000,
+        equity: "0.01",
+        companyName: "C1",
+        status: "applied",
+        appliedAt: expect.any(Date),
+        updatedAt: expect.any(Date),
+        coverLetter: null,
+        resume: null,
+        history: [{
+          status: "applied",
+          changedBy: "u1",
+          changedAt: expect.any(Date),
+        }],
+      }],
+      bookmarks: [],
+      technologies: ["JavaScript"],
     });
   });
 
+  test("works: bookmarks apart from applications", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J2'`)).rows[0];
+    await User.bookmark("u1", id);
+    let user = await User.get("u1");
+    expect(user.jobs.map(j => j.title)).toEqual(["J1"]);
+    expect(user.bookmarks).toEqual([{
+      id,
+      title: "J2",
+      salary: 175000,
+      equity: null,
+      companyName: "C2",
+      bookmarkedAt: expect.any(Date),
+    }]);
+  });
+
+  test("works: no applications", async function () {
+    let user = await User.get("u2");
+    expect(user.jobs).toEqual([]);
+  });
+
+  test("works: history in order", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J1'`)).rows[0];
+    await User.updateApplicationStatus("u1", id, "interviewing", "u2");
+    let user = await User.get("u1");
+    expect(user.jobs[0].status).toEqual("interviewing");
+    expect(user.jobs[0].history.map(h => h.status))
+        .toEqual(["applied", "interviewing"]);
+    expect(user.jobs[0].history[1].changedBy).toEqual("u2");
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.get("nope");
@@ -193,6 +380,42 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: leaves token version alone for profile changes", async function () {
+    await User.update("u1", { firstName: "NewF" });
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+  });
+
+  test("works: bumps token version on admin flag change", async function () {
+    await User.update("u1", { isAdmin: false });
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+  });
+
+  test("works: admin flag gives and takes away the admin role", async function () {
+    await User.update("u1", { isAdmin: true });
+    expect(await Role.forUser("u1")).toEqual(["admin"]);
+    await User.update("u1", { isAdmin: false });
+    expect(await Role.forUser("u1")).toEqual([]);
+  });
+
+  test("works: bumps token version and revokes refresh tokens on password change", async function () {
+    await db.query(
+        `INSERT INTO refresh_tokens (token_hash, username, family_id, expires_at)
+         VALUES ('hash', 'u1', 'family', NOW() + INTERVAL '1 day')`);
+    await User.update("u1", { password: "new" });
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+    const tokens = await db.query(
+        "SELECT revoked_at FROM refresh_tokens WHERE username = 'u1'");
+    expect(tokens.rows[0].revoked_at).toEqual(expect.any(Date));
+  });
+
+  test("works: a new email needs verifying again", async function () {
+    await db.query(`UPDATE users SET email_verified = TRUE WHERE username = 'u1'`);
+    await User.update("u1", { email: "u1@email.com" });
+    expect(await User.isEmailVerified("u1")).toEqual(true);
+    await User.update("u1", { email: "changed@email.com" });
+    expect(await User.isEmailVerified("u1")).toEqual(false);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -215,14 +438,73 @@ describe("update", function () {
   });
 });
 
+/************************************** getAccount */
+
+describe("getAccount", function () {
+  test("works", async function () {
+    expect(await User.getAccount("u1")).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+    });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.getAccount("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** getTokenVersion */
+
+describe("getTokenVersion", function () {
+  test("works", async function () {
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+  });
+
+  test("undefined if no such user", async function () {
+    expect(await User.getTokenVersion("nope")).toBeUndefined();
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
   test("works", async function () {
     await User.remove("u1");
     const res = await db.query(
-        "SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+  });
+
+  test("hides the user", async function () {
+    await User.remove("u1");
+    const { items, total } = await User.findAll();
+    expect(items.map(u => u.username)).toEqual(["u2"]);
+    expect(total).toEqual(1);
+    expect(await User.getTokenVersion("u1")).toBeUndefined();
+    try {
+      await User.get("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("can't log in once deleted", async function () {
+    await User.remove("u1");
+    try {
+      await User.authenticate("u1", "password1");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
   });
 
   test("not found if no such user", async function () {
@@ -233,4 +515,308 @@ describe("remove", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("not found if already deleted", async function () {
+    await User.remove("u1");
+    try {
+      await User.remove("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** isEmailVerified */
+
+describe("isEmailVerified", function () {
+  test("works", async function () {
+    expect(await User.isEmailVerified("u1")).toEqual(false);
+    await db.query(`UPDATE users SET email_verified = TRUE WHERE username = 'u1'`);
+    expect(await User.isEmailVerified("u1")).toEqual(true);
+  });
+
+  test("undefined if no such user", async function () {
+    expect(await User.isEmailVerified("nope")).toBeUndefined();
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+    });
+    const found = await User.get("u1");
+    expect(found.username).toEqual("u1");
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await User.restore("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("removes only users deleted before the retention period", async function () {
+    await db.query(
+        `UPDATE users SET deleted_at = NOW() - INTERVAL '31 days' WHERE username = 'u1'`);
+    await User.remove("u2");
+
+    expect(await User.purge(30)).toEqual({ count: 1, resumeKeys: [] });
+
+    const res = await db.query("SELECT username FROM users ORDER BY username");
+    expect(res.rows).toEqual([{ username: "u2" }]);
+  });
+
+  test("returns the keys of their resumes", async function () {
+    await db.query(`UPDATE applications SET resume_key = 'resumes/r1' WHERE username = 'u1'`);
+    await db.query(
+        `UPDATE users SET deleted_at = NOW() - INTERVAL '31 days' WHERE username = 'u1'`);
+
+    expect(await User.purge(30)).toEqual({ count: 1, resumeKeys: ["resumes/r1"] });
+  });
+});
+
+/************************************** getRecommendations */
+
+describe("getRecommendations", function () {
+  test("works", async function () {
+    const recommendations = await User.getRecommendations("u1");
+    expect(recommendations).toEqual([
+      {
+        id: expect.any(Number),
+        title: "J3",
+        salary: 200000,
+        equity: "0.03",
+        companyHandle: "c3",
+        score: 1,
+      },
+    ]);
+  });
+
+  test("works: similar title at same company ranks first", async function () {
+    await db.query(`UPDATE jobs SET title = 'Backend Engineer' WHERE title = 'J1'`);
+    await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('Senior Backend Engineer', 150000, NULL, 'c1')`);
+    const recommendations = await User.getRecommendations("u1");
+    expect(recommendations.map(j => j.title)).toEqual(["Senior Backend Engineer", "J3"]);
+  });
+
+  test("works: nothing without applications", async function () {
+    const recommendations = await User.getRecommendations("u2");
+    expect(recommendations).toEqual([]);
+  });
+
+  test("works: leaves out deleted jobs", async function () {
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE title = 'J3'`);
+    const recommendations = await User.getRecommendations("u1");
+    expect(recommendations).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.getRecommendations("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** apply */
+
+describe("apply", function () {
+  test("works", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J2'`)).rows[0];
+    const application = await User.apply("u1", id);
+    expect(application).toEqual({ jobId: id, status: "applied" });
+
+    const history = await db.query(
+        `SELECT status, changed_by FROM application_status_history
+         WHERE username = 'u1' AND job_id = $1`, [id]);
+    expect(history.rows).toEqual([{ status: "applied", changed_by: "u1" }]);
+  });
+
+  test("works: starting as interested", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J2'`)).rows[0];
+    const application = await User.apply("u2", id, "interested");
+    expect(application).toEqual({ jobId: id, status: "interested" });
+  });
+
+  test("not found if job deleted", async function () {
+    const { id } = (await db.query(
+        `UPDATE jobs SET deleted_at = NOW() WHERE title = 'J2' RETURNING id`)).rows[0];
+    try {
+      await User.apply("u1", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** updateApplicationStatus */
+
+describe("updateApplicationStatus", function () {
+  test("works", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J1'`)).rows[0];
+    const application = await User.updateApplicationStatus("u1", id, "withdrawn", "u1");
+    expect(application).toEqual({
+      username: "u1",
+      jobId: id,
+      status: "withdrawn",
+      updatedAt: expect.any(Date),
+    });
+
+    const found = await User.getApplication("u1", id);
+    expect(found.status).toEqual("withdrawn");
+  });
+
+  test("bad request on disallowed transition", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J1'`)).rows[0];
+    try {
+      await User.updateApplicationStatus("u1", id, "accepted", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J2'`)).rows[0];
+    try {
+      await User.updateApplicationStatus("u1", id, "withdrawn", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** bookmark */
+
+describe("bookmark", function () {
+  test("works", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J2'`)).rows[0];
+    expect(await User.bookmark("u1", id)).toEqual({ username: "u1", jobId: id });
+    expect(await User.bookmark("u1", id)).toEqual({ username: "u1", jobId: id });
+    const found = await db.query(`SELECT job_id FROM bookmarks WHERE username = 'u1'`);
+    expect(found.rows).toEqual([{ job_id: id }]);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await User.bookmark("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J2'`)).rows[0];
+    try {
+      await User.bookmark("nope", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unbookmark */
+
+describe("unbookmark", function () {
+  test("works", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J2'`)).rows[0];
+    await User.bookmark("u1", id);
+    await User.unbookmark("u1", id);
+    const found = await db.query(`SELECT job_id FROM bookmarks WHERE username = 'u1'`);
+    expect(found.rows).toEqual([]);
+  });
+
+  test("not found if not bookmarked", async function () {
+    try {
+      await User.unbookmark("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** withdraw */
+
+describe("withdraw", function () {
+  test("works, keeping the application and its history", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J1'`)).rows[0];
+    const application = await User.withdraw("u1", id, "u1");
+    expect(application).toEqual({
+      username: "u1",
+      jobId: id,
+      status: "withdrawn",
+      updatedAt: expect.any(Date),
+    });
+
+    const user = await User.get("u1");
+    expect(user.jobs[0].status).toEqual("withdrawn");
+    expect(user.jobs[0].history.map(h => h.status)).toEqual(["applied", "withdrawn"]);
+  });
+
+  test("not found if no application", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J2'`)).rows[0];
+    try {
+      await User.withdraw("u1", id, "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request if already withdrawn", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J1'`)).rows[0];
+    await User.withdraw("u1", id, "u1");
+    try {
+      await User.withdraw("u1", id, "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** getResume */
+
+describe("getResume", function () {
+  test("works", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J2'`)).rows[0];
+    const resume = { key: "resumes/abc", filename: "cv.pdf", contentType: "application/pdf", size: 10 };
+    await User.apply("u1", id, "applied", { coverLetter: "Hi", resume });
+    expect(await User.getResume("u1", id)).toEqual(resume);
+  });
+
+  test("not found without a resume", async function () {
+    const { id } = (await db.query(`SELECT id FROM jobs WHERE title = 'J1'`)).rows[0];
+    try {
+      await User.getResume("u1", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
@@ -0,0 +1,46 @@
+"use strict";
+
+/** Permanently removes companies, jobs and users that were deleted more
+ * than SOFT_DELETE_RETENTION_DAYS ago (see config.js), with the resumes of
+ * the applications that go with them, and rate limit counts whose windows
+ * are over.
+ *
+ * Run with `npm run purge`, e.g. daily from cron.
+ */
+
+const db = require("./db");
+const { SOFT_DELETE_RETENTION_DAYS } = require("./config");
+const Company = require("./models/company");
+const Job = require("./models/job");
+const User = require("./models/user");
+const { PostgresStore } = require("./helpers/rateLimitStore");
+const { storage } = require("./helpers/storage");
+const { logger } = require("./helpers/logger");
+
+async function purge() {
+  try {
+    // companies go first, since that takes their jobs with them
+    const companies = await Company.purge(SOFT_DELETE_RETENTION_DAYS);
+    const jobs = await Job.purge(SOFT_DELETE_RETENTION_DAYS);
+    const users = await User.purge(SOFT_DELETE_RETENTION_DAYS);
+
+    const resumeKeys = [companies, jobs, users].flatMap(p => p.resumeKeys);
+    for (const key of resumeKeys) await storage.remove(key);
+
+    const rateLimits = await new PostgresStore().prune();
+    logger.info("Purged deleted records", {
+      companies: companies.count,
+      jobs: jobs.count,
+      users: users.count,
+      resumes: resumeKeys.length,
+      rateLimits,
+    });
+  } catch (err) {
+    logger.error("Purge failed", { err });
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+purge();
@@ -4,8 +4,13 @@ const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
 const Job = require("../models/job");
+const Technology = require("../models/technology");
+const Role = require("../models/role");
 const { createToken } = require("../helpers/tokens");
 
+const testJobIds = [];
+const testTechIds = [];
+
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
@@ -14,6 +19,10 @@ async function commonBeforeAll() {
 
   await db.query("DELETE FROM jobs");
 
+  await db.query("DELETE FROM technologies");
+
+  await db.query("DELETE FROM audit_log");
+
   await Company.create(
       {
         handle: "c1",
@@ -46,6 +55,7 @@ async function commonBeforeAll() {
     email: "user1@user.com",
     password: "password1",
     isAdmin: false,
+    emailVerified: true,
   });
   await User.register({
     username: "u2",
@@ -54,6 +64,7 @@ async function commonBeforeAll() {
     email: "user2@user.com",
     password: "password2",
     isAdmin: false,
+    emailVerified: true,
   });
   await User.register({
     username: "u3",
@@ -62,29 +73,42 @@ async function commonBeforeAll() {
     email: "user3@user.com",
     password: "password3",
     isAdmin: false,
+    emailVerified: true,
   });
 
-  await Job.create(
+  testJobIds[0] = (await Job.create(
     {
       title: "J1",
       salary: 150000,
       equity: 0.01,
       companyHandle: "c1",
-    });
-await Job.create(
+    })).id;
+  testJobIds[1] = (await Job.create(
     {
       title: "J2",
       salary: 200000,
       equity: 0.02,
       companyHandle: "c2",
-    });
-await Job.create(
+    })).id;
+  testJobIds[2] = (await Job.create(
     {
       title: "J3",
       salary: 250000,
       equity: 0.03,
       companyHandle: "c3",
-    });
+    })).id;
+
+  await User.apply("u1", testJobIds[0]);
+
+  await Role.setForUser("u3", ["recruiter"]);
+  await Role.attach("u3", "c1");
+
+  testTechIds[0] = (await Technology.create({ name: "JavaScript" })).id;
+  testTechIds[1] = (await Technology.create({ name: "SQL" })).id;
+
+  await Technology.addToUser("u1", testTechIds[0]);
+  await Technology.addToJob(testJobIds[0], testTechIds[0]);
+  await Technology.addToJob(testJobIds[0], testTechIds[1]);
 }
 
 async function commonBeforeEach() {
@@ -104,12 +128,23 @@ const u1Token = createToken({ username: "u1", isAdmin: false });
 
 const adminToken = createToken({ username: "u2", isAdmin: true });
 
+// setting u3's roles bumped their token version
+const recruiterToken = createToken({
+  username: "u3",
+  isAdmin: false,
+  tokenVersion: 1,
+  roles: ["recruiter"],
+});
+
 
 module.exports = {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
+  testTechIds,
   u1Token,
   adminToken,
+  recruiterToken,
 };
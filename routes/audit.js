@@ -0,0 +1,53 @@
+"use strict";
+
+/** Routes for the audit log. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensurePermission } = require("../middleware/auth");
+const AuditLog = require("../models/auditLog");
+const { coerceQuery } = require("../helpers/query");
+
+const auditSearchSchema = require("../schemas/auditSearch.json");
+
+const router = new express.Router();
+
+/** GET /  =>
+ *   { entries: [ { id, actor, action, entityType, entityId, before, after,
+ *                  createdAt }, ...],
+ *     total, nextCursor }
+ *
+ * Can filter on:
+ * - actor (username of who made the change)
+ * - entityType (company, job, user or technology) and entityId
+ * - action (create, update, delete or restore)
+ * - from, to (ISO 8601 date-times; from is inclusive, to is exclusive)
+ *
+ * Newest entries come first; pass direction=asc for oldest first. Can page
+ * through results with limit, and either offset or cursor, as for
+ * GET /companies.
+ *
+ * Authorization required: audit:read (admin)
+ */
+
+router.get("/", ensurePermission("audit:read"), async function (req, res, next) {
+	try {
+		const query = coerceQuery(req.query, auditSearchSchema);
+		const validator = jsonschema.validate(query, auditSearchSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const { direction, limit, offset, cursor, ...filters } = query;
+		const { items, total, nextCursor } = await AuditLog.findAll(
+			filters, { direction, limit, offset, cursor });
+		return res.json({ entries: items, total, nextCursor });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
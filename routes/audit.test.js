@@ -0,0 +1,119 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	u1Token,
+	adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /audit */
+
+describe("GET /audit", function () {
+	test("lists changes made through the api", async function () {
+		await request(app)
+			.patch("/companies/c1")
+			.send({ name: "C1-new" })
+			.set("authorization", `Bearer ${adminToken}`);
+		await request(app)
+			.delete("/companies/c3")
+			.set("authorization", `Bearer ${adminToken}`);
+
+		const resp = await request(app)
+			.get("/audit")
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body.total).toEqual(2);
+		expect(resp.body.nextCursor).toEqual(null);
+		expect(resp.body.entries).toEqual([
+			{
+				id: expect.any(Number),
+				actor: "u2",
+				action: "delete",
+				entityType: "company",
+				entityId: "c3",
+				before: expect.objectContaining({ handle: "c3", name: "C3" }),
+				after: null,
+				createdAt: expect.any(String),
+			},
+			{
+				id: expect.any(Number),
+				actor: "u2",
+				action: "update",
+				entityType: "company",
+				entityId: "c1",
+				before: {
+					handle: "c1",
+					name: "C1",
+					description: "Desc1",
+					numEmployees: 1,
+					logoUrl: "http://c1.img",
+				},
+				after: {
+					handle: "c1",
+					name: "C1-new",
+					description: "Desc1",
+					numEmployees: 1,
+					logoUrl: "http://c1.img",
+				},
+				createdAt: expect.any(String),
+			},
+		]);
+	});
+
+	test("filters", async function () {
+		await request(app)
+			.delete("/companies/c3")
+			.set("authorization", `Bearer ${adminToken}`);
+		await request(app)
+			.patch("/users/u1")
+			.send({ firstName: "New" })
+			.set("authorization", `Bearer ${u1Token}`);
+
+		let resp = await request(app)
+			.get("/audit?actor=u1&entityType=user&entityId=u1&action=update")
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body.entries.map(e => e.after.firstName)).toEqual(["New"]);
+
+		resp = await request(app)
+			.get("/audit?to=2000-01-01T00:00:00Z")
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body.total).toEqual(0);
+	});
+
+	test("bad request with invalid filters", async function () {
+		const resp = await request(app)
+			.get("/audit?from=yesterday")
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("bad request with unknown filters", async function () {
+		const resp = await request(app)
+			.get("/audit?nope=1")
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("unauth for non-admin", async function () {
+		const resp = await request(app)
+			.get("/audit")
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("unauth for anon", async function () {
+		const resp = await request(app).get("/audit");
+		expect(resp.statusCode).toEqual(401);
+	});
+});
@@ -5,21 +5,53 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
 const { BadRequestError } = require("../expressError");
+const { validatePassword } = require("../helpers/passwordPolicy");
+const {
+  limitLoginsByIp,
+  limitLoginsByUsername,
+  limitPasswordResetsByUsername,
+} = require("../middleware/rateLimit");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { mailer } = require("../helpers/mailer");
+const { logger } = require("../helpers/logger");
+const { sendVerificationMail } = require("../helpers/verificationMail");
+const { PASSWORD_RESET_URL, PASSWORD_RESET_EXPIRES_MINUTES } = require("../config");
 
-/** POST /auth/token:  { username, password } => { token }
+/** Returns { token, refreshToken } for a user who just logged in,
+ * starting a new refresh token chain.
+ */
+
+async function issueTokens(user) {
+  const token = createToken(user);
+  const refreshToken = await RefreshToken.create(user.username);
+  return { token, refreshToken };
+}
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token to get a new one from /auth/refresh when it expires.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Attempts are rate limited per IP and per username, and too many wrong
+ * passwords lock the account for a while (see config.js). Either way this
+ * answers 429 with a Retry-After header.
  *
  * Authorization required: none
  */
 
-router.post("/token", async function (req, res, next) {
+router.post("/token", limitLoginsByIp, limitLoginsByUsername, async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userAuthSchema);
     if (!validator.valid) {
@@ -29,19 +61,27 @@ router.post("/token", async function (req, res, next) {
 
     const { username, password } = req.body;
     const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    const tokens = await issueTokens(user);
+    return res.json(tokens);
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * The password must follow the password policy (see
+ * helpers/passwordPolicy.js); if not, the 400 error lists what's wrong.
+ *
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token as for /auth/token.
+ *
+ * Also mails a link to verify the email (see GET /auth/verify); the user
+ * can't apply to jobs until they follow it. If the mail can't be sent the
+ * user is still registered, and can ask for another at /auth/verify/resend.
  *
  * Authorization required: none
  */
@@ -54,9 +94,176 @@ router.post("/register", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
+    validatePassword(req.body.password, req.body);
+
     const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    try {
+      await sendVerificationMail(newUser.username);
+    } catch (err) {
+      logger.error("Could not send verification mail", { err, username: newUser.username });
+    }
+    const tokens = await issueTokens(newUser);
+    return res.status(201).json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new JWT token and the next refresh token.
+ * Each refresh token works once; reusing one logs out that whole chain.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, refreshTokenSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { refreshToken, ...user } = await RefreshToken.rotate(req.body.refreshToken);
+    const token = createToken(user);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token and every token in its chain. Already issued
+ * JWT tokens stay valid until they expire.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, refreshTokenSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await RefreshToken.revokeFamily(req.body.refreshToken);
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/request:   { username } => { requested: true }
+ *
+ * Mails the user a link with a single-use token for
+ * /auth/password-reset/confirm. Answers the same whether or not the user
+ * exists, and whether or not the mail could be sent, so this can't be used
+ * to find out who has an account.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", limitPasswordResetsByUsername, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const reset = await PasswordReset.create(req.body.username);
+    if (reset) {
+      const link = `${PASSWORD_RESET_URL}?token=${encodeURIComponent(reset.token)}`;
+      // a failure is only logged: answering differently would give away
+      // that the account exists
+      try {
+        await mailer.send({
+          to: reset.email,
+          subject: "Reset your Jobly password",
+          text: `To choose a new password for ${req.body.username}, visit ${link}\n\n`
+              + `The link works once, within ${PASSWORD_RESET_EXPIRES_MINUTES} minutes. `
+              + "If you didn't ask to reset your password, you can ignore this mail.",
+        });
+      } catch (err) {
+        logger.error("Could not send password reset mail", { err, username: req.body.username });
+      }
+    }
+    return res.json({ requested: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { passwordReset: true }
+ *
+ * Sets a new password using a token from /auth/password-reset/request.
+ * The password must follow the password policy, as for /auth/register.
+ * This logs the user out everywhere, as any password change does.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.confirm(req.body.token, req.body.password);
+    return res.json({ passwordReset: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /auth/verify?token=   => { verified: username }
+ *
+ * Verifies the email a token from registration (or /auth/verify/resend)
+ * was mailed to.
+ *
+ * Authorization required: none
+ */
+
+router.get("/verify", async function (req, res, next) {
+  try {
+    if (typeof req.query.token !== "string" || !req.query.token) {
+      throw new BadRequestError("token is required");
+    }
+
+    const username = await EmailVerification.verify(req.query.token);
+    return res.json({ verified: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify/resend   => { sent: true }
+ *
+ * Mails the logged in user a new link to verify their email.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/verify/resend", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const { username } = res.locals.user;
+    if (await User.isEmailVerified(username)) {
+      throw new BadRequestError("Email already verified");
+    }
+
+    await sendVerificationMail(username);
+    return res.json({ sent: true });
   } catch (err) {
     return next(err);
   }
@@ -3,16 +3,26 @@
 const request = require("supertest");
 
 const app = require("../app");
+const db = require("../db");
+const { store } = require("../middleware/rateLimit");
+const { mailer } = require("../helpers/mailer");
+const {
+  LOGIN_RATE_LIMIT_PER_USERNAME,
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MINUTES,
+} = require("../config");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
+beforeEach(() => store.clear());
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
@@ -28,6 +38,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -51,6 +62,45 @@ describe("POST /auth/token", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("too many requests for one username", async function () {
+    for (let i = 0; i < LOGIN_RATE_LIMIT_PER_USERNAME; i++) {
+      const resp = await request(app)
+          .post("/auth/token")
+          .send({ username: "no-such-user", password: "nope" });
+      expect(resp.statusCode).toEqual(401);
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "no-such-user", password: "nope" });
+    expect(resp.statusCode).toEqual(429);
+    expect(+resp.headers["retry-after"]).toBeGreaterThan(0);
+
+    // other usernames aren't held up
+    const other = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(other.statusCode).toEqual(200);
+  });
+
+  test("locks the account after too many wrong passwords", async function () {
+    for (let i = 1; i < LOGIN_MAX_FAILURES; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "nope" });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual(String(LOGIN_LOCKOUT_MINUTES * 60));
+
+    const locked = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(locked.statusCode).toEqual(429);
+    expect(locked.body.error.message).toMatch(/Account locked/);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/auth/token")
@@ -74,6 +124,14 @@ describe("POST /auth/token", function () {
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
+  const newUser = {
+    username: "new",
+    firstName: "first",
+    lastName: "last",
+    password: "Secret-Pa55",
+    email: "new@email.com",
+  };
+
   test("works for anon", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -81,13 +139,36 @@ describe("POST /auth/register", function () {
           username: "new",
           firstName: "first",
           lastName: "last",
-          password: "password",
+          password: "Secret-Pa55",
           email: "new@email.com",
         });
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+  });
+
+  test("mails a verification link", async function () {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+    await request(app)
+        .post("/auth/register")
+        .send(newUser);
+    expect(send).toHaveBeenCalledWith({
+      to: "new@email.com",
+      subject: "Verify your Jobly email",
+      text: expect.stringMatching(/\/auth\/verify\?token=[0-9a-f]{64}/),
     });
+    send.mockRestore();
+  });
+
+  test("still registers if the mail can't be sent", async function () {
+    const send = jest.spyOn(mailer, "send").mockRejectedValue(new Error("down"));
+    const resp = await request(app)
+        .post("/auth/register")
+        .send(newUser);
+    expect(resp.statusCode).toEqual(201);
+    send.mockRestore();
   });
 
   test("bad request with missing fields", async function () {
@@ -99,6 +180,19 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("bad request with a password against the policy", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({ ...newUser, password: "newnewnew" });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      "Password must contain an uppercase letter",
+      "Password must contain a digit",
+      "Password must not contain your username",
+      "Password must not contain your email",
+    ]);
+  });
+
   test("bad request with invalid data", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -106,9 +200,288 @@ describe("POST /auth/register", function () {
           username: "new",
           firstName: "first",
           lastName: "last",
-          password: "password",
+          password: "Secret-Pa55",
           email: "not-an-email",
         });
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("unauth when reusing a refresh token, and revokes its chain", async function () {
+    const refreshToken = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    const reuse = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+
+    const next = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(next.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown refresh token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works, and revokes the refresh token chain", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const refreshed = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const after = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: refreshed.body.refreshToken });
+    expect(after.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown refresh token", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset/request */
+
+describe("POST /auth/password-reset/request", function () {
+  let send;
+
+  beforeEach(function () {
+    send = jest.spyOn(mailer, "send").mockResolvedValue();
+  });
+
+  afterEach(function () {
+    send.mockRestore();
+  });
+
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    expect(resp.body).toEqual({ requested: true });
+    expect(send).toHaveBeenCalledWith({
+      to: "user1@user.com",
+      subject: "Reset your Jobly password",
+      text: expect.stringMatching(/\?token=[0-9a-f]{64}/),
+    });
+  });
+
+  test("same answer but no mail if no such user", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "no-such-user" });
+    expect(resp.body).toEqual({ requested: true });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test("same answer if the mail can't be sent", async function () {
+    send.mockRejectedValue(new Error("down"));
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ requested: true });
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: 42 });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset/confirm */
+
+describe("POST /auth/password-reset/confirm", function () {
+  async function requestToken(username) {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username });
+    const { text } = send.mock.calls[0][0];
+    send.mockRestore();
+    return /\?token=([0-9a-f]+)/.exec(text)[1];
+  }
+
+  test("works", async function () {
+    const token = await requestToken("u1");
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "New-Passw0rd" });
+    expect(resp.body).toEqual({ passwordReset: true });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "New-Passw0rd" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("unauth if token already used", async function () {
+    const token = await requestToken("u1");
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "New-Passw0rd" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "Other-Passw0rd" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with a password against the policy, keeping the token", async function () {
+    const token = await requestToken("u1");
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "password123" });
+    expect(resp.statusCode).toEqual(400);
+
+    const retry = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "New-Passw0rd" });
+    expect(retry.body).toEqual({ passwordReset: true });
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "New-Passw0rd" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: 1 });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /auth/verify */
+
+describe("GET /auth/verify", function () {
+  async function register() {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "Secret-Pa55",
+          email: "new@email.com",
+        });
+    const { text } = send.mock.calls[0][0];
+    send.mockRestore();
+    return { token: resp.body.token, verifyToken: /\?token=([0-9a-f]+)/.exec(text)[1] };
+  }
+
+  test("works", async function () {
+    const { verifyToken } = await register();
+    const resp = await request(app)
+        .get("/auth/verify")
+        .query({ token: verifyToken });
+    expect(resp.body).toEqual({ verified: "new" });
+
+    const res = await db.query(`SELECT email_verified FROM users WHERE username = 'new'`);
+    expect(res.rows[0].email_verified).toEqual(true);
+  });
+
+  test("unauth if token already used", async function () {
+    const { verifyToken } = await register();
+    await request(app).get("/auth/verify").query({ token: verifyToken });
+    const resp = await request(app).get("/auth/verify").query({ token: verifyToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app).get("/auth/verify").query({ token: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request without token", async function () {
+    const resp = await request(app).get("/auth/verify");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify/resend */
+
+describe("POST /auth/verify/resend", function () {
+  test("works", async function () {
+    await db.query(`UPDATE users SET email_verified = FALSE WHERE username = 'u1'`);
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+    const resp = await request(app)
+        .post("/auth/verify/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ sent: true });
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: "user1@user.com" }));
+    send.mockRestore();
+  });
+
+  test("bad request if already verified", async function () {
+    const resp = await request(app)
+        .post("/auth/verify/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/verify/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -6,12 +6,17 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const { ensureLoggedIn, ensurePermission } = require("../middleware/auth");
 const Company = require("../models/company");
 const Job = require("../models/job");
+const AuditLog = require("../models/auditLog");
+const Application = require("../models/application");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companySearchSchema = require("../schemas/companySearch.json");
+const applicationSearchSchema = require("../schemas/applicationSearch.json");
+const { coerceQuery } = require("../helpers/query");
 
 const router = new express.Router();
 
@@ -21,10 +26,10 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: isAdmin
+ * Authorization required: companies:write (admin)
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", ensurePermission("companies:write"), async function (req, res, next) {
 	try {
 		const validator = jsonschema.validate(req.body, companyNewSchema);
 		if (!validator.valid) {
@@ -33,6 +38,13 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 		}
 
 		const company = await Company.create(req.body);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "create",
+			entityType: "company",
+			entityId: company.handle,
+			after: company,
+		});
 		return res.status(201).json({ company });
 	} catch (err) {
 		return next(err);
@@ -40,20 +52,38 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total, nextCursor }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - name (will find case-insensitive, partial matches)
+ *
+ * The query string is checked against schemas/companySearch.json; unknown
+ * filters are a bad request.
+ *
+ * Can page through results with sort (handle, name or numEmployees),
+ * direction (asc or desc), limit, and either offset or cursor. total
+ * counts all matching companies; pass nextCursor back as cursor to get the
+ * next page (it's null on the last page).
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
-		const companies = await Company.findAll(req.query);
-		return res.json({ companies });
+		const query = coerceQuery(req.query, companySearchSchema);
+		const validator = jsonschema.validate(query, companySearchSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const { sort, direction, limit, offset, cursor, ...filters } = query;
+		const { items, total, nextCursor } = await Company.findAll(
+			filters, { sort, direction, limit, offset, cursor });
+		return res.json({ companies: items, total, nextCursor });
 	} catch (err) {
 		return next(err);
 	}
@@ -76,6 +106,44 @@ router.get("/:handle", async function (req, res, next) {
 	}
 });
 
+/** GET /[handle]/applications  =>  { applications, total, nextCursor }
+ *
+ * Lists applications to the company's jobs, with their applicants:
+ *   [{ id, jobId, jobTitle, username, firstName, lastName, email, status,
+ *      coverLetter, resume, appliedAt, updatedAt }, ...]
+ *
+ * Can filter on status, username and from, to (ISO 8601 date-times of
+ * applying; from is inclusive, to is exclusive). Newest applications come
+ * first; can sort by id, appliedAt, updatedAt, username or status and page
+ * as for GET /companies.
+ *
+ * Authorization required: applications:read (admin, or recruiter for the
+ * company)
+ */
+
+router.get("/:handle/applications",
+	ensurePermission("applications:read", { company: req => req.params.handle }),
+	async function (req, res, next) {
+		try {
+			const query = coerceQuery(req.query, applicationSearchSchema);
+			const validator = jsonschema.validate(query, applicationSearchSchema);
+			if (!validator.valid) {
+				const errs = validator.errors.map((e) => e.stack);
+				throw new BadRequestError(errs);
+			}
+
+			await Company.get(req.params.handle);
+
+			const { sort, direction, limit, offset, cursor, ...filters } = query;
+			const { items, total, nextCursor } = await Application.findAll(
+				{ ...filters, companyHandle: req.params.handle },
+				{ sort, direction, limit, offset, cursor });
+			return res.json({ applications: items, total, nextCursor });
+		} catch (err) {
+			return next(err);
+		}
+	});
+
 /** PATCH /[handle] { fld1, fld2, ... } => { company }
  *
  * Patches company data.
@@ -84,10 +152,10 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: isAdmin
+ * Authorization required: companies:write (admin)
  */
 
-router.patch("/:handle", ensureAdmin, async function (req, res, next) {
+router.patch("/:handle", ensurePermission("companies:write"), async function (req, res, next) {
 	try {
 		const validator = jsonschema.validate(req.body, companyUpdateSchema);
 		if (!validator.valid) {
@@ -95,7 +163,16 @@ router.patch("/:handle", ensureAdmin, async function (req, res, next) {
 			throw new BadRequestError(errs);
 		}
 
+		const before = await Company.get(req.params.handle);
 		const company = await Company.update(req.params.handle, req.body);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "update",
+			entityType: "company",
+			entityId: company.handle,
+			before,
+			after: company,
+		});
 		return res.json({ company });
 	} catch (err) {
 		return next(err);
@@ -104,16 +181,52 @@ router.patch("/:handle", ensureAdmin, async function (req, res, next) {
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: login
+ * Deletes the company and its jobs; an admin can restore them until they
+ * are purged.
+ *
+ * Authorization: companies:write (admin)
  */
 
-router.delete("/:handle", ensureAdmin, async function (req, res, next) {
+router.delete("/:handle", ensurePermission("companies:write"), async function (req, res, next) {
 	try {
+		const before = await Company.get(req.params.handle);
 		await Company.remove(req.params.handle);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "delete",
+			entityType: "company",
+			entityId: req.params.handle,
+			before,
+		});
 		return res.json({ deleted: req.params.handle });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** POST /[handle]/restore  =>  { company }
+ *
+ * Restores a deleted company, along with the jobs deleted with it.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl }
+ *
+ * Authorization required: companies:write (admin)
+ */
+
+router.post("/:handle/restore", ensurePermission("companies:write"), async function (req, res, next) {
+	try {
+		const company = await Company.restore(req.params.handle);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "restore",
+			entityType: "company",
+			entityId: company.handle,
+			after: company,
+		});
+		return res.json({ company });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 module.exports = router;
@@ -12,6 +12,7 @@ const {
 	commonAfterAll,
 	u1Token,
 	adminToken,
+	recruiterToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -93,6 +94,8 @@ describe("GET /companies", function () {
 					logoUrl: "http://c3.img",
 				},
 			],
+			total: 3,
+			nextCursor: null,
 		});
 	});
 
@@ -121,22 +124,49 @@ describe("GET /companies", function () {
 					logoUrl: "http://c2.img",
 				},
 			],
+			total: 1,
+			nextCursor: null,
 		});
 	});
 
-	test("doesnt break with invalid filters added to query", async function () {
+	test("bad request with unknown filters added to query", async function () {
 		const resp = await request(app).get("/companies?name=c2&notValid=fake");
-		expect(resp.body).toEqual({
-			companies: [
-				{
-					handle: "c2",
-					name: "C2",
-					description: "Desc2",
-					numEmployees: 2,
-					logoUrl: "http://c2.img",
-				},
-			],
-		});
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("bad request with non-numeric employee filter", async function () {
+		const resp = await request(app).get("/companies?minEmployees=lots");
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("compares employee filters as numbers", async function () {
+		const resp = await request(app).get("/companies?minEmployees=2&maxEmployees=10");
+		expect(resp.body.companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+	});
+
+	test("pages with limit and cursor", async function () {
+		const first = await request(app).get("/companies?limit=2&sort=handle");
+		expect(first.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+		expect(first.body.total).toEqual(3);
+
+		const next = await request(app).get(
+			`/companies?limit=2&sort=handle&cursor=${first.body.nextCursor}`
+		);
+		expect(next.body.companies.map(c => c.handle)).toEqual(["c3"]);
+		expect(next.body.nextCursor).toEqual(null);
+	});
+
+	test("bad request on sort not in whitelist", async function () {
+		const resp = await request(app).get("/companies?sort=logoUrl");
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("bad request on a cursor that doesn't fit the sort", async function () {
+		const first = await request(app).get("/companies?limit=2&sort=handle");
+		const resp = await request(app).get(
+			`/companies?limit=2&sort=numEmployees&cursor=${first.body.nextCursor}`
+		);
+		expect(resp.statusCode).toEqual(400);
 	});
 
 	test("throws error when min is greater than max", async function () {
@@ -202,6 +232,71 @@ describe("GET /companies/:handle", function () {
 	});
 });
 
+/************************************** GET /companies/:handle/applications */
+
+describe("GET /companies/:handle/applications", function () {
+	test("works for admin", async function () {
+		const resp = await request(app)
+			.get(`/companies/c1/applications`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body).toEqual({
+			applications: [{
+				id: expect.any(Number),
+				jobId: expect.any(Number),
+				jobTitle: "J1",
+				username: "u1",
+				firstName: "U1F",
+				lastName: "U1L",
+				email: "user1@user.com",
+				status: "applied",
+				coverLetter: null,
+				resume: null,
+				appliedAt: expect.any(String),
+				updatedAt: expect.any(String),
+			}],
+			total: 1,
+			nextCursor: null,
+		});
+	});
+
+	test("works for a recruiter at the company", async function () {
+		const resp = await request(app)
+			.get(`/companies/c1/applications`)
+			.query({ status: "applied" })
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.body.total).toEqual(1);
+	});
+
+	test("unauth for a recruiter at another company", async function () {
+		const resp = await request(app)
+			.get(`/companies/c2/applications`)
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("unauth for users", async function () {
+		const resp = await request(app)
+			.get(`/companies/c1/applications`)
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("bad request on invalid filters", async function () {
+		const resp = await request(app)
+			.get(`/companies/c1/applications`)
+			.query({ status: "nope" })
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("not found for no such company", async function () {
+		const resp = await request(app)
+			.get(`/companies/nope/applications`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
 /************************************** PATCH /companies/:handle */
 
 describe("PATCH /companies/:handle", function () {
@@ -285,3 +380,51 @@ describe("DELETE /companies/:handle", function () {
 		expect(resp.statusCode).toEqual(404);
 	});
 });
+
+/************************************** POST /companies/:handle/restore */
+
+describe("POST /companies/:handle/restore", function () {
+	test("works for admin", async function () {
+		await request(app)
+			.delete(`/companies/c1`)
+			.set("authorization", `Bearer ${adminToken}`);
+		const resp = await request(app)
+			.post(`/companies/c1/restore`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body).toEqual({
+			company: {
+				handle: "c1",
+				name: "C1",
+				description: "Desc1",
+				numEmployees: 1,
+				logoUrl: "http://c1.img",
+			},
+		});
+
+		const getResp = await request(app).get(`/companies/c1`);
+		expect(getResp.body.company.jobs.map(j => j.title)).toEqual(["J1"]);
+	});
+
+	test("deleted company is hidden until restored", async function () {
+		await request(app)
+			.delete(`/companies/c1`)
+			.set("authorization", `Bearer ${adminToken}`);
+		const resp = await request(app).get(`/companies/c1`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test("unauth for non-admin", async function () {
+		await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'`);
+		const resp = await request(app)
+			.post(`/companies/c1/restore`)
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("not found if not deleted", async function () {
+		const resp = await request(app)
+			.post(`/companies/c1/restore`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
@@ -0,0 +1,51 @@
+"use strict";
+
+/** Routes for health checks and metrics. */
+
+const express = require("express");
+
+const db = require("../db");
+const { renderMetrics } = require("../helpers/metrics");
+
+const router = new express.Router();
+
+/** GET /health => { status: "ok" }
+ *
+ * Liveness: answers as long as the server is up.
+ *
+ * Authorization required: none
+ */
+
+router.get("/health", function (req, res) {
+	return res.json({ status: "ok" });
+});
+
+/** GET /ready => { status: "ready" }
+ *
+ * Readiness: checks the database can be queried. Answers 503 with
+ * { status: "unavailable" } if it can't.
+ *
+ * Authorization required: none
+ */
+
+router.get("/ready", async function (req, res) {
+	try {
+		await db.query("SELECT 1");
+		return res.json({ status: "ready" });
+	} catch (err) {
+		return res.status(503).json({ status: "unavailable" });
+	}
+});
+
+/** GET /metrics => request counts and latencies per route and status,
+ * and database query timings, in the Prometheus text format.
+ *
+ * Authorization required: none
+ */
+
+router.get("/metrics", function (req, res) {
+	res.type("text/plain; version=0.0.4");
+	return res.send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /health */
+
+describe("GET /health", function () {
+	test("works", async function () {
+		const resp = await request(app).get("/health");
+		expect(resp.body).toEqual({ status: "ok" });
+	});
+});
+
+/************************************** GET /ready */
+
+describe("GET /ready", function () {
+	test("works", async function () {
+		const resp = await request(app).get("/ready");
+		expect(resp.body).toEqual({ status: "ready" });
+	});
+
+	test("unavailable when the database is down", async function () {
+		const spy = jest.spyOn(db, "query").mockRejectedValueOnce(new Error("down"));
+		const resp = await request(app).get("/ready");
+		spy.mockRestore();
+		expect(resp.statusCode).toEqual(503);
+		expect(resp.body).toEqual({ status: "unavailable" });
+	});
+});
+
+/************************************** GET /metrics */
+
+describe("GET /metrics", function () {
+	test("reports requests by route and status, and db timings", async function () {
+		await request(app).get("/companies/c1");
+		await request(app).get("/companies/nope");
+		await request(app).get("/no-such-page");
+
+		const resp = await request(app).get("/metrics");
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.type).toEqual("text/plain");
+		expect(resp.text).toMatch(
+			/^http_requests_total\{method="GET",route="\/companies\/:handle",status="200"\} \d+$/m);
+		expect(resp.text).toMatch(
+			/^http_requests_total\{method="GET",route="\/companies\/:handle",status="404"\} \d+$/m);
+		expect(resp.text).toMatch(
+			/^http_requests_total\{method="GET",route="unmatched",status="404"\} \d+$/m);
+		expect(resp.text).toMatch(
+			/^http_request_duration_seconds_bucket\{method="GET",route="\/companies\/:handle",status="200",le="\+Inf"\} \d+$/m);
+		expect(resp.text).toMatch(
+			/^db_query_duration_seconds_count\{operation="select"\} \d+$/m);
+	});
+});
@@ -6,24 +6,41 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const { ensureLoggedIn, ensurePermission } = require("../middleware/auth");
 const Job = require("../models/job");
+const Application = require("../models/application");
+const Technology = require("../models/technology");
+const AuditLog = require("../models/auditLog");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
+const applicationSearchSchema = require("../schemas/applicationSearch.json");
+const { coerceQuery } = require("../helpers/query");
 
 const router = new express.Router();
 
+// recruiters can only write jobs for the companies they are attached to
+const ensureJobsWrite = ensurePermission("jobs:write", {
+	company: req => req.body.companyHandle,
+});
+const ensureJobWrite = ensurePermission("jobs:write", {
+	company: req => Job.getCompanyHandle(req.params.id),
+});
+const ensureJobApplicationsRead = ensurePermission("applications:read", {
+	company: req => Job.getCompanyHandle(req.params.id),
+});
+
 /** POST / { job } =>  { job }
  *
  * job should be { title, salary, equity, companyHandle }
  *
  * Returns { id, title, salary, equity, companyHandle }
  *
- * Authorization required: admin
+ * Authorization required: jobs:write (admin, or recruiter for the job's company)
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", ensureJobsWrite, async function (req, res, next) {
 	try {
 		const validator = jsonschema.validate(req.body, jobNewSchema);
 		if (!validator.valid) {
@@ -32,6 +49,13 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 		}
 
 		const job = await Job.create(req.body);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "create",
+			entityType: "job",
+			entityId: job.id,
+			after: job,
+		});
 		return res.status(201).json({ job });
 	} catch (err) {
 		return next(err);
@@ -39,20 +63,38 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { jobs: [ { id, title, salary, equity, companyHandle }, ...] }
+ *   { jobs: [ { id, title, salary, equity, companyHandle }, ...],
+ *     total, nextCursor }
  *
  * Can filter on provided search filters:
  * - minSalary
  * - title
- * - hasEquity (true or false)
+ * - hasEquity (true for jobs with equity; false is the same as leaving it out)
+ * - technologies (comma-separated names; finds jobs requiring all of them)
+ *
+ * The query string is checked against schemas/jobSearch.json; unknown
+ * filters are a bad request.
+ *
+ * Can page through results with sort (id, title, salary, equity or
+ * companyHandle), direction (asc or desc), limit, and either offset or
+ * cursor, as for GET /companies.
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
-		const jobs = await Job.findAll(req.query);
-		return res.json({ jobs });
+		const query = coerceQuery(req.query, jobSearchSchema);
+		const validator = jsonschema.validate(query, jobSearchSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const { sort, direction, limit, offset, cursor, ...filters } = query;
+		const { items, total, nextCursor } = await Job.findAll(
+			filters, { sort, direction, limit, offset, cursor });
+		return res.json({ jobs: items, total, nextCursor });
 	} catch (err) {
 		return next(err);
 	}
@@ -60,7 +102,8 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[id]  =>  { job }
  *
- *  Job is { id, title, salary, equity, companyHandle }
+ *  Job is { id, title, salary, equity, companyHandle, technologies }
+ *   where technologies is [name, ...]
  *
  * Authorization required: none
  */
@@ -74,6 +117,37 @@ router.get("/:id", async function (req, res, next) {
 	}
 });
 
+/** GET /[id]/applications  =>  { applications, total, nextCursor }
+ *
+ * Lists applications to the job, with their applicants, as for
+ * GET /companies/:handle/applications, and with the same filters and
+ * paging.
+ *
+ * Authorization required: applications:read (admin, or recruiter for the
+ * job's company)
+ */
+
+router.get("/:id/applications", ensureJobApplicationsRead, async function (req, res, next) {
+	try {
+		const query = coerceQuery(req.query, applicationSearchSchema);
+		const validator = jsonschema.validate(query, applicationSearchSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		await Job.get(req.params.id);
+
+		const { sort, direction, limit, offset, cursor, ...filters } = query;
+		const { items, total, nextCursor } = await Application.findAll(
+			{ ...filters, jobId: req.params.id },
+			{ sort, direction, limit, offset, cursor });
+		return res.json({ applications: items, total, nextCursor });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 /** PATCH /[id] { fld1, fld2, ... } => { job }
  *
  * Patches job data.
@@ -82,10 +156,10 @@ router.get("/:id", async function (req, res, next) {
  *
  * Returns { id, title, salary, equity, companyHandle }
  *
- * Authorization required: admin
+ * Authorization required: jobs:write (admin, or recruiter for the job's company)
  */
 
-router.patch("/:id", ensureAdmin, async function (req, res, next) {
+router.patch("/:id", ensureJobWrite, async function (req, res, next) {
 	try {
 		const validator = jsonschema.validate(req.body, jobUpdateSchema);
 		if (!validator.valid) {
@@ -93,7 +167,16 @@ router.patch("/:id", ensureAdmin, async function (req, res, next) {
 			throw new BadRequestError(errs);
 		}
 
+		const before = await Job.get(req.params.id);
 		const job = await Job.update(req.params.id, req.body);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "update",
+			entityType: "job",
+			entityId: job.id,
+			before,
+			after: job,
+		});
 		return res.json({ job });
 	} catch (err) {
 		return next(err);
@@ -102,16 +185,103 @@ router.patch("/:id", ensureAdmin, async function (req, res, next) {
 
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: admin
+ * It can be restored until it is purged.
+ *
+ * Authorization: jobs:write (admin, or recruiter for the job's company)
  */
 
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
+router.delete("/:id", ensureJobWrite, async function (req, res, next) {
 	try {
+		const before = await Job.get(req.params.id);
 		await Job.remove(req.params.id);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "delete",
+			entityType: "job",
+			entityId: before.id,
+			before,
+		});
 		return res.json({ deleted: req.params.id });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** POST /[id]/restore  =>  { job }
+ *
+ * Restores a deleted job. Jobs of a deleted company come back by
+ * restoring the company.
+ *
+ * Returns { id, title, salary, equity, companyHandle }
+ *
+ * Authorization required: jobs:write (admin, or recruiter for the job's company)
+ */
+
+router.post("/:id/restore", ensureJobWrite, async function (req, res, next) {
+	try {
+		const job = await Job.restore(req.params.id);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "restore",
+			entityType: "job",
+			entityId: job.id,
+			after: job,
+		});
+		return res.json({ job });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[id]/technologies/[techId] => { added: { jobId, technologyId } }
+ *
+ * Marks the job as requiring a technology. Recorded in the audit log as an
+ * update of the job's technologies.
+ *
+ * Authorization required: jobs:write (admin, or recruiter for the job's company)
+ */
+
+router.post("/:id/technologies/:techId", ensureJobWrite, async function (req, res, next) {
+	try {
+		const before = await Technology.forJob(req.params.id);
+		const added = await Technology.addToJob(req.params.id, req.params.techId);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "update",
+			entityType: "job",
+			entityId: added.jobId,
+			before: { technologies: before },
+			after: { technologies: await Technology.forJob(req.params.id) },
+		});
+		return res.status(201).json({ added });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /[id]/technologies/[techId] => { removed: techId }
+ *
+ * Recorded in the audit log as an update of the job's technologies.
+ *
+ * Authorization required: jobs:write (admin, or recruiter for the job's company)
+ */
+
+router.delete("/:id/technologies/:techId", ensureJobWrite, async function (req, res, next) {
+	try {
+		const before = await Technology.forJob(req.params.id);
+		await Technology.removeFromJob(req.params.id, req.params.techId);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "update",
+			entityType: "job",
+			entityId: req.params.id,
+			before: { technologies: before },
+			after: { technologies: await Technology.forJob(req.params.id) },
+		});
+		return res.json({ removed: req.params.techId });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 module.exports = router;
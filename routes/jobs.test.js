@@ -10,8 +10,11 @@ const {
 	commonBeforeEach,
 	commonAfterEach,
 	commonAfterAll,
+    testJobIds,
+    testTechIds,
     u1Token,
     adminToken,
+    recruiterToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -48,6 +51,30 @@ describe("POST /jobs", function () {
   
   
 
+	test("ok for a recruiter at the company", async function () {
+		const resp = await request(app)
+			.post("/jobs")
+			.send(newJob)
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.statusCode).toEqual(201);
+	});
+
+	test("unauth for a recruiter at another company", async function () {
+		const resp = await request(app)
+			.post("/jobs")
+			.send({ ...newJob, companyHandle: "c2" })
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("unauth for non-admin users", async function () {
+		const resp = await request(app)
+			.post("/jobs")
+			.send(newJob)
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
 	test("bad request with missing data", async function () {
 		const resp = await request(app)
 			.post("/jobs")
@@ -100,6 +127,8 @@ describe("GET /jobs", function () {
           companyHandle: "c3",
         },
       ],
+      total: 3,
+      nextCursor: null,
     });
   });
 
@@ -128,22 +157,55 @@ describe("GET /jobs", function () {
           companyHandle: "c2",
         },
       ],
+      total: 1,
+      nextCursor: null,
     });
   });
 
-  test("doesnt break with invalid filters added to query", async function () {
+  test("pages with sort, direction and offset", async function () {
+    const resp = await request(app).get(
+      "/jobs?sort=salary&direction=desc&limit=1&offset=1"
+    );
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["J2"]);
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.nextCursor).toEqual(expect.any(String));
+  });
+
+  test("bad request on invalid limit", async function () {
+    const resp = await request(app).get("/jobs?limit=1000");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown filters added to query", async function () {
     const resp = await request(app).get("/jobs?title=J2&notValid=fake");
-    expect(resp.body).toEqual({
-      jobs: [
-        {
-          id: expect.any(Number),
-          title: "J2",
-          salary: 200000,
-          equity: "0.02",
-          companyHandle: "c2",
-        },
-      ],
-    });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("hasEquity=false doesn't filter on equity", async function () {
+    await db.query(`UPDATE jobs SET equity = 0 WHERE title = 'J1'`);
+    const resp = await request(app).get("/jobs?hasEquity=false");
+    expect(resp.body.total).toEqual(3);
+  });
+
+  test("hasEquity=true only lists jobs with equity", async function () {
+    await db.query(`UPDATE jobs SET equity = 0 WHERE title = 'J1'`);
+    const resp = await request(app).get("/jobs?hasEquity=true");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["J2", "J3"]);
+  });
+
+  test("bad request with non-boolean hasEquity", async function () {
+    const resp = await request(app).get("/jobs?hasEquity=maybe");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("filters on technologies", async function () {
+    const resp = await request(app).get("/jobs?technologies=javascript,SQL");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["J1"]);
+  });
+
+  test("bad request with no technologies", async function () {
+    const resp = await request(app).get("/jobs?technologies=");
+    expect(resp.statusCode).toEqual(400);
   });
 });
 
@@ -162,6 +224,7 @@ describe("GET /jobs/:id", function () {
         salary: 150000,
         equity: "0.01",
         companyHandle: "c1",
+        technologies: ["JavaScript", "SQL"],
 			},
 		});
 	});
@@ -195,6 +258,23 @@ describe("PATCH /jobs/:id", function () {
 		});
 	});
 
+  test("works for a recruiter at the job's company", async function () {
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}`)
+			.send({ salary: 350000 })
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.job.salary).toEqual(350000);
+	});
+
+  test("unauth for a recruiter at another company", async function () {
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[1]}`)
+			.send({ salary: 350000 })
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
   test("unauth for anon", async function () {
     let j1Res = await db.query(`SELECT id FROM jobs WHERE title='J1'`);
     let testId = j1Res.rows[0].id;
@@ -239,6 +319,46 @@ describe("PATCH /jobs/:id", function () {
 	});
 });
 
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  test("works for admin", async function () {
+		const resp = await request(app)
+			.get(`/jobs/${testJobIds[0]}/applications`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body.applications.map(a => a.username)).toEqual(["u1"]);
+		expect(resp.body.total).toEqual(1);
+	});
+
+  test("works for a recruiter at the job's company", async function () {
+		const resp = await request(app)
+			.get(`/jobs/${testJobIds[0]}/applications`)
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.body.applications.map(a => a.username)).toEqual(["u1"]);
+	});
+
+  test("unauth for a recruiter at another company", async function () {
+		const resp = await request(app)
+			.get(`/jobs/${testJobIds[1]}/applications`)
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+  test("unauth for users", async function () {
+		const resp = await request(app)
+			.get(`/jobs/${testJobIds[0]}/applications`)
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("not found for no such job", async function () {
+		const resp = await request(app)
+			.get(`/jobs/0/applications`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
 /************************************** DELETE /jobs/:handle */
 
 describe("DELETE /jobs/:id", function () {
@@ -258,6 +378,20 @@ describe("DELETE /jobs/:id", function () {
 		expect(resp.statusCode).toEqual(401);
 	});
 
+	test("works for a recruiter at the job's company", async function () {
+		const resp = await request(app)
+			.delete(`/jobs/${testJobIds[0]}`)
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.body).toEqual({ deleted: `${testJobIds[0]}` });
+	});
+
+	test("unauth for a recruiter at another company", async function () {
+		const resp = await request(app)
+			.delete(`/jobs/${testJobIds[1]}`)
+			.set("authorization", `Bearer ${recruiterToken}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
 	test("not found for no such job", async function () {
 		const resp = await request(app)
 			.delete(`/jobs/0`)
@@ -265,3 +399,142 @@ describe("DELETE /jobs/:id", function () {
 		expect(resp.statusCode).toEqual(404);
 	});
 });
+
+/************************************** POST /jobs/:id/technologies/:techId */
+
+describe("POST /jobs/:id/technologies/:techId", function () {
+	test("works for admin", async function () {
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[1]}/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body).toEqual({
+			added: { jobId: testJobIds[1], technologyId: testTechIds[1] },
+		});
+	});
+
+	test("records the change in the audit log", async function () {
+		await request(app)
+			.post(`/jobs/${testJobIds[1]}/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${adminToken}`);
+		const audit = await db.query(
+			`SELECT actor, action, before, after FROM audit_log
+			 WHERE entity_type = 'job' AND entity_id = $1`,
+			[String(testJobIds[1])]);
+		expect(audit.rows).toEqual([{
+			actor: "u2",
+			action: "update",
+			before: { technologies: [] },
+			after: { technologies: ["SQL"] },
+		}]);
+	});
+
+	test("unauth for non-admin", async function () {
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[1]}/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("not found for no such technology", async function () {
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[1]}/technologies/0`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test("not found for no such job", async function () {
+		const resp = await request(app)
+			.post(`/jobs/0/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** DELETE /jobs/:id/technologies/:techId */
+
+describe("DELETE /jobs/:id/technologies/:techId", function () {
+	test("works for admin", async function () {
+		const resp = await request(app)
+			.delete(`/jobs/${testJobIds[0]}/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body).toEqual({ removed: `${testTechIds[1]}` });
+	});
+
+	test("records the change in the audit log", async function () {
+		await request(app)
+			.delete(`/jobs/${testJobIds[0]}/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${adminToken}`);
+		const audit = await db.query(
+			`SELECT actor, action, before, after FROM audit_log
+			 WHERE entity_type = 'job' AND entity_id = $1`,
+			[String(testJobIds[0])]);
+		expect(audit.rows).toEqual([{
+			actor: "u2",
+			action: "update",
+			before: { technologies: ["JavaScript", "SQL"] },
+			after: { technologies: ["JavaScript"] },
+		}]);
+	});
+
+	test("unauth for non-admin", async function () {
+		const resp = await request(app)
+			.delete(`/jobs/${testJobIds[0]}/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("not found if job doesn't require it", async function () {
+		const resp = await request(app)
+			.delete(`/jobs/${testJobIds[1]}/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** POST /jobs/:id/restore */
+
+describe("POST /jobs/:id/restore", function () {
+	test("works for admin", async function () {
+		await request(app)
+			.delete(`/jobs/${testJobIds[0]}`)
+			.set("authorization", `Bearer ${adminToken}`);
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[0]}/restore`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body).toEqual({
+			job: {
+				id: testJobIds[0],
+				title: "J1",
+				salary: 150000,
+				equity: "0.01",
+				companyHandle: "c1",
+			},
+		});
+	});
+
+	test("unauth for non-admin", async function () {
+		await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [testJobIds[0]]);
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[0]}/restore`)
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("bad request if company deleted", async function () {
+		await request(app)
+			.delete(`/companies/c1`)
+			.set("authorization", `Bearer ${adminToken}`);
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[0]}/restore`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("not found if not deleted", async function () {
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[0]}/restore`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
@@ -0,0 +1,51 @@
+"use strict";
+
+/** Routes for search. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const { coerceQuery } = require("../helpers/query");
+
+const searchSchema = require("../schemas/search.json");
+
+const router = new express.Router();
+
+/** GET /?q=[query]  =>
+ *   { results: { companies: [ { handle, name, description, numEmployees,
+ *                               logoUrl, rank, snippet }, ...],
+ *                jobs: [ { id, title, salary, equity, companyHandle,
+ *                          rank, snippet }, ...] } }
+ *
+ * Full-text search across companies (name and description) and jobs
+ * (title). Each group is ranked best match first; snippet is the matching
+ * text, HTML-escaped, with the matched words wrapped in <mark></mark>, so
+ * it can be shown as HTML as it is.
+ *
+ * q is required; limit (default 10) caps the results in each group.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+	try {
+		const query = coerceQuery(req.query, searchSchema);
+		const validator = jsonschema.validate(query, searchSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const { q, limit } = query;
+		const companies = await Company.search(q, limit);
+		const jobs = await Job.search(q, limit);
+		return res.json({ results: { companies, jobs } });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
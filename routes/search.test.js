@@ -0,0 +1,73 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+	test("works for anon: results grouped by type", async function () {
+		const resp = await request(app).get("/search?q=c2");
+		expect(resp.body).toEqual({
+			results: {
+				companies: [
+					{
+						handle: "c2",
+						name: "C2",
+						description: "Desc2",
+						numEmployees: 2,
+						logoUrl: "http://c2.img",
+						rank: expect.any(Number),
+						snippet: "<mark>C2</mark> - Desc2",
+					},
+				],
+				jobs: [],
+			},
+		});
+	});
+
+	test("works: job matches", async function () {
+		const resp = await request(app).get("/search?q=j3");
+		expect(resp.body.results.companies).toEqual([]);
+		expect(resp.body.results.jobs).toEqual([
+			{
+				id: expect.any(Number),
+				title: "J3",
+				salary: 250000,
+				equity: "0.03",
+				companyHandle: "c3",
+				rank: expect.any(Number),
+				snippet: "<mark>J3</mark>",
+			},
+		]);
+	});
+
+	test("works: either word matches with or", async function () {
+		const resp = await request(app).get("/search?q=c1 or desc3");
+		expect(resp.body.results.companies.map(c => c.handle).sort())
+			.toEqual(["c1", "c3"]);
+	});
+
+	test("bad request without q", async function () {
+		const resp = await request(app).get("/search");
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("bad request with invalid limit", async function () {
+		const resp = await request(app).get("/search?q=c1&limit=0");
+		expect(resp.statusCode).toEqual(400);
+	});
+});
@@ -0,0 +1,134 @@
+"use strict";
+
+/** Routes for technologies. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensurePermission } = require("../middleware/auth");
+const Technology = require("../models/technology");
+const AuditLog = require("../models/auditLog");
+
+const technologyNewSchema = require("../schemas/technologyNew.json");
+const technologyUpdateSchema = require("../schemas/technologyUpdate.json");
+
+const router = new express.Router();
+
+/** POST / { technology } => { technology }
+ *
+ * technology should be { name }
+ *
+ * Returns { id, name }
+ *
+ * Authorization required: technologies:write (admin)
+ */
+
+router.post("/", ensurePermission("technologies:write"), async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, technologyNewSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const technology = await Technology.create(req.body);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "create",
+			entityType: "technology",
+			entityId: technology.id,
+			after: technology,
+		});
+		return res.status(201).json({ technology });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET / => { technologies: [ { id, name }, ...] }
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+	try {
+		const technologies = await Technology.findAll();
+		return res.json({ technologies });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[id] => { technology }
+ *
+ * Technology is { id, name }
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id", async function (req, res, next) {
+	try {
+		const technology = await Technology.get(req.params.id);
+		return res.json({ technology });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /[id] { name } => { technology }
+ *
+ * Returns { id, name }
+ *
+ * Authorization required: technologies:write (admin)
+ */
+
+router.patch("/:id", ensurePermission("technologies:write"), async function (req, res, next) {
+	try {
+		const validator = jsonschema.validate(req.body, technologyUpdateSchema);
+		if (!validator.valid) {
+			const errs = validator.errors.map((e) => e.stack);
+			throw new BadRequestError(errs);
+		}
+
+		const before = await Technology.get(req.params.id);
+		const technology = await Technology.update(req.params.id, req.body);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "update",
+			entityType: "technology",
+			entityId: technology.id,
+			before,
+			after: technology,
+		});
+		return res.json({ technology });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /[id] => { deleted: id }
+ *
+ * Also removes it from every user and job that had it.
+ *
+ * Authorization required: technologies:write (admin)
+ */
+
+router.delete("/:id", ensurePermission("technologies:write"), async function (req, res, next) {
+	try {
+		const before = await Technology.get(req.params.id);
+		await Technology.remove(req.params.id);
+		await AuditLog.record({
+			actor: res.locals.user.username,
+			action: "delete",
+			entityType: "technology",
+			entityId: before.id,
+			before,
+		});
+		return res.json({ deleted: req.params.id });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
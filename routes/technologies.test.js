@@ -0,0 +1,152 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	testTechIds,
+	u1Token,
+	adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /technologies */
+
+describe("POST /technologies", function () {
+	test("ok for admin", async function () {
+		const resp = await request(app)
+			.post("/technologies")
+			.send({ name: "Python" })
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body).toEqual({
+			technology: { id: expect.any(Number), name: "Python" },
+		});
+	});
+
+	test("unauth for non-admin", async function () {
+		const resp = await request(app)
+			.post("/technologies")
+			.send({ name: "Python" })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("bad request with missing name", async function () {
+		const resp = await request(app)
+			.post("/technologies")
+			.send({})
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("bad request with dupe", async function () {
+		const resp = await request(app)
+			.post("/technologies")
+			.send({ name: "sql" })
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/************************************** GET /technologies */
+
+describe("GET /technologies", function () {
+	test("ok for anon", async function () {
+		const resp = await request(app).get("/technologies");
+		expect(resp.body).toEqual({
+			technologies: [
+				{ id: testTechIds[0], name: "JavaScript" },
+				{ id: testTechIds[1], name: "SQL" },
+			],
+		});
+	});
+});
+
+/************************************** GET /technologies/:id */
+
+describe("GET /technologies/:id", function () {
+	test("works for anon", async function () {
+		const resp = await request(app).get(`/technologies/${testTechIds[1]}`);
+		expect(resp.body).toEqual({
+			technology: { id: testTechIds[1], name: "SQL" },
+		});
+	});
+
+	test("not found for no such technology", async function () {
+		const resp = await request(app).get(`/technologies/0`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** PATCH /technologies/:id */
+
+describe("PATCH /technologies/:id", function () {
+	test("works for admin", async function () {
+		const resp = await request(app)
+			.patch(`/technologies/${testTechIds[1]}`)
+			.send({ name: "PostgreSQL" })
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body).toEqual({
+			technology: { id: testTechIds[1], name: "PostgreSQL" },
+		});
+	});
+
+	test("unauth for non-admin", async function () {
+		const resp = await request(app)
+			.patch(`/technologies/${testTechIds[1]}`)
+			.send({ name: "PostgreSQL" })
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("bad request on invalid data", async function () {
+		const resp = await request(app)
+			.patch(`/technologies/${testTechIds[1]}`)
+			.send({ name: "" })
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test("not found on no such technology", async function () {
+		const resp = await request(app)
+			.patch(`/technologies/0`)
+			.send({ name: "PostgreSQL" })
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** DELETE /technologies/:id */
+
+describe("DELETE /technologies/:id", function () {
+	test("works for admin", async function () {
+		const resp = await request(app)
+			.delete(`/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.body).toEqual({ deleted: `${testTechIds[1]}` });
+	});
+
+	test("unauth for non-admin", async function () {
+		const resp = await request(app)
+			.delete(`/technologies/${testTechIds[1]}`)
+			.set("authorization", `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test("not found for no such technology", async function () {
+		const resp = await request(app)
+			.delete(`/technologies/0`)
+			.set("authorization", `Bearer ${adminToken}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
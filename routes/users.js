@@ -6,11 +6,37 @@ const jsonschema = require("jsonschema");
 
 const express = require("express");
 const { ensureLoggedIn, ensureAdmin, ensureUserOrAdmin } = require("../middleware/auth");
-const { BadRequestError, ExpressError } = require("../expressError");
+const {
+  BadRequestError,
+  ExpressError,
+  NotFoundError,
+  UnauthorizedError,
+  ForbiddenError,
+} = require("../expressError");
 const User = require("../models/user");
+const Role = require("../models/role");
+const SavedSearch = require("../models/savedSearch");
+const Technology = require("../models/technology");
+const Job = require("../models/job");
+const AuditLog = require("../models/auditLog");
 const { createToken } = require("../helpers/tokens");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userPasswordResetSchema = require("../schemas/userPasswordReset.json");
+const userRolesSchema = require("../schemas/userRoles.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const recommendationsSchema = require("../schemas/recommendations.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
+const { APPLICANT_STATUSES } = require("../helpers/applicationStatus");
+const { coerceQuery } = require("../helpers/query");
+const { resetLoginLimit } = require("../middleware/rateLimit");
+const { uploadResume } = require("../middleware/upload");
+const { storage, newKey } = require("../helpers/storage");
+const { sendVerificationMail } = require("../helpers/verificationMail");
+const { logger } = require("../helpers/logger");
+const { validatePassword } = require("../helpers/passwordPolicy");
 
 const router = express.Router();
 
@@ -24,6 +50,9 @@ const router = express.Router();
  * This returns the newly created user and an authentication token for them:
  *  {user: { username, firstName, lastName, email, isAdmin }, token }
  *
+ * Users added here start with their email verified. The password must
+ * follow the password policy, as for /auth/register.
+ *
  * Authorization required: admin
  **/
 
@@ -35,7 +64,16 @@ router.post("/", ensureAdmin, async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const user = await User.register(req.body);
+    validatePassword(req.body.password, req.body);
+
+    const user = await User.register({ ...req.body, emailVerified: true });
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: "create",
+      entityType: "user",
+      entityId: user.username,
+      after: user,
+    });
     const token = createToken(user);
     return res.status(201).json({ user, token });
   } catch (err) {
@@ -44,17 +82,24 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *             total, nextCursor }
  *
  * Returns list of all users.
  *
+ * Can page through results with sort (username, firstName, lastName or
+ * email), direction (asc or desc), limit, and either offset or cursor, as
+ * for GET /companies.
+ *
  * Authorization required: admin
  **/
 
 router.get("/", ensureAdmin, async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const { sort, direction, limit, offset, cursor } = req.query;
+    const { items, total, nextCursor } = await User.findAll(
+        { sort, direction, limit, offset, cursor });
+    return res.json({ users: items, total, nextCursor });
   } catch (err) {
     return next(err);
   }
@@ -64,8 +109,13 @@ router.get("/", ensureAdmin, async function (req, res, next) {
 /** GET /[username] => { user }
  *
  * Returns { username, firstName, lastName, 
- * isAdmin, jobs }
- * Where jobs is [{ id, title, salary, equity,companyName }...]
+ * isAdmin, jobs, bookmarks, technologies }
+ * Where jobs is [{ id, title, salary, equity, companyName,
+ * status, appliedAt, updatedAt, history }...]
+ * and history lists every status change for that application
+ * and bookmarks is the jobs they have bookmarked without applying:
+ * [{ id, title, salary, equity, companyName, bookmarkedAt }...]
+ * and technologies is the names of the user's skills
  * Authorization required: correct user or admin
  **/
 
@@ -79,10 +129,45 @@ router.get("/:username", ensureUserOrAdmin, async function (req, res, next) {
 });
 
 
+/** GET /[username]/recommendations => { recommendations }
+ *
+ * Returns up to limit (default 10) jobs the user hasn't applied to, ranked
+ * by how much they look like the jobs they have applied to:
+ *   [{ id, title, salary, equity, companyHandle, score }, ...]
+ *
+ * Authorization required: correct user or admin
+ **/
+
+router.get("/:username/recommendations", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    const query = coerceQuery(req.query, recommendationsSchema);
+    const validator = jsonschema.validate(query, recommendationsSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const recommendations = await User.getRecommendations(req.params.username, query.limit);
+    return res.json({ recommendations });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, password, email, isAdmin, currentPassword }
+ *
+ * Only admins can change isAdmin. Changing the password or isAdmin
+ * revokes the user's existing tokens.
+ *
+ * Users changing their own password or email must give their
+ * currentPassword. Admins can change another user's email, but set their
+ * password with POST /[username]/force-password-reset. A new password
+ * must follow the password policy, as for /auth/register. A new email is
+ * mailed a link to verify it.
  *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
@@ -97,47 +182,403 @@ router.patch("/:username", ensureUserOrAdmin, async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const user = await User.update(req.params.username, req.body);
+    if (req.body.isAdmin !== undefined && !res.locals.user.isAdmin) {
+      throw new UnauthorizedError();
+    }
+
+    const { currentPassword, ...data } = req.body;
+    const isSelf = res.locals.user.username === req.params.username;
+    if (data.password !== undefined && !isSelf) {
+      throw new BadRequestError(
+          "Set another user's password with POST /users/:username/force-password-reset");
+    }
+    if ((data.password !== undefined || data.email !== undefined) && isSelf) {
+      if (currentPassword === undefined) {
+        throw new BadRequestError("currentPassword is required to change password or email");
+      }
+      await User.checkPassword(req.params.username, currentPassword);
+    }
+    if (data.password !== undefined) {
+      await User.validateNewPassword(req.params.username, data.password, { email: data.email });
+    }
+
+    const before = await User.getAccount(req.params.username);
+    const user = await User.update(req.params.username, data);
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: "update",
+      entityType: "user",
+      entityId: user.username,
+      before,
+      after: user,
+    });
+
+    if (data.email !== undefined && !(await User.isEmailVerified(user.username))) {
+      try {
+        await sendVerificationMail(user.username);
+      } catch (err) {
+        logger.error("Could not send verification mail", { err, username: user.username });
+      }
+    }
     return res.json({ user });
   } catch (err) {
     return next(err);
   }
 });
 
-/** POST /[username]/jobs/[jobId] 
- * { username, jobId } => { applicationJobId }
+/** POST /[username]/force-password-reset { password }
+ * => { passwordReset: username }
+ *
+ * Sets a user's password without their current one, logging them out
+ * everywhere. The password must follow the password policy, as for
+ * /auth/register. Recorded in the audit log, without the password.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/force-password-reset", ensureAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, userPasswordResetSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await User.validateNewPassword(req.params.username, req.body.password);
+    const user = await User.update(req.params.username, { password: req.body.password });
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: "update",
+      entityType: "user",
+      entityId: user.username,
+      before: { passwordReset: false },
+      after: { passwordReset: true },
+    });
+    return res.json({ passwordReset: user.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/jobs/[jobId] { status, coverLetter, resume }
+ * => { applied: { jobId, status } }
  * 
  * Allows a user to apply for a job (or an admin 
- * to do it for them). Throws error if user has
- * already applied for that job.
+ * to do it for them). Status is optional and can be
+ * "interested" or "applied" (the default). Throws
+ * error if user has already applied for that job, and
+ * Forbidden if they haven't verified their email.
+ *
+ * The body can be JSON, or multipart/form-data to attach
+ * a resume file as the "resume" field; see
+ * middleware/upload.js for the sizes and types allowed.
+ * coverLetter, also optional, is text.
  * 
  * Authorization required: correct user or admin
  */
 
-router.post("/:username/jobs/:id", ensureUserOrAdmin, async (req, res, next) => {
+router.post("/:username/jobs/:id", ensureUserOrAdmin, uploadResume, async (req, res, next) => {
   try {
+    const validator = jsonschema.validate(req.body, applicationNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
     const username = req.params.username;
     const jobId = req.params.id;
+    const emailVerified = await User.isEmailVerified(username);
+    if (emailVerified === undefined) throw new NotFoundError(`No user: ${username}`);
+    if (!emailVerified) {
+      throw new ForbiddenError(`${username} must verify their email before applying.`);
+    }
     // check for duplicate application
     const duplicate = await User.getApplication(username, jobId);
     if (duplicate != undefined) {
       throw new ExpressError(`${username} has already applied for this job.`, 400)
     }
-    const applicationJobId = await User.apply( username, jobId);
+    let resume;
+    if (req.file) {
+      resume = {
+        key: newKey("resumes"),
+        filename: req.file.originalname,
+        contentType: req.file.mimetype,
+        size: req.file.size,
+      };
+      await storage.save(resume.key, req.file.buffer);
+    }
+
+    let applicationJobId;
+    try {
+      applicationJobId = await User.apply(
+          username, jobId, req.body.status, { coverLetter: req.body.coverLetter, resume });
+    } catch (err) {
+      if (resume) await storage.remove(resume.key);
+      throw err;
+    }
     return res.json({ applied: applicationJobId })
   } catch (err) {
     return next(err);
   }
 })
 
+/** GET /[username]/jobs/[jobId]/resume => the resume file
+ *
+ * Downloads the resume attached to the user's application, with the type
+ * and filename it was uploaded with.
+ *
+ * Authorization required: correct user or admin
+ */
+
+router.get("/:username/jobs/:id/resume", ensureUserOrAdmin, async (req, res, next) => {
+  try {
+    const resume = await User.getResume(req.params.username, req.params.id);
+    res.attachment(resume.filename);
+    res.type(resume.contentType);
+    storage.open(resume.key)
+        .on("error", next)
+        .pipe(res);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/bookmarks  =>  { jobs, total, nextCursor }
+ *
+ * Lists the jobs the user has bookmarked. Takes the same filters and paging
+ * as GET /jobs: title, minSalary, hasEquity, technologies, sort, direction,
+ * limit, offset and cursor.
+ *
+ * Authorization required: correct user or admin
+ */
+
+router.get("/:username/bookmarks", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    const query = coerceQuery(req.query, jobSearchSchema);
+    const validator = jsonschema.validate(query, jobSearchSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { sort, direction, limit, offset, cursor, ...filters } = query;
+    const { items, total, nextCursor } = await Job.findAll(
+        { ...filters, bookmarkedBy: req.params.username },
+        { sort, direction, limit, offset, cursor });
+    return res.json({ jobs: items, total, nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/bookmarks/[jobId]
+ * => { bookmarked: { username, jobId } }
+ *
+ * Bookmarks a job for the user, without applying to it.
+ *
+ * Authorization required: correct user or admin
+ */
+
+router.post("/:username/bookmarks/:jobId", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    const bookmarked = await User.bookmark(req.params.username, req.params.jobId);
+    return res.status(201).json({ bookmarked });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/bookmarks/[jobId] => { unbookmarked: jobId }
+ *
+ * Authorization required: correct user or admin
+ */
+
+router.delete("/:username/bookmarks/:jobId", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    await User.unbookmark(req.params.username, req.params.jobId);
+    return res.json({ unbookmarked: req.params.jobId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[username]/jobs/[jobId] { status }
+ * => { application: { username, jobId, status, updatedAt } }
+ *
+ * Moves an application along the status workflow in
+ * helpers/applicationStatus.js. Users can only move their
+ * own application to applied, accepted or withdrawn; the
+ * other statuses are set by an admin.
+ *
+ * Authorization required: correct user or admin
+ */
+
+router.patch("/:username/jobs/:id", ensureUserOrAdmin, async (req, res, next) => {
+  try {
+    const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const actor = res.locals.user;
+    if (!actor.isAdmin && !APPLICANT_STATUSES.includes(req.body.status)) {
+      throw new UnauthorizedError();
+    }
+
+    const application = await User.updateApplicationStatus(
+        req.params.username, req.params.id, req.body.status, actor.username);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/jobs/[jobId] => { withdrawn: jobId }
+ *
+ * Withdraws the user's application. The application is kept, as withdrawn,
+ * along with its history.
+ *
+ * Authorization required: correct user or admin
+ */
+
+router.delete("/:username/jobs/:id", ensureUserOrAdmin, async (req, res, next) => {
+  try {
+    await User.withdraw(req.params.username, req.params.id, res.locals.user.username);
+    return res.json({ withdrawn: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/technologies/[techId]
+ * => { added: { username, technologyId } }
+ *
+ * Adds a technology to the user's skills.
+ *
+ * Authorization required: correct user or admin
+ */
+
+router.post("/:username/technologies/:techId", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    const added = await Technology.addToUser(req.params.username, req.params.techId);
+    return res.status(201).json({ added });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/technologies/[techId] => { removed: techId }
+ *
+ * Authorization required: correct user or admin
+ */
+
+router.delete("/:username/technologies/:techId", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    await Technology.removeFromUser(req.params.username, req.params.techId);
+    return res.json({ removed: req.params.techId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/searches { name, filters }  =>  { search }
+ *
+ * Saves a job search. filters can hold title, minSalary, hasEquity and
+ * technologies, as for GET /jobs.
+ *
+ * Returns { id, username, name, filters, createdAt, checkedAt }
+ *
+ * Authorization required: correct user or admin
+ **/
+
+router.post("/:username/searches", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, savedSearchNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const search = await SavedSearch.create(req.params.username, req.body);
+    return res.status(201).json({ search });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/searches  =>  { searches }
+ *
+ * Returns [{ id, username, name, filters, createdAt, checkedAt }, ...]
+ *
+ * Authorization required: correct user or admin
+ **/
+
+router.get("/:username/searches", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    const searches = await SavedSearch.findAll(req.params.username);
+    return res.json({ searches });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/searches/[id]/new  =>  { search, jobs, total }
+ *
+ * Returns the jobs matching a saved search that were posted since it was
+ * last checked here, and marks it checked, so the next call only has jobs
+ * posted after this one. jobs is up to 100 of them, newest first:
+ *   [{ id, title, salary, equity, companyHandle }, ...]
+ * and total counts them all.
+ *
+ * Authorization required: correct user or admin
+ **/
+
+router.get("/:username/searches/:id/new", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    const found = await SavedSearch.checkNewJobs(req.params.username, req.params.id);
+    return res.json(found);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/searches/[id]  =>  { deleted: id }
+ *
+ * Authorization required: correct user or admin
+ **/
+
+router.delete("/:username/searches/:id", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    await SavedSearch.remove(req.params.username, req.params.id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** DELETE /[username]  =>  { deleted: username }
+ *
+ * An admin can restore the user until they are purged.
  *
  * Authorization required: correct user or admin
  **/
 
 router.delete("/:username", ensureUserOrAdmin, async function (req, res, next) {
   try {
+    const before = await User.get(req.params.username);
     await User.remove(req.params.username);
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: "delete",
+      entityType: "user",
+      entityId: req.params.username,
+      before,
+    });
     return res.json({ deleted: req.params.username });
   } catch (err) {
     return next(err);
@@ -145,4 +586,163 @@ router.delete("/:username", ensureUserOrAdmin, async function (req, res, next) {
 });
 
 
+/** POST /[username]/restore  =>  { user }
+ *
+ * Restores a deleted user.
+ *
+ * Returns { username, firstName, lastName, email, isAdmin }
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/restore", ensureAdmin, async function (req, res, next) {
+  try {
+    const user = await User.restore(req.params.username);
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: "restore",
+      entityType: "user",
+      entityId: user.username,
+      after: user,
+    });
+    return res.json({ user });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Unlocks an account locked by too many failed logins, and resets the
+ * user's login rate limit.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/unlock", ensureAdmin, async function (req, res, next) {
+  try {
+    const { username, lockedUntil } = await User.unlock(req.params.username);
+    await resetLoginLimit(username);
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: "update",
+      entityType: "user",
+      entityId: username,
+      before: { lockedUntil },
+      after: { lockedUntil: null },
+    });
+    return res.json({ unlocked: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/roles  =>  { roles, companies }
+ *
+ * Returns the roles given to the user, like ["recruiter"], and the handles
+ * of the companies they are attached to. Every user also has the user
+ * role, which isn't listed.
+ *
+ * Authorization required: admin or same user-as-:username
+ **/
+
+router.get("/:username/roles", ensureUserOrAdmin, async function (req, res, next) {
+  try {
+    const roles = await Role.forUser(req.params.username);
+    const companies = await Role.companiesFor(req.params.username);
+    return res.json({ roles, companies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PUT /[username]/roles { roles }  =>  { roles }
+ *
+ * Replaces the roles given to the user. Giving or taking away "admin"
+ * also sets isAdmin. The user's tokens are revoked, since they carry
+ * their old roles.
+ *
+ * Authorization required: admin
+ **/
+
+router.put("/:username/roles", ensureAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, userRolesSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const before = await Role.forUser(req.params.username);
+    const roles = await Role.setForUser(req.params.username, req.body.roles);
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: "update",
+      entityType: "user",
+      entityId: req.params.username,
+      before: { roles: before },
+      after: { roles },
+    });
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/companies/[handle]  =>  { attached: { username, companyHandle } }
+ *
+ * Attaches the user to a company, so a recruiter can manage its jobs.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/companies/:handle", ensureAdmin, async function (req, res, next) {
+  try {
+    const before = await Role.companiesFor(req.params.username);
+    const attached = await Role.attach(req.params.username, req.params.handle);
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: "update",
+      entityType: "user",
+      entityId: req.params.username,
+      before: { companies: before },
+      after: { companies: await Role.companiesFor(req.params.username) },
+    });
+    return res.status(201).json({ attached });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/companies/[handle]  =>  { detached: handle }
+ *
+ * Detaches the user from a company.
+ *
+ * Authorization required: admin
+ **/
+
+router.delete("/:username/companies/:handle", ensureAdmin, async function (req, res, next) {
+  try {
+    const before = await Role.companiesFor(req.params.username);
+    await Role.detach(req.params.username, req.params.handle);
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: "update",
+      entityType: "user",
+      entityId: req.params.username,
+      before: { companies: before },
+      after: { companies: await Role.companiesFor(req.params.username) },
+    });
+    return res.json({ detached: req.params.handle });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 module.exports = router;
@@ -5,14 +5,21 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const { mailer } = require("../helpers/mailer");
+const { RESUME_MAX_BYTES } = require("../config");
+
+const PDF = Buffer.from("%PDF-1.4\n%test\n");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
+  testTechIds,
   u1Token,
   adminToken,
+  recruiterToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -30,7 +37,7 @@ describe("POST /users", function () {
           username: "u-new",
           firstName: "First-new",
           lastName: "Last-newL",
-          password: "password-new",
+          password: "Passw0rd-Fresh",
           email: "new@email.com",
           isAdmin: false,
         })
@@ -45,6 +52,7 @@ describe("POST /users", function () {
         isAdmin: false,
       }, token: expect.any(String),
     });
+    expect(await User.isEmailVerified("u-new")).toEqual(true);
   });
 
   test("doesnt work for users: create admin", async function () {
@@ -54,7 +62,7 @@ describe("POST /users", function () {
           username: "u-new",
           firstName: "First-new",
           lastName: "Last-newL",
-          password: "password-new",
+          password: "Passw0rd-Fresh",
           email: "new@email.com",
           isAdmin: true,
         })
@@ -75,7 +83,7 @@ describe("POST /users", function () {
           username: "u-new",
           firstName: "First-new",
           lastName: "Last-newL",
-          password: "password-new",
+          password: "Passw0rd-Fresh",
           email: "new@email.com",
           isAdmin: true,
         });
@@ -99,7 +107,7 @@ describe("POST /users", function () {
           username: "u-new",
           firstName: "First-new",
           lastName: "Last-newL",
-          password: "password-new",
+          password: "Passw0rd-Fresh",
           email: "not-an-email",
           isAdmin: true,
         })
@@ -139,9 +147,20 @@ describe("GET /users", function () {
           isAdmin: false,
         },
       ],
+      total: 3,
+      nextCursor: null,
     });
   });
 
+  test("pages with sort and limit", async function () {
+    const resp = await request(app)
+        .get("/users?sort=lastName&direction=desc&limit=2")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u3", "u2"]);
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.nextCursor).toEqual(expect.any(String));
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get("/users");
@@ -174,11 +193,24 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         isAdmin: false,
         jobs: [{
-          companyName: null,
-          equity: null,
-          salary: null,
-          title: null,
-        }]
+          id: testJobIds[0],
+          title: "J1",
+          salary: 150000,
+          equity: "0.01",
+          companyName: "C1",
+          status: "applied",
+          appliedAt: expect.any(String),
+          updatedAt: expect.any(String),
+          coverLetter: null,
+          resume: null,
+          history: [{
+            status: "applied",
+            changedBy: "u1",
+            changedAt: expect.any(String),
+          }],
+        }],
+        bookmarks: [],
+        technologies: ["JavaScript"],
       },
     });
   });
@@ -186,7 +218,6 @@ describe("GET /users/:username", function () {
   test("unauth for anon", async function () {
     const resp = await request(app)
       .get(`/users/u1`);
-    console.log(resp.body)
     expect(resp.statusCode).toEqual(401);
   });
 
@@ -198,6 +229,57 @@ describe("GET /users/:username", function () {
   });
 });
 
+/************************************** GET /users/:username/recommendations */
+
+describe("GET /users/:username/recommendations", function () {
+  test("works for correct user", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      recommendations: [
+        {
+          id: testJobIds[1],
+          title: "J2",
+          salary: 200000,
+          equity: "0.02",
+          companyHandle: "c2",
+          score: 1,
+        },
+        {
+          id: testJobIds[2],
+          title: "J3",
+          salary: 250000,
+          equity: "0.03",
+          companyHandle: "c3",
+          score: 1,
+        },
+      ],
+    });
+  });
+
+  test("works: limit", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations?limit=1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.recommendations.map(j => j.id)).toEqual([testJobIds[1]]);
+  });
+
+  test("bad request on invalid limit", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations?limit=none`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/recommendations`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 /************************************** PATCH /users/:username */
 
 describe("PATCH /users/:username", () => {
@@ -219,6 +301,34 @@ describe("PATCH /users/:username", () => {
     });
   });
 
+  test("records the change in the audit log", async function () {
+    await request(app)
+        .patch(`/users/u1`)
+        .send({ firstName: "New", email: "new@user.com", currentPassword: "password1" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const audit = await db.query(
+        `SELECT actor, before, after FROM audit_log
+         WHERE entity_type = 'user' AND entity_id = 'u1' AND action = 'update'`);
+    expect(audit.rows).toEqual([{
+      actor: "u1",
+      before: {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        isAdmin: false,
+      },
+      after: {
+        username: "u1",
+        firstName: "New",
+        lastName: "U1L",
+        email: "new@user.com",
+        isAdmin: false,
+      },
+    }]);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
@@ -248,11 +358,38 @@ describe("PATCH /users/:username", () => {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("works for admins: change admin flag, revoking old tokens", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          isAdmin: true,
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.user.isAdmin).toEqual(true);
+
+    const stale = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(stale.statusCode).toEqual(401);
+    expect(stale.body.error.message).toEqual("Token revoked");
+  });
+
+  test("unauth for users changing admin flag", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          isAdmin: true,
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("works: set new password", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
         .send({
-          password: "new-password",
+          password: "New-Passw0rd",
+          currentPassword: "password1",
         })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
@@ -264,31 +401,935 @@ describe("PATCH /users/:username", () => {
         isAdmin: false,
       },
     });
-    const isSuccessful = await User.authenticate("u1", "new-password");
+    const isSuccessful = await User.authenticate("u1", "New-Passw0rd");
     expect(isSuccessful).toBeTruthy();
   });
+
+  test("bad request with a new password against the policy", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "weak",
+          currentPassword: "password1",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toContain("Password must be at least 8 characters");
+  });
+
+  test("bad request changing password without current password", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "New-Passw0rd",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth changing password with wrong current password", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "New-Passw0rd",
+          currentPassword: "wrong",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual("Incorrect current password");
+  });
+
+  test("works: set new email, which needs verifying again", async function () {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "changed@email.com",
+          currentPassword: "password1",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user.email).toEqual("changed@email.com");
+    expect(await User.isEmailVerified("u1")).toEqual(false);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: "changed@email.com" }));
+    send.mockRestore();
+  });
+
+  test("bad request changing email without current password", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "changed@email.com",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works for admins: change another user's email", async function () {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "changed@email.com",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.user.email).toEqual("changed@email.com");
+    send.mockRestore();
+  });
+
+  test("bad request for admins setting another user's password", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "New-Passw0rd",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
-/************************************** DELETE /users/:username */
+/************************************** POST /users/:username/force-password-reset */
 
-describe("DELETE /users/:username", function () {
-  test("works for users", async function () {
+describe("POST /users/:username/force-password-reset", function () {
+  test("works for admin", async function () {
     const resp = await request(app)
-        .delete(`/users/u1`)
+        .post(`/users/u1/force-password-reset`)
+        .send({ password: "New-Passw0rd" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ passwordReset: "u1" });
+
+    const user = await User.authenticate("u1", "New-Passw0rd");
+    expect(user.username).toEqual("u1");
+
+    const audit = await db.query(
+        `SELECT actor, before, after FROM audit_log
+         WHERE entity_type = 'user' AND entity_id = 'u1'`);
+    expect(audit.rows).toEqual([{
+      actor: "u2",
+      before: { passwordReset: false },
+      after: { passwordReset: true },
+    }]);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/force-password-reset`)
+        .send({ password: "New-Passw0rd" })
         .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.body).toEqual({ deleted: "u1" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/force-password-reset`)
+        .send({ password: "New-Passw0rd" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request if invalid data", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/force-password-reset`)
+        .send({ password: 42 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a password against the policy", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/force-password-reset`)
+        .send({ password: "x" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toContain("Password must be at least 8 characters");
+  });
+});
+
+/************************************** POST /users/:username/jobs/:id */
+
+describe("POST /users/:username/jobs/:id", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      applied: { jobId: testJobIds[1], status: "applied" },
+    });
+  });
+
+  test("works: starting as interested", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .send({ status: "interested" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      applied: { jobId: testJobIds[1], status: "interested" },
+    });
+  });
+
+  test("works: with a cover letter and resume", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .field("coverLetter", "Please hire me")
+        .attach("resume", PDF, { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      applied: { jobId: testJobIds[1], status: "applied" },
+    });
+
+    const user = await User.get("u1");
+    expect(user.jobs[1]).toEqual(expect.objectContaining({
+      coverLetter: "Please hire me",
+      resume: { filename: "cv.pdf", contentType: "application/pdf", size: PDF.length },
+    }));
+  });
+
+  test("works: cover letter as JSON", async function () {
+    await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .send({ coverLetter: "Please hire me" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const user = await User.get("u1");
+    expect(user.jobs[1].coverLetter).toEqual("Please hire me");
+    expect(user.jobs[1].resume).toEqual(null);
+  });
+
+  test("bad request for resumes of other types", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .attach("resume", Buffer.from("hi"), { filename: "cv.txt", contentType: "text/plain" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("payload too large for big resumes", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .attach("resume", Buffer.concat([PDF, Buffer.alloc(RESUME_MAX_BYTES)]),
+            { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(413);
+  });
+
+  test("bad request if already applied", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid starting status", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .send({ status: "offered" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden if email not verified", async function () {
+    await db.query(`UPDATE users SET email_verified = FALSE WHERE username = 'u1'`);
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
   });
 
   test("unauth for anon", async function () {
     const resp = await request(app)
-        .delete(`/users/u1`);
+        .post(`/users/u1/jobs/${testJobIds[1]}`);
     expect(resp.statusCode).toEqual(401);
   });
+});
 
-  test("not found if user missing", async function () {
+/************************************** GET /users/:username/jobs/:id/resume */
+
+describe("GET /users/:username/jobs/:id/resume", function () {
+  async function applyWithResume() {
+    await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .attach("resume", PDF, { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u1Token}`);
+  }
+
+  // collect the file, whatever its type
+  function binary(res, cb) {
+    const chunks = [];
+    res.on("data", chunk => chunks.push(chunk));
+    res.on("end", () => cb(null, Buffer.concat(chunks)));
+  }
+
+  test("works for same user", async function () {
+    await applyWithResume();
     const resp = await request(app)
-        .delete(`/users/nope`)
+        .get(`/users/u1/jobs/${testJobIds[1]}/resume`)
+        .set("authorization", `Bearer ${u1Token}`)
+        .buffer(true)
+        .parse(binary);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("application/pdf");
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="cv.pdf"');
+    expect(resp.body).toEqual(PDF);
+  });
+
+  test("works for admin", async function () {
+    await applyWithResume();
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[1]}/resume`)
+        .set("authorization", `Bearer ${adminToken}`)
+        .buffer(true)
+        .parse(binary);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for other users", async function () {
+    await applyWithResume();
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[1]}/resume`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found without a resume", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}/resume`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ status: "interviewing" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: testJobIds[0],
+        status: "interviewing",
+        updatedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("works for same user withdrawing", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ status: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.application.status).toEqual("withdrawn");
+  });
+
+  test("unauth for same user setting a hiring-side status", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ status: "interviewing" })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(401);
   });
+
+  test("bad request on disallowed transition", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ status: "offered" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[1]}`)
+        .send({ status: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/technologies/:techId */
+
+describe("POST /users/:username/technologies/:techId", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/technologies/${testTechIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      added: { username: "u1", technologyId: testTechIds[1] },
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/technologies/${testTechIds[1]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/technologies/${testTechIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such technology", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/technologies/0`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/technologies/${testTechIds[1]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/technologies/:techId */
+
+describe("DELETE /users/:username/technologies/:techId", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/technologies/${testTechIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: `${testTechIds[0]}` });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/technologies/${testTechIds[0]}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user doesn't have it", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/technologies/${testTechIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username */
+
+describe("DELETE /users/:username", function () {
+  test("works for users", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: "u1" });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .delete(`/users/nope`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("deleted user's tokens stop working", async function () {
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/restore */
+
+describe("POST /users/:username/restore", function () {
+  test("works for admin", async function () {
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        isAdmin: false,
+      },
+    });
+
+    const getResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(getResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  test("works for admin", async function () {
+    await db.query(
+        `UPDATE users SET locked_until = NOW() + INTERVAL '10 minutes' WHERE username = 'u1'`);
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/unlock`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/roles */
+
+describe("GET /users/:username/roles", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u3/roles`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({ roles: ["recruiter"], companies: ["c1"] });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/roles`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ roles: [], companies: [] });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u3/roles`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** PUT /users/:username/roles */
+
+describe("PUT /users/:username/roles", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .put(`/users/u1/roles`)
+        .send({ roles: ["recruiter"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ roles: ["recruiter"] });
+
+    const audit = await db.query(
+        `SELECT before, after FROM audit_log WHERE entity_id = 'u1' AND action = 'update'`);
+    expect(audit.rows).toEqual([
+      { before: { roles: [] }, after: { roles: ["recruiter"] } },
+    ]);
+  });
+
+  test("revokes the user's tokens", async function () {
+    await request(app)
+        .put(`/users/u1/roles`)
+        .send({ roles: ["recruiter"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .put(`/users/u1/roles`)
+        .send({ roles: ["admin"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for unknown roles", async function () {
+    const resp = await request(app)
+        .put(`/users/u1/roles`)
+        .send({ roles: ["boss"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .put(`/users/u1/roles`)
+        .send({ roles: "recruiter" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .put(`/users/nope/roles`)
+        .send({ roles: ["recruiter"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/companies/:handle */
+
+describe("POST /users/:username/companies/:handle", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/companies/c2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ attached: { username: "u3", companyHandle: "c2" } });
+
+    const job = await request(app)
+        .patch(`/jobs/${testJobIds[1]}`)
+        .send({ salary: 1 })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(job.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/companies/c2`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such company", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/companies/nope`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/companies/:handle */
+
+describe("DELETE /users/:username/companies/:handle", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u3/companies/c1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ detached: "c1" });
+
+    const job = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ salary: 1 })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(job.statusCode).toEqual(401);
+  });
+
+  test("not found if not attached", async function () {
+    const resp = await request(app)
+        .delete(`/users/u3/companies/c2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/searches */
+
+describe("POST /users/:username/searches", function () {
+  const newSearch = { name: "Engineers", filters: { title: "engineer", hasEquity: true } };
+
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/searches`)
+        .send(newSearch)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      search: {
+        id: expect.any(Number),
+        username: "u1",
+        ...newSearch,
+        createdAt: expect.any(String),
+        checkedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/searches`)
+        .send(newSearch)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with unknown filters", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/searches`)
+        .send({ name: "s", filters: { limit: 5 } })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with dupe name", async function () {
+    await request(app)
+        .post(`/users/u1/searches`)
+        .send(newSearch)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .post(`/users/u1/searches`)
+        .send(newSearch)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("GET /users/:username/searches", function () {
+  test("works for same user", async function () {
+    await request(app)
+        .post(`/users/u1/searches`)
+        .send({ name: "s" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get(`/users/u1/searches`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.searches.map(s => s.name)).toEqual(["s"]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/users/u1/searches`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /users/:username/searches/:id/new", function () {
+  test("works for same user", async function () {
+    const created = await request(app)
+        .post(`/users/u1/searches`)
+        .send({ name: "s", filters: { title: "new" } })
+        .set("authorization", `Bearer ${u1Token}`);
+    const id = created.body.search.id;
+    // NOW() is the same all through the test's transaction, so the search
+    // is made to have been checked an hour ago
+    await db.query(`UPDATE jobs SET posted_at = NOW() - INTERVAL '1 day'`);
+    await db.query(`UPDATE saved_searches SET checked_at = NOW() - INTERVAL '1 hour'`);
+    await request(app)
+        .post("/jobs")
+        .send({ title: "New job", salary: 1, equity: 0, companyHandle: "c1" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .get(`/users/u1/searches/${id}/new`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["New job"]);
+    expect(resp.body.total).toEqual(1);
+    expect(resp.body.search.name).toEqual("s");
+
+    const again = await request(app)
+        .get(`/users/u1/searches/${id}/new`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(again.body.total).toEqual(0);
+  });
+
+  test("not found if no such search", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/searches/0/new`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /users/:username/searches/:id", function () {
+  test("works for same user", async function () {
+    const created = await request(app)
+        .post(`/users/u1/searches`)
+        .send({ name: "s" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const id = created.body.search.id;
+    const resp = await request(app)
+        .delete(`/users/u1/searches/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: `${id}` });
+  });
+
+  test("not found for another user's search", async function () {
+    const created = await request(app)
+        .post(`/users/u1/searches`)
+        .send({ name: "s" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete(`/users/u2/searches/${created.body.search.id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/bookmarks */
+
+describe("POST /users/:username/bookmarks/:jobId", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/bookmarks/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ bookmarked: { username: "u1", jobId: testJobIds[1] } });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/bookmarks/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such job", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/bookmarks/0`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("GET /users/:username/bookmarks", function () {
+  test("works with filters", async function () {
+    for (const id of testJobIds) {
+      await request(app)
+          .post(`/users/u1/bookmarks/${id}`)
+          .set("authorization", `Bearer ${u1Token}`);
+    }
+    const resp = await request(app)
+        .get(`/users/u1/bookmarks`)
+        .query({ minSalary: 200000 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      jobs: [
+        { id: testJobIds[1], title: "J2", salary: 200000, equity: "0.02", companyHandle: "c2" },
+        { id: testJobIds[2], title: "J3", salary: 250000, equity: "0.03", companyHandle: "c3" },
+      ],
+      total: 2,
+      nextCursor: null,
+    });
+  });
+
+  test("only lists the user's bookmarks", async function () {
+    await request(app)
+        .post(`/users/u1/bookmarks/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get(`/users/u2/bookmarks`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.jobs).toEqual([]);
+  });
+
+  test("bad request with unknown filters", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/bookmarks`)
+        .query({ nope: 1 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("DELETE /users/:username/bookmarks/:jobId", function () {
+  test("works for same user", async function () {
+    await request(app)
+        .post(`/users/u1/bookmarks/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete(`/users/u1/bookmarks/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ unbookmarked: `${testJobIds[1]}` });
+  });
+
+  test("not found if not bookmarked", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/bookmarks/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ withdrawn: `${testJobIds[0]}` });
+
+    const user = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(user.body.user.jobs[0].status).toEqual("withdrawn");
+    expect(user.body.user.jobs[0].history.map(h => h.status))
+        .toEqual(["applied", "withdrawn"]);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ withdrawn: `${testJobIds[0]}` });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .delete(`/users/u2/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no application", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request if already withdrawn", async function () {
+    await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
 });
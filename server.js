@@ -1,8 +1,13 @@
 "use strict";
 
 const app = require("./app");
-const { PORT } = require("./config");
+const { PORT, BCRYPT_WORK_FACTOR, getDatabaseUri } = require("./config");
+const { logger } = require("./helpers/logger");
 
 app.listen(PORT, function () {
-  console.log(`Started on http://localhost:${PORT}`);
+  logger.info("Started", {
+    url: `http://localhost:${PORT}`,
+    bcryptWorkFactor: BCRYPT_WORK_FACTOR,
+    database: getDatabaseUri(),
+  });
 });